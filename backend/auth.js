@@ -0,0 +1,158 @@
+/**
+ * Authentication
+ * Per-device API keys for glove ingestion and tokens for editor clients, persisted on disk as
+ * hashes, plus the admin token that manages both. Secrets are only shown once, when issued.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function generateSecret() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+// Compare hashes in constant time so response timing doesn't leak how much of a secret matched
+function secretMatches(secret, hash) {
+  if (typeof secret !== 'string' || !hash) return false;
+  return crypto.timingSafeEqual(Buffer.from(hashSecret(secret), 'hex'), Buffer.from(hash, 'hex'));
+}
+
+/**
+ * Bearer token from an Authorization header, or null
+ */
+function bearerToken(header) {
+  const match = /^Bearer\s+(\S+)$/i.exec(header || '');
+  return match ? match[1] : null;
+}
+
+class AuthStore {
+  /**
+   * Auth is enforced only when an admin token is configured; without one the server stays open
+   */
+  constructor(filePath, { adminToken } = {}) {
+    this.filePath = filePath;
+    this.adminTokenHash = adminToken ? hashSecret(adminToken) : null;
+    this.deviceKeys = new Map();   // deviceId -> { keyHash, createdAt, lastUsedAt }
+    this.clientTokens = new Map(); // tokenId -> { name, tokenHash, createdAt, lastUsedAt }
+    this.load();
+  }
+
+  get enabled() {
+    return Boolean(this.adminTokenHash);
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      Object.entries(stored.deviceKeys || {}).forEach(([deviceId, key]) => this.deviceKeys.set(deviceId, key));
+      Object.entries(stored.clientTokens || {}).forEach(([tokenId, token]) => this.clientTokens.set(tokenId, token));
+      console.log(`🔑 Loaded ${this.deviceKeys.size} device key(s) and ${this.clientTokens.size} client token(s)`);
+    } catch (error) {
+      console.error(`Failed to load credentials from ${this.filePath}:`, error.message);
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({
+      deviceKeys: Object.fromEntries(this.deviceKeys),
+      clientTokens: Object.fromEntries(this.clientTokens)
+    }, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  isAdminToken(token) {
+    return secretMatches(token, this.adminTokenHash);
+  }
+
+  /**
+   * Issue a new API key for a device, replacing any previous one. Returns the plaintext key.
+   */
+  issueDeviceKey(deviceId) {
+    const apiKey = generateSecret();
+    this.deviceKeys.set(deviceId, { keyHash: hashSecret(apiKey), createdAt: Date.now(), lastUsedAt: null });
+    this.save();
+    return apiKey;
+  }
+
+  revokeDeviceKey(deviceId) {
+    const existed = this.deviceKeys.delete(deviceId);
+    if (existed) this.save();
+    return existed;
+  }
+
+  hasDeviceKey(deviceId) {
+    return this.deviceKeys.has(deviceId);
+  }
+
+  /**
+   * The device an API key was issued to, or null for unknown keys
+   */
+  identifyDevice(apiKey) {
+    for (const [deviceId, key] of this.deviceKeys) {
+      if (secretMatches(apiKey, key.keyHash)) {
+        key.lastUsedAt = Date.now();
+        return deviceId;
+      }
+    }
+    return null;
+  }
+
+  listDeviceKeys() {
+    return Array.from(this.deviceKeys, ([deviceId, { createdAt, lastUsedAt }]) => ({ deviceId, createdAt, lastUsedAt }));
+  }
+
+  /**
+   * Issue an editor client token. Returns { tokenId, token }; the token embeds its id.
+   */
+  issueClientToken(name) {
+    const tokenId = crypto.randomBytes(6).toString('hex');
+    const secret = generateSecret();
+    this.clientTokens.set(tokenId, { name, tokenHash: hashSecret(secret), createdAt: Date.now(), lastUsedAt: null });
+    this.save();
+    return { tokenId, token: `${tokenId}.${secret}` };
+  }
+
+  revokeClientToken(tokenId) {
+    const existed = this.clientTokens.delete(tokenId);
+    if (existed) this.save();
+    return existed;
+  }
+
+  /**
+   * Returns the token id for a valid client token, otherwise null
+   */
+  verifyClientToken(token) {
+    const [tokenId, secret] = typeof token === 'string' ? token.split('.', 2) : [];
+    const stored = this.clientTokens.get(tokenId);
+    if (!stored || !secretMatches(secret, stored.tokenHash)) return null;
+    stored.lastUsedAt = Date.now();
+    return tokenId;
+  }
+
+  listClientTokens() {
+    return Array.from(this.clientTokens, ([tokenId, { name, createdAt, lastUsedAt }]) => ({ tokenId, name, createdAt, lastUsedAt }));
+  }
+
+  /**
+   * Who an editor credential belongs to: { role: 'admin' } or { role: 'client', tokenId }, or null
+   */
+  identifyClient(token) {
+    if (this.isAdminToken(token)) return { role: 'admin' };
+    const tokenId = this.verifyClientToken(token);
+    return tokenId ? { role: 'client', tokenId } : null;
+  }
+}
+
+module.exports = {
+  AuthStore,
+  bearerToken
+};
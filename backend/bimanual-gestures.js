@@ -0,0 +1,258 @@
+/**
+ * Bimanual Gestures
+ * Two-handed interactions computed from the latest left- and right-hand frames:
+ * a two-hand pinch grab that scales and rotates, and a left-fist modifier that locks the
+ * right hand's transform to one axis
+ *
+ * Grab results are relative to the moment the grab started, so a client that misses frames
+ * still lands on the right transform. Rotations use the pipeline's conventions
+ * (y is up, orientation is [roll, pitch, yaw], R = Ry(yaw) · Rx(-pitch) · Rz(roll)).
+ */
+
+const DEFAULT_OPTIONS = {
+  minHandDistance: 0.05,   // Hands closer than this (m) give no usable axis between them
+  maxFrameSkewMs: 250,     // Both hands' latest frames must be at least this recent relative to each other
+  minScale: 0.05,          // Clamp on the grab's scale relative to its start
+  maxScale: 20,
+  axisLockThreshold: 0.02  // Right-hand motion (m or rad) needed before the locked axis is picked
+};
+
+// Editor axis each orientation component rotates about: roll → z, pitch → x, yaw → y
+const ORIENTATION_AXES = ['z', 'x', 'y'];
+const AXES = ['x', 'y', 'z'];
+
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const length = a => Math.sqrt(dot(a, a));
+const toArray = p => [p.x, p.y, p.z];
+
+// Quaternions are [x, y, z, w]
+function axisAngle(axis, angle) {
+  const s = Math.sin(angle / 2);
+  return [axis[0] * s, axis[1] * s, axis[2] * s, Math.cos(angle / 2)];
+}
+
+function multiply(a, b) {
+  return [
+    a[3] * b[0] + a[0] * b[3] + a[1] * b[2] - a[2] * b[1],
+    a[3] * b[1] - a[0] * b[2] + a[1] * b[3] + a[2] * b[0],
+    a[3] * b[2] + a[0] * b[1] - a[1] * b[0] + a[2] * b[3],
+    a[3] * b[3] - a[0] * b[0] - a[1] * b[1] - a[2] * b[2]
+  ];
+}
+
+const conjugate = q => [-q[0], -q[1], -q[2], q[3]];
+
+function normalize(q) {
+  const n = Math.sqrt(q[0] ** 2 + q[1] ** 2 + q[2] ** 2 + q[3] ** 2);
+  return n > 0 ? q.map(v => v / n) : [0, 0, 0, 1];
+}
+
+function fromOrientation([roll, pitch, yaw]) {
+  return multiply(multiply(axisAngle([0, 1, 0], yaw), axisAngle([1, 0, 0], -pitch)), axisAngle([0, 0, 1], roll));
+}
+
+/**
+ * Shortest rotation taking unit vector from onto unit vector to
+ */
+function rotationBetween(from, to) {
+  const d = dot(from, to);
+  if (d < -0.999999) {
+    // Opposite directions: any perpendicular axis will do
+    const axis = Math.abs(from[0]) < 0.9 ? cross(from, [1, 0, 0]) : cross(from, [0, 1, 0]);
+    return axisAngle(axis.map(v => v / length(axis)), Math.PI);
+  }
+  return normalize([...cross(from, to), 1 + d]);
+}
+
+/**
+ * Angle of a rotation's twist about a unit axis (swing-twist decomposition)
+ */
+function twistAngle(q, axis) {
+  const angle = 2 * Math.atan2(dot([q[0], q[1], q[2]], axis), q[3]);
+  // Keep it in [-π, π]
+  return angle > Math.PI ? angle - 2 * Math.PI : angle < -Math.PI ? angle + 2 * Math.PI : angle;
+}
+
+function wrapAngle(angle) {
+  while (angle > Math.PI) angle -= 2 * Math.PI;
+  while (angle < -Math.PI) angle += 2 * Math.PI;
+  return angle;
+}
+
+function handPose(frame) {
+  const { position, orientation } = frame.movementData;
+  return {
+    position: toArray(position),
+    rotation: fromOrientation(orientation)
+  };
+}
+
+class BimanualTracker {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.interaction = null;
+  }
+
+  /**
+   * Feed the latest frame of each hand (either may be null).
+   * Returns the bimanual-update to broadcast, or null when no two-handed interaction is going on.
+   */
+  update(leftFrame, rightFrame) {
+    const interaction = this.detect(leftFrame, rightFrame);
+
+    // A lock picked for one transform mode doesn't carry over to the next.
+    // When switching straight to another interaction, the next frame starts it.
+    const changedMode = this.interaction?.type === 'axis-lock' &&
+      this.interaction.transformMode !== rightFrame?.transformMode;
+    if (this.interaction && (this.interaction.type !== interaction || changedMode)) {
+      return this.end();
+    }
+
+    if (!interaction) return null;
+
+    if (!this.interaction) {
+      return this.start(interaction, leftFrame, rightFrame);
+    }
+    return interaction === 'grab'
+      ? this.updateGrab(leftFrame, rightFrame, 'update')
+      : this.updateAxisLock(leftFrame, rightFrame, 'update');
+  }
+
+  /**
+   * End whatever interaction is going on, e.g. when a hand goes offline.
+   * Returns the end update, or null if nothing was active.
+   */
+  reset() {
+    return this.interaction ? this.end() : null;
+  }
+
+  detect(leftFrame, rightFrame) {
+    if (!leftFrame || !rightFrame) return null;
+    if (Math.abs(leftFrame.timestamp - rightFrame.timestamp) > this.options.maxFrameSkewMs) return null;
+
+    if (leftFrame.gesture === 'pinch' && rightFrame.gesture === 'pinch') {
+      const distance = length(sub(handPose(rightFrame).position, handPose(leftFrame).position));
+      // Keep a running grab through brief close passes; only refuse to start one
+      if (distance >= this.options.minHandDistance || this.interaction?.type === 'grab') return 'grab';
+      return null;
+    }
+    if (leftFrame.gesture === 'fist' && ['translate', 'rotate'].includes(rightFrame.transformMode)) {
+      return 'axis-lock';
+    }
+    return null;
+  }
+
+  start(type, leftFrame, rightFrame) {
+    const base = { type, leftDeviceId: leftFrame.deviceId, rightDeviceId: rightFrame.deviceId };
+
+    if (type === 'grab') {
+      const left = handPose(leftFrame);
+      const right = handPose(rightFrame);
+      const between = sub(right.position, left.position);
+      const distance = length(between);
+      this.interaction = {
+        ...base,
+        startDistance: distance,
+        startAxis: between.map(v => v / distance),
+        startLeftRotation: left.rotation,
+        startRightRotation: right.rotation,
+        last: null
+      };
+      return this.updateGrab(leftFrame, rightFrame, 'start');
+    }
+
+    this.interaction = {
+      ...base,
+      transformMode: rightFrame.transformMode,
+      motion: { x: 0, y: 0, z: 0 },
+      axis: null,
+      last: null
+    };
+    return this.updateAxisLock(leftFrame, rightFrame, 'start');
+  }
+
+  updateGrab(leftFrame, rightFrame, phase) {
+    const { startDistance, startAxis, startLeftRotation, startRightRotation } = this.interaction;
+    const { minHandDistance, minScale, maxScale } = this.options;
+    const left = handPose(leftFrame);
+    const right = handPose(rightFrame);
+    const between = sub(right.position, left.position);
+    const distance = length(between);
+
+    // Too close to tell which way the axis points: hold the last result
+    if (distance < minHandDistance && this.interaction.last) {
+      return { ...this.interaction.last, phase, timestamp: Date.now() };
+    }
+
+    const axis = between.map(v => v / distance);
+    const scale = Math.max(minScale, Math.min(maxScale, distance / startDistance));
+
+    // Swinging the hands around each other turns the object with the axis between them...
+    const swing = rotationBetween(startAxis, axis);
+
+    // ...and turning both wrists the same way about that axis twists it, like turning a bar
+    const leftDelta = multiply(left.rotation, conjugate(startLeftRotation));
+    const rightDelta = multiply(right.rotation, conjugate(startRightRotation));
+    const twist = wrapAngle((twistAngle(leftDelta, axis) + twistAngle(rightDelta, axis)) / 2);
+
+    const rotation = normalize(multiply(axisAngle(axis, twist), swing));
+
+    const result = {
+      interaction: 'grab',
+      phase,
+      leftDeviceId: this.interaction.leftDeviceId,
+      rightDeviceId: this.interaction.rightDeviceId,
+      timestamp: Date.now(),
+      distance,
+      scale,
+      rotation,
+      axis,
+      twist
+    };
+    this.interaction.last = result;
+    return result;
+  }
+
+  updateAxisLock(leftFrame, rightFrame, phase) {
+    const { transformMode, motion } = this.interaction;
+    const { positionDelta, orientationDelta } = rightFrame.movementData;
+
+    // Pick the axis the right hand moves along most once it has moved enough, then keep it
+    if (!this.interaction.axis) {
+      if (transformMode === 'translate') {
+        AXES.forEach(axis => { motion[axis] += Math.abs(positionDelta[axis]); });
+      } else {
+        orientationDelta.forEach((delta, i) => { motion[ORIENTATION_AXES[i]] += Math.abs(delta); });
+      }
+      const [dominant, amount] = Object.entries(motion).reduce((a, b) => (b[1] > a[1] ? b : a));
+      if (amount >= this.options.axisLockThreshold) {
+        this.interaction.axis = dominant;
+      }
+    }
+
+    const result = {
+      interaction: 'axis-lock',
+      phase,
+      leftDeviceId: this.interaction.leftDeviceId,
+      rightDeviceId: this.interaction.rightDeviceId,
+      timestamp: Date.now(),
+      transformMode,
+      axis: this.interaction.axis
+    };
+    this.interaction.last = result;
+    return result;
+  }
+
+  end() {
+    const { last } = this.interaction;
+    this.interaction = null;
+    return last ? { ...last, phase: 'end', timestamp: Date.now() } : null;
+  }
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  BimanualTracker
+};
@@ -0,0 +1,84 @@
+/**
+ * Button Events
+ * Edge detection for the glove's hardware buttons: press and release, plus long-press while a
+ * button is held and double-press when it is pressed twice in quick succession
+ */
+
+const BUTTONS = ['select', 'mode', 'confirm'];
+const BUTTON_EVENT_TYPES = ['press', 'release', 'long-press', 'double-press'];
+
+const DEFAULT_OPTIONS = {
+  longPressMs: 600,     // Held this long fires long-press (once per hold)
+  doublePressMs: 350    // A press this soon after the previous one fires double-press as well
+};
+
+// Which frame action each button comes from (see processSensorData)
+const BUTTON_ACTIONS = {
+  select: 'selectAction',
+  mode: 'modeSwitch',
+  confirm: 'confirmAction'
+};
+
+class ButtonTracker {
+  constructor(deviceId, options = {}) {
+    this.deviceId = deviceId;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.buttons = {};   // button -> { pressed, pressedAt, longPressed, lastPressAt }
+  }
+
+  /**
+   * Feed one frame's button actions ({ selectAction, modeSwitch, confirmAction }).
+   * Returns the events the frame caused, e.g. [{ button: 'select', type: 'press', timestamp }].
+   * A double-press comes right after the second press, so a press binding still fires for both.
+   */
+  update(actions, timestamp = Date.now()) {
+    const { longPressMs, doublePressMs } = this.options;
+    const events = [];
+    const emit = (button, type, extra = {}) => events.push({ deviceId: this.deviceId, button, type, timestamp, ...extra });
+
+    BUTTONS.forEach(button => {
+      const pressed = Boolean(actions[BUTTON_ACTIONS[button]]);
+      const state = this.buttons[button] || { pressed: false, pressedAt: null, longPressed: false, lastPressAt: null };
+      this.buttons[button] = state;
+
+      if (pressed && !state.pressed) {
+        emit(button, 'press');
+        if (state.lastPressAt !== null && timestamp - state.lastPressAt <= doublePressMs) {
+          emit(button, 'double-press');
+          state.lastPressAt = null;   // A third quick press starts a new pair
+        } else {
+          state.lastPressAt = timestamp;
+        }
+        state.pressed = true;
+        state.pressedAt = timestamp;
+        state.longPressed = false;
+      } else if (pressed && !state.longPressed && timestamp - state.pressedAt >= longPressMs) {
+        emit(button, 'long-press', { duration: timestamp - state.pressedAt });
+        state.longPressed = true;
+      } else if (!pressed && state.pressed) {
+        emit(button, 'release', { duration: timestamp - state.pressedAt });
+        state.pressed = false;
+      }
+    });
+
+    return events;
+  }
+
+  /**
+   * Forget button state, releasing anything held. Returns the release events.
+   */
+  reset(timestamp = Date.now()) {
+    const events = BUTTONS
+      .filter(button => this.buttons[button]?.pressed)
+      .map(button => ({ deviceId: this.deviceId, button, type: 'release', timestamp, duration: timestamp - this.buttons[button].pressedAt }));
+    this.buttons = {};
+    return events;
+  }
+}
+
+module.exports = {
+  BUTTONS,
+  BUTTON_EVENT_TYPES,
+  DEFAULT_OPTIONS,
+  ButtonTracker
+};
@@ -0,0 +1,206 @@
+/**
+ * Calibration Profiles
+ * Stores per-device sensor calibration on disk and applies it to raw glove frames
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isVector3(value) {
+  return Array.isArray(value) && value.length === 3 && value.every(isNumber);
+}
+
+// Wrap an angle to [-π, π]
+function wrapAngle(angle) {
+  while (angle > Math.PI) angle -= 2 * Math.PI;
+  while (angle < -Math.PI) angle += 2 * Math.PI;
+  return angle;
+}
+
+function validateRange(range, label, errors) {
+  if (!range || !isNumber(range.min) || !isNumber(range.max)) {
+    errors.push(`${label} must have numeric min and max`);
+  } else if (range.max <= range.min) {
+    errors.push(`${label}.max must be greater than ${label}.min`);
+  }
+}
+
+/**
+ * Validate an incoming calibration payload.
+ * Every section is optional so a partial calibration can be merged into an existing profile.
+ * Returns a list of error messages (empty when valid).
+ */
+function validateCalibrationData(calibrationData) {
+  const errors = [];
+
+  if (!calibrationData || typeof calibrationData !== 'object') {
+    return ['calibrationData must be an object'];
+  }
+
+  const { fingers, thumb, palm, imu } = calibrationData;
+
+  if (fingers !== undefined) {
+    if (typeof fingers !== 'object' || fingers === null) {
+      errors.push('fingers must be an object');
+    } else {
+      Object.entries(fingers).forEach(([finger, range]) => {
+        validateRange(range, `fingers.${finger}`, errors);
+      });
+    }
+  }
+
+  if (thumb !== undefined) {
+    validateRange(thumb, 'thumb', errors);
+  }
+
+  if (palm !== undefined) {
+    if (!palm || !isNumber(palm.baseline) || palm.baseline < 0 || palm.baseline >= 1) {
+      errors.push('palm.baseline must be a number in [0, 1)');
+    }
+  }
+
+  if (imu !== undefined) {
+    if (!imu || typeof imu !== 'object') {
+      errors.push('imu must be an object');
+    } else {
+      if (imu.orientationOffset !== undefined && !isVector3(imu.orientationOffset)) {
+        errors.push('imu.orientationOffset must be an array of 3 numbers');
+      }
+      if (imu.gyroBias !== undefined && !isVector3(imu.gyroBias)) {
+        errors.push('imu.gyroBias must be an array of 3 numbers');
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Apply a calibration profile to a raw sensor frame.
+ * Returns a new frame; the input is left untouched so the raw values stay available.
+ */
+function applyCalibration(rawData, profile) {
+  if (!profile) return rawData;
+
+  const calibrated = { ...rawData };
+
+  if (rawData.fingers && profile.fingers) {
+    calibrated.fingers = {};
+    Object.entries(rawData.fingers).forEach(([finger, bend]) => {
+      const range = profile.fingers[finger];
+      calibrated.fingers[finger] = range
+        ? clamp01((bend - range.min) / (range.max - range.min))
+        : bend;
+    });
+  }
+
+  if (rawData.thumb && profile.thumb && isNumber(rawData.thumb.bend)) {
+    calibrated.thumb = {
+      ...rawData.thumb,
+      bend: clamp01((rawData.thumb.bend - profile.thumb.min) / (profile.thumb.max - profile.thumb.min))
+    };
+  }
+
+  if (rawData.palm && profile.palm && isNumber(rawData.palm.pressure)) {
+    calibrated.palm = {
+      ...rawData.palm,
+      pressure: clamp01((rawData.palm.pressure - profile.palm.baseline) / (1 - profile.palm.baseline))
+    };
+  }
+
+  if (rawData.imu && profile.imu) {
+    const { orientationOffset, gyroBias } = profile.imu;
+    calibrated.imu = { ...rawData.imu };
+
+    if (orientationOffset && isVector3(rawData.imu.orientation)) {
+      calibrated.imu.orientation = rawData.imu.orientation.map(
+        (angle, i) => wrapAngle(angle - orientationOffset[i])
+      );
+    }
+    if (gyroBias && isVector3(rawData.imu.gyroscope)) {
+      calibrated.imu.gyroscope = rawData.imu.gyroscope.map((rate, i) => rate - gyroBias[i]);
+    }
+  }
+
+  return calibrated;
+}
+
+class CalibrationStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.profiles = new Map();
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      Object.entries(stored).forEach(([deviceId, profile]) => {
+        this.profiles.set(deviceId, profile);
+      });
+      console.log(`🎯 Loaded ${this.profiles.size} calibration profile(s) from ${this.filePath}`);
+    } catch (error) {
+      console.error(`Failed to load calibration profiles from ${this.filePath}:`, error.message);
+    }
+  }
+
+  // Write to a temp file first so a crash mid-write can't corrupt the stored profiles
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(this.profiles), null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  get(deviceId) {
+    return this.profiles.get(deviceId) || null;
+  }
+
+  list() {
+    return Array.from(this.profiles.values());
+  }
+
+  /**
+   * Merge calibration data into the device's profile and persist it
+   */
+  set(deviceId, calibrationData) {
+    const existing = this.profiles.get(deviceId);
+    const now = Date.now();
+
+    const profile = {
+      deviceId,
+      fingers: { ...existing?.fingers, ...calibrationData.fingers },
+      thumb: calibrationData.thumb || existing?.thumb || null,
+      palm: calibrationData.palm || existing?.palm || null,
+      imu: { ...existing?.imu, ...calibrationData.imu },
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    };
+
+    this.profiles.set(deviceId, profile);
+    this.save();
+    return profile;
+  }
+
+  delete(deviceId) {
+    const existed = this.profiles.delete(deviceId);
+    if (existed) this.save();
+    return existed;
+  }
+}
+
+module.exports = {
+  CalibrationStore,
+  validateCalibrationData,
+  applyCalibration
+};
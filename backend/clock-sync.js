@@ -0,0 +1,64 @@
+/**
+ * Clock Sync
+ * NTP-style clock offset estimates from ping/pong round trips, so timestamps taken on a glove or in
+ * a browser can be compared with the backend's clock
+ */
+
+const DEFAULT_MAX_SAMPLES = 8;
+
+/**
+ * Offset of a remote clock from ours for one round trip: the remote time is assumed to have been
+ * read halfway between sending the ping and receiving the pong.
+ */
+function estimateOffset({ sentAt, remoteTime, receivedAt }) {
+  return {
+    offset: remoteTime - (sentAt + receivedAt) / 2,
+    roundTrip: receivedAt - sentAt
+  };
+}
+
+class ClockSync {
+  constructor({ maxSamples = DEFAULT_MAX_SAMPLES } = {}) {
+    this.maxSamples = maxSamples;
+    this.samples = new Map();   // peer id -> recent { offset, roundTrip }, oldest first
+  }
+
+  /**
+   * Record one round trip with a peer (times in ms; sentAt/receivedAt on our clock)
+   */
+  addSample(peerId, sample) {
+    if (sample.receivedAt < sample.sentAt || !Number.isFinite(sample.remoteTime)) return;
+
+    if (!this.samples.has(peerId)) this.samples.set(peerId, []);
+    const samples = this.samples.get(peerId);
+    samples.push(estimateOffset(sample));
+    if (samples.length > this.maxSamples) samples.shift();
+  }
+
+  /**
+   * The peer's clock minus ours in ms, from the recent round trip with the least delay
+   * (its timing is the least skewed by queueing); null until the peer has answered a ping
+   */
+  offset(peerId) {
+    const samples = this.samples.get(peerId);
+    if (!samples || samples.length === 0) return null;
+    return samples.reduce((best, sample) => (sample.roundTrip < best.roundTrip ? sample : best)).offset;
+  }
+
+  /**
+   * Convert a timestamp from the peer's clock to ours; null if the peer isn't synced
+   */
+  toLocalTime(peerId, remoteTime) {
+    const offset = this.offset(peerId);
+    return offset === null ? null : remoteTime - offset;
+  }
+
+  remove(peerId) {
+    this.samples.delete(peerId);
+  }
+}
+
+module.exports = {
+  estimateOffset,
+  ClockSync
+};
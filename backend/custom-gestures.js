@@ -0,0 +1,356 @@
+/**
+ * Custom Gestures
+ * Records labelled sensor samples per device, trains a k-nearest-neighbour classifier on them
+ * and runs it alongside (or instead of) the rule-based classifier
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TRANSFORM_MODES, EDITOR_COMMANDS } = require('./gesture-config');
+
+const CLASSIFIER_MODES = ['alongside', 'replace'];
+
+const MIN_SAMPLES_PER_LABEL = 10;
+const MAX_RECORDING_MS = 10000;
+const LABEL_PATTERN = /^[a-z0-9_-]{1,32}$/i;
+
+const DEFAULT_MODEL_OPTIONS = {
+  k: 5,
+  mode: 'alongside',     // 'alongside': override rule-based result when confident, 'replace': custom gestures only
+  minConfidence: 0.6     // Confidence a custom match needs to override the rule-based result
+};
+
+/**
+ * Feature vector for one calibrated frame.
+ * Roll and pitch go through sin/cos so the wrap-around at ±π doesn't look like a big jump;
+ * yaw is left out because it depends on which way the wearer is facing.
+ */
+function extractFeatures(sensorData) {
+  const { fingers, thumb, palm, imu } = sensorData;
+  const [roll, pitch] = imu.orientation;
+
+  return [
+    fingers.index ?? 0,
+    fingers.middle ?? 0,
+    fingers.ring ?? 0,
+    fingers.little ?? 0,
+    thumb?.bend ?? 0,
+    palm?.pressure ?? 0,
+    Math.sin(roll) * 0.5,
+    Math.cos(roll) * 0.5,
+    Math.sin(pitch) * 0.5,
+    Math.cos(pitch) * 0.5
+  ];
+}
+
+function distance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += (a[i] - b[i]) ** 2;
+  }
+  return Math.sqrt(sum);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+function validateAction(action, label) {
+  if (!action || typeof action !== 'object') {
+    return `actions.${label} must be an object`;
+  }
+  if (action.type === 'mode') {
+    return TRANSFORM_MODES.includes(action.mode)
+      ? null
+      : `actions.${label}.mode must be one of: ${TRANSFORM_MODES.join(', ')}`;
+  }
+  if (action.type === 'command') {
+    return EDITOR_COMMANDS.includes(action.command)
+      ? null
+      : `actions.${label}.command must be one of: ${EDITOR_COMMANDS.join(', ')}`;
+  }
+  return `actions.${label}.type must be "mode" or "command"`;
+}
+
+/**
+ * Validate a { label: action } mapping.
+ * Returns a list of error messages (empty when valid).
+ */
+function validateActions(actions) {
+  if (!actions || typeof actions !== 'object' || Array.isArray(actions)) {
+    return ['actions must be an object'];
+  }
+  // null removes a label's action
+  return Object.entries(actions)
+    .map(([label, action]) => (action === null ? null : validateAction(action, label)))
+    .filter(Boolean);
+}
+
+/**
+ * Build a k-NN model from labelled samples.
+ * The rejection distance is derived from how tightly each label's samples cluster,
+ * so frames far from every trained pose fall back to the rule-based classifier.
+ */
+function trainModel(samples, options) {
+  const points = samples.map(({ label, features }) => ({ label, features }));
+  const labels = Array.from(new Set(points.map(p => p.label)));
+
+  const nearestSameLabel = points.map(point => {
+    let nearest = Infinity;
+    points.forEach(other => {
+      if (other !== point && other.label === point.label) {
+        nearest = Math.min(nearest, distance(point.features, other.features));
+      }
+    });
+    return nearest;
+  });
+
+  return {
+    type: 'knn',
+    k: options.k,
+    mode: options.mode,
+    minConfidence: options.minConfidence,
+    labels,
+    rejectDistance: Math.max(0.1, median(nearestSameLabel) * 3),
+    points,
+    trainedAt: Date.now()
+  };
+}
+
+function classifyWithModel(model, features) {
+  const neighbours = model.points
+    .map(point => ({ label: point.label, distance: distance(point.features, features) }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, model.k);
+
+  if (neighbours.length === 0 || neighbours[0].distance > model.rejectDistance) {
+    return null;
+  }
+
+  // Distance-weighted vote among the nearest neighbours
+  const votes = {};
+  let totalWeight = 0;
+  neighbours.forEach(({ label, distance: d }) => {
+    const weight = 1 / (d + 1e-3);
+    votes[label] = (votes[label] || 0) + weight;
+    totalWeight += weight;
+  });
+
+  const [gesture, weight] = Object.entries(votes).sort((a, b) => b[1] - a[1])[0];
+  const nearest = neighbours.find(n => n.label === gesture).distance;
+  const share = weight / totalWeight;
+
+  return {
+    gesture,
+    confidence: share * (1 - 0.5 * Math.min(1, nearest / model.rejectDistance))
+  };
+}
+
+class CustomGestureStore {
+  constructor(directory) {
+    this.directory = directory;
+    this.devices = new Map();      // deviceId -> { deviceId, userId, samples, model, actions }
+    this.recordings = new Map();   // deviceId -> active live recording
+  }
+
+  filePath(deviceId) {
+    return path.join(this.directory, `${encodeURIComponent(deviceId)}.json`);
+  }
+
+  get(deviceId) {
+    if (!this.devices.has(deviceId)) {
+      let entry = { deviceId, userId: null, samples: [], model: null, actions: {} };
+      const filePath = this.filePath(deviceId);
+
+      if (fs.existsSync(filePath)) {
+        try {
+          entry = { ...entry, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+        } catch (error) {
+          console.error(`Failed to load custom gestures from ${filePath}:`, error.message);
+        }
+      }
+      this.devices.set(deviceId, entry);
+    }
+    return this.devices.get(deviceId);
+  }
+
+  save(deviceId) {
+    fs.mkdirSync(this.directory, { recursive: true });
+    const filePath = this.filePath(deviceId);
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.get(deviceId)));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  /**
+   * Per-label sample counts and model status, without the raw feature vectors
+   */
+  summary(deviceId) {
+    const { userId, samples, model, actions } = this.get(deviceId);
+    const sampleCounts = {};
+    samples.forEach(({ label }) => {
+      sampleCounts[label] = (sampleCounts[label] || 0) + 1;
+    });
+
+    return {
+      deviceId,
+      userId,
+      sampleCounts,
+      actions,
+      recording: this.recordings.has(deviceId) ? this.recordings.get(deviceId).label : null,
+      model: model && {
+        type: model.type,
+        k: model.k,
+        mode: model.mode,
+        minConfidence: model.minConfidence,
+        labels: model.labels,
+        rejectDistance: model.rejectDistance,
+        trainedAt: model.trainedAt,
+        sampleCount: model.points.length
+      }
+    };
+  }
+
+  addSamples(deviceId, label, featureList, userId) {
+    const entry = this.get(deviceId);
+    const recordedAt = Date.now();
+
+    featureList.forEach(features => entry.samples.push({ label, features, recordedAt }));
+    if (userId) entry.userId = userId;
+
+    this.save(deviceId);
+    return featureList.length;
+  }
+
+  /**
+   * Capture live frames from the device for durationMs, then store them under label
+   */
+  record(deviceId, label, durationMs, userId) {
+    if (this.recordings.has(deviceId)) {
+      return Promise.reject(new Error(`Already recording "${this.recordings.get(deviceId).label}" for ${deviceId}`));
+    }
+
+    return new Promise(resolve => {
+      const recording = { label, features: [] };
+      this.recordings.set(deviceId, recording);
+
+      setTimeout(() => {
+        this.recordings.delete(deviceId);
+        const count = recording.features.length > 0
+          ? this.addSamples(deviceId, label, recording.features, userId)
+          : 0;
+        resolve(count);
+      }, Math.min(durationMs, MAX_RECORDING_MS));
+    });
+  }
+
+  /**
+   * Feed a calibrated frame to any recording in progress for this device
+   */
+  observe(deviceId, sensorData) {
+    const recording = this.recordings.get(deviceId);
+    if (recording) {
+      recording.features.push(extractFeatures(sensorData));
+    }
+  }
+
+  deleteLabel(deviceId, label) {
+    const entry = this.get(deviceId);
+    const before = entry.samples.length;
+    entry.samples = entry.samples.filter(sample => sample.label !== label);
+    delete entry.actions[label];
+
+    const removed = before - entry.samples.length;
+    if (removed > 0) this.save(deviceId);
+    return removed;
+  }
+
+  /**
+   * Train the device's model from its recorded samples.
+   * Returns { errors } when there isn't enough data, otherwise { model }.
+   */
+  train(deviceId, options = {}) {
+    const entry = this.get(deviceId);
+    const { sampleCounts } = this.summary(deviceId);
+    const errors = [];
+
+    if (entry.samples.length === 0) {
+      errors.push('No samples recorded for this device');
+    }
+    Object.entries(sampleCounts).forEach(([label, count]) => {
+      if (count < MIN_SAMPLES_PER_LABEL) {
+        errors.push(`"${label}" has ${count} samples, at least ${MIN_SAMPLES_PER_LABEL} are needed`);
+      }
+    });
+    if (options.mode !== undefined && !CLASSIFIER_MODES.includes(options.mode)) {
+      errors.push(`mode must be one of: ${CLASSIFIER_MODES.join(', ')}`);
+    }
+    if (options.k !== undefined && !(Number.isInteger(options.k) && options.k > 0)) {
+      errors.push('k must be a positive integer');
+    }
+    if (options.minConfidence !== undefined &&
+        !(typeof options.minConfidence === 'number' && options.minConfidence >= 0 && options.minConfidence <= 1)) {
+      errors.push('minConfidence must be a number in [0, 1]');
+    }
+    if (errors.length > 0) return { errors };
+
+    const modelOptions = {
+      ...DEFAULT_MODEL_OPTIONS,
+      ...entry.model && { k: entry.model.k, mode: entry.model.mode, minConfidence: entry.model.minConfidence },
+      ...options
+    };
+    entry.model = trainModel(entry.samples, modelOptions);
+    this.save(deviceId);
+
+    return { model: this.summary(deviceId).model };
+  }
+
+  setActions(deviceId, actions) {
+    const entry = this.get(deviceId);
+    Object.entries(actions).forEach(([label, action]) => {
+      if (action === null) {
+        delete entry.actions[label];
+      } else {
+        entry.actions[label] = action;
+      }
+    });
+    this.save(deviceId);
+    return entry.actions;
+  }
+
+  getAction(deviceId, label) {
+    return this.get(deviceId).actions[label] || null;
+  }
+
+  delete(deviceId) {
+    const filePath = this.filePath(deviceId);
+    const existed = fs.existsSync(filePath);
+    if (existed) fs.unlinkSync(filePath);
+    this.devices.delete(deviceId);
+    return existed;
+  }
+
+  /**
+   * Run the device's custom model on a calibrated frame.
+   * Returns null when the device has no trained model.
+   */
+  classify(deviceId, sensorData) {
+    const { model } = this.get(deviceId);
+    if (!model) return null;
+
+    return {
+      mode: model.mode,
+      minConfidence: model.minConfidence,
+      match: classifyWithModel(model, extractFeatures(sensorData))
+    };
+  }
+}
+
+module.exports = {
+  EDITOR_COMMANDS,
+  LABEL_PATTERN,
+  CustomGestureStore,
+  extractFeatures,
+  validateActions
+};
@@ -0,0 +1,172 @@
+/**
+ * Device Registry
+ * Registered gloves (handedness, display name, user, firmware) persisted on disk,
+ * plus the live status of every device that sends frames
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const HANDEDNESS = ['left', 'right'];
+
+// Devices that stream without being registered are treated as right hands until registered
+const DEFAULT_HANDEDNESS = 'right';
+
+const DEFAULT_OFFLINE_AFTER_MS = 3000;
+
+const OPTIONAL_STRING_FIELDS = ['name', 'userId', 'firmwareVersion'];
+
+/**
+ * Validate a registration payload. handedness is required for new devices only.
+ * Returns a list of error messages (empty when valid).
+ */
+function validateDevice(data, isNew) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object') {
+    return ['Device must be an object'];
+  }
+  if (!data.deviceId || typeof data.deviceId !== 'string') {
+    errors.push('deviceId is required');
+  }
+  if (data.handedness === undefined ? isNew : !HANDEDNESS.includes(data.handedness)) {
+    errors.push(`handedness must be one of: ${HANDEDNESS.join(', ')}`);
+  }
+  OPTIONAL_STRING_FIELDS.forEach(field => {
+    if (data[field] !== undefined && data[field] !== null && typeof data[field] !== 'string') {
+      errors.push(`${field} must be a string or null`);
+    }
+  });
+
+  return errors;
+}
+
+class DeviceRegistry {
+  constructor(filePath, { offlineAfterMs = DEFAULT_OFFLINE_AFTER_MS } = {}) {
+    this.filePath = filePath;
+    this.offlineAfterMs = offlineAfterMs;
+    this.devices = new Map();   // deviceId -> registration
+    this.status = new Map();    // deviceId -> { online, lastSeen, transport, frameCount }
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      Object.entries(stored).forEach(([deviceId, device]) => {
+        this.devices.set(deviceId, device);
+      });
+      console.log(`🧤 Loaded ${this.devices.size} registered device(s) from ${this.filePath}`);
+    } catch (error) {
+      console.error(`Failed to load device registry from ${this.filePath}:`, error.message);
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(this.devices), null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  isRegistered(deviceId) {
+    return this.devices.has(deviceId);
+  }
+
+  handedness(deviceId) {
+    return this.devices.get(deviceId)?.handedness || DEFAULT_HANDEDNESS;
+  }
+
+  /**
+   * Registration merged with live status; also works for devices that were only seen
+   */
+  describe(deviceId) {
+    const device = this.devices.get(deviceId);
+    const status = this.status.get(deviceId);
+    if (!device && !status) return null;
+
+    return {
+      deviceId,
+      registered: Boolean(device),
+      handedness: this.handedness(deviceId),
+      name: device?.name ?? null,
+      userId: device?.userId ?? null,
+      firmwareVersion: device?.firmwareVersion ?? null,
+      registeredAt: device?.registeredAt ?? null,
+      updatedAt: device?.updatedAt ?? null,
+      online: status?.online ?? false,
+      lastSeen: status?.lastSeen ?? null,
+      transport: status?.transport ?? null,
+      frameCount: status?.frameCount ?? 0
+    };
+  }
+
+  list() {
+    const ids = new Set([...this.devices.keys(), ...this.status.keys()]);
+    return Array.from(ids).map(deviceId => this.describe(deviceId));
+  }
+
+  /**
+   * Create or update a registration and persist it
+   */
+  register(data) {
+    const existing = this.devices.get(data.deviceId);
+    const now = Date.now();
+    const device = {
+      deviceId: data.deviceId,
+      handedness: data.handedness || existing.handedness,
+      registeredAt: existing?.registeredAt || now,
+      updatedAt: now
+    };
+    OPTIONAL_STRING_FIELDS.forEach(field => {
+      device[field] = data[field] !== undefined ? data[field] : existing?.[field] ?? null;
+    });
+
+    this.devices.set(data.deviceId, device);
+    this.save();
+    return this.describe(data.deviceId);
+  }
+
+  delete(deviceId) {
+    const existed = this.devices.delete(deviceId);
+    if (existed) this.save();
+    return existed;
+  }
+
+  /**
+   * Note a frame from the device. Returns true when the device just came (back) online.
+   */
+  touch(deviceId, transport, now = Date.now()) {
+    const status = this.status.get(deviceId);
+    this.status.set(deviceId, {
+      online: true,
+      lastSeen: now,
+      transport,
+      frameCount: (status?.frameCount || 0) + 1
+    });
+    return !status?.online;
+  }
+
+  /**
+   * Mark devices that haven't sent a frame for offlineAfterMs as offline.
+   * Returns the ids that just went offline.
+   */
+  sweep(now = Date.now()) {
+    const wentOffline = [];
+    this.status.forEach((status, deviceId) => {
+      if (status.online && now - status.lastSeen > this.offlineAfterMs) {
+        status.online = false;
+        wentOffline.push(deviceId);
+      }
+    });
+    return wentOffline;
+  }
+}
+
+module.exports = {
+  HANDEDNESS,
+  DeviceRegistry,
+  validateDevice
+};
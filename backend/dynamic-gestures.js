@@ -0,0 +1,242 @@
+/**
+ * Dynamic Gestures
+ * Motion gestures recognized from a device's recent movement rather than its hand pose:
+ * swipes and circles from the hand's path, a flick from a burst of wrist rotation and a
+ * double-tap from two sharp jolts in the accelerometer
+ *
+ * Hand motion is split into strokes (from when the hand starts moving until it stops). A circle
+ * fires as soon as the stroke has turned far enough; a swipe is decided when the stroke ends.
+ * Directions use the pipeline's conventions: x is right, y is up, seen from behind the hand.
+ */
+
+const DYNAMIC_GESTURES = [
+  'swipe-left', 'swipe-right', 'swipe-up', 'swipe-down',
+  'circle-cw', 'circle-ccw', 'flick', 'double-tap'
+];
+
+const DEFAULT_OPTIONS = {
+  strokeStartSpeed: 0.3,       // m/s the hand must exceed to start a stroke
+  strokeEndSpeed: 0.15,        // m/s below which the stroke is over
+  maxStrokeMs: 2000,           // Strokes longer than this are ordinary movement
+  swipeMinDistance: 0.12,      // m along the swipe direction
+  swipeMinSpeed: 0.8,          // m/s peak speed along the swipe direction
+  swipeMaxMs: 600,
+  swipeDominance: 2,           // Travel along the swipe direction vs. the largest other axis
+  circleMinTurn: 1.75 * Math.PI,   // rad the hand's direction of travel must turn through
+  circleMinSize: 0.05,         // m the circle must span in x and y
+  flickMinAngularSpeed: 6,     // rad/s of wrist rotation
+  flickMaxMs: 250,             // A rotation burst lasting longer is a turn, not a flick
+  tapMinAccel: 6,              // m/s² of jolt beyond gravity
+  tapMaxMs: 120,               // A jolt lasting longer is arm movement
+  doubleTapMinGapMs: 80,
+  doubleTapMaxGapMs: 400,
+  tapQuietMs: 200,             // Jolts this soon after a stroke come from starting/stopping the hand
+  cooldownMs: 400              // After a motion gesture, before the next one can fire
+};
+
+const GRAVITY = 9.81;
+
+const magnitude = v => Math.sqrt(v.reduce((sum, x) => sum + x * x, 0));
+
+function wrapAngle(angle) {
+  while (angle > Math.PI) angle -= 2 * Math.PI;
+  while (angle < -Math.PI) angle += 2 * Math.PI;
+  return angle;
+}
+
+// 0.5 at the threshold, 1 at twice the threshold
+const strength = (value, threshold) => Math.min(1, value / (2 * threshold));
+const round = value => Math.round(value * 100) / 100;
+
+class DynamicGestureRecognizer {
+  constructor(deviceId, options = {}) {
+    this.deviceId = deviceId;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.accelScale = null;
+    this.reset();
+  }
+
+  reset() {
+    this.stroke = null;          // { startedAt, samples: [{ timestamp, delta, velocity }], turn, lastHeading, consumed }
+    this.strokeEndedAt = null;
+    this.rotationBurst = null;   // { startedAt, peak }
+    this.jolt = null;            // { startedAt, peak }
+    this.lastTap = null;         // { timestamp, peak }
+    this.lastMotionGestureAt = null;
+  }
+
+  /**
+   * Feed one frame: the pipeline's movementData plus the raw accelerometer reading.
+   * Returns the gestures it completed, e.g. [{ gesture: 'swipe-left', confidence: 0.8, timestamp }].
+   */
+  update({ movementData, acceleration, timestamp }) {
+    const events = [];
+    const emit = (gesture, confidence, extra = {}) =>
+      events.push({ deviceId: this.deviceId, gesture, confidence: round(confidence), timestamp, ...extra });
+
+    if (movementData && movementData.deltaTime > 0) {
+      this.trackStroke(movementData, timestamp, emit);
+      this.trackRotation(movementData, timestamp, emit);
+    }
+    if (Array.isArray(acceleration) && acceleration.length === 3) {
+      this.trackTaps(acceleration, timestamp, emit);
+    }
+
+    return events;
+  }
+
+  coolingDown(timestamp) {
+    return this.lastMotionGestureAt !== null && timestamp - this.lastMotionGestureAt < this.options.cooldownMs;
+  }
+
+  trackStroke({ positionDelta, velocity }, timestamp, emit) {
+    const opts = this.options;
+    const speed = magnitude([velocity.x, velocity.y, velocity.z]);
+
+    if (!this.stroke) {
+      if (speed < opts.strokeStartSpeed) return;
+      this.stroke = { startedAt: timestamp, samples: [], turn: 0, lastHeading: null, consumed: false };
+    }
+    const stroke = this.stroke;
+
+    if (speed < opts.strokeEndSpeed) {
+      this.stroke = null;
+      this.strokeEndedAt = timestamp;
+      if (!stroke.consumed && !this.coolingDown(timestamp)) this.classifySwipe(stroke, timestamp, emit);
+      return;
+    }
+
+    if (timestamp - stroke.startedAt > opts.maxStrokeMs) stroke.consumed = true;
+    if (stroke.consumed) return;
+
+    stroke.samples.push({ timestamp, delta: positionDelta, velocity });
+
+    // Direction of travel in the x/y plane; positive turning is counter-clockwise
+    if (Math.hypot(velocity.x, velocity.y) >= opts.strokeEndSpeed) {
+      const heading = Math.atan2(velocity.y, velocity.x);
+      if (stroke.lastHeading !== null) stroke.turn += wrapAngle(heading - stroke.lastHeading);
+      stroke.lastHeading = heading;
+    }
+
+    if (Math.abs(stroke.turn) >= opts.circleMinTurn && !this.coolingDown(timestamp)) {
+      const { width, height } = this.strokeExtent(stroke);
+      if (width >= opts.circleMinSize && height >= opts.circleMinSize) {
+        // Rounder paths are more convincingly circles than flattened loops
+        const roundness = Math.min(width, height) / Math.max(width, height);
+        emit(stroke.turn < 0 ? 'circle-cw' : 'circle-ccw', 0.5 + 0.5 * roundness, {
+          durationMs: timestamp - stroke.startedAt
+        });
+        stroke.consumed = true;   // The rest of this stroke can't also be a swipe
+        this.lastMotionGestureAt = timestamp;
+      }
+    }
+  }
+
+  strokeExtent(stroke) {
+    let x = 0, y = 0, minX = 0, maxX = 0, minY = 0, maxY = 0;
+    stroke.samples.forEach(({ delta }) => {
+      x += delta.x;
+      y += delta.y;
+      minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+    });
+    return { width: maxX - minX, height: maxY - minY };
+  }
+
+  classifySwipe(stroke, timestamp, emit) {
+    const opts = this.options;
+    if (stroke.samples.length === 0 || timestamp - stroke.startedAt > opts.swipeMaxMs) return;
+
+    const total = { x: 0, y: 0, z: 0 };
+    let pathLength = 0;
+    stroke.samples.forEach(({ delta }) => {
+      total.x += delta.x;
+      total.y += delta.y;
+      total.z += delta.z;
+      pathLength += magnitude([delta.x, delta.y, delta.z]);
+    });
+
+    const axis = Math.abs(total.x) >= Math.abs(total.y) ? 'x' : 'y';
+    const distance = Math.abs(total[axis]);
+    const across = Math.max(...['x', 'y', 'z'].filter(other => other !== axis).map(other => Math.abs(total[other])));
+    const peakSpeed = Math.max(...stroke.samples.map(({ velocity }) => Math.abs(velocity[axis])));
+
+    if (distance < opts.swipeMinDistance || peakSpeed < opts.swipeMinSpeed ||
+        distance < opts.swipeDominance * across) {
+      return;
+    }
+
+    const direction = axis === 'x'
+      ? (total.x < 0 ? 'left' : 'right')
+      : (total.y < 0 ? 'down' : 'up');
+    const straightness = pathLength > 0 ? distance / pathLength : 0;
+    emit(`swipe-${direction}`, 0.5 * strength(distance, opts.swipeMinDistance) + 0.5 * straightness, {
+      durationMs: timestamp - stroke.startedAt
+    });
+    this.lastMotionGestureAt = timestamp;
+  }
+
+  trackRotation({ orientationDelta, deltaTime }, timestamp, emit) {
+    const opts = this.options;
+    const angularSpeed = magnitude(orientationDelta) / deltaTime;
+
+    if (angularSpeed >= opts.flickMinAngularSpeed) {
+      if (!this.rotationBurst) this.rotationBurst = { startedAt: timestamp, peak: 0 };
+      this.rotationBurst.peak = Math.max(this.rotationBurst.peak, angularSpeed);
+      return;
+    }
+
+    // The burst is over once the wrist slows to half the threshold
+    const burst = this.rotationBurst;
+    if (!burst || angularSpeed >= opts.flickMinAngularSpeed / 2) return;
+    this.rotationBurst = null;
+
+    // Rotating while the hand travels is part of a swipe or circle
+    if (timestamp - burst.startedAt <= opts.flickMaxMs && !this.stroke && !this.coolingDown(timestamp)) {
+      emit('flick', strength(burst.peak, opts.flickMinAngularSpeed));
+      this.lastMotionGestureAt = timestamp;
+    }
+  }
+
+  trackTaps(acceleration, timestamp, emit) {
+    const opts = this.options;
+
+    // Some boards report acceleration in g instead of m/s²; decide once from the first frame
+    if (this.accelScale === null) this.accelScale = magnitude(acceleration) < 3 ? GRAVITY : 1;
+    const jolt = Math.abs(magnitude(acceleration) * this.accelScale - GRAVITY);
+
+    if (jolt >= opts.tapMinAccel) {
+      if (!this.jolt) this.jolt = { startedAt: timestamp, peak: 0 };
+      this.jolt.peak = Math.max(this.jolt.peak, jolt);
+      return;
+    }
+
+    const current = this.jolt;
+    if (!current || jolt >= opts.tapMinAccel / 2) return;
+    this.jolt = null;
+
+    // Jolts from starting or stopping a stroke, a flick's wrist snap or just after another motion gesture aren't taps
+    const handStill = !this.stroke && !this.rotationBurst &&
+      (this.strokeEndedAt === null || timestamp - this.strokeEndedAt >= opts.tapQuietMs);
+    if (timestamp - current.startedAt > opts.tapMaxMs || !handStill || this.coolingDown(timestamp)) {
+      this.lastTap = null;
+      return;
+    }
+
+    const tap = { timestamp: current.startedAt, peak: current.peak };
+    const gap = this.lastTap ? tap.timestamp - this.lastTap.timestamp : null;
+    if (gap !== null && gap >= opts.doubleTapMinGapMs && gap <= opts.doubleTapMaxGapMs) {
+      emit('double-tap', strength((tap.peak + this.lastTap.peak) / 2, opts.tapMinAccel), { gapMs: gap });
+      this.lastTap = null;   // A third tap starts a new pair
+      this.lastMotionGestureAt = timestamp;
+    } else {
+      this.lastTap = tap;
+    }
+  }
+}
+
+module.exports = {
+  DYNAMIC_GESTURES,
+  DEFAULT_OPTIONS,
+  DynamicGestureRecognizer
+};
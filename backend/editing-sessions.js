@@ -0,0 +1,161 @@
+/**
+ * Editing Sessions
+ * Named sessions (socket.io rooms) that keep editors and gloves apart: each has its own gesture
+ * state and scene, the devices whose frames it receives and the browser clients editing it
+ */
+
+const { BimanualTracker } = require('./bimanual-gestures');
+const { SceneDocument } = require('./scene-document');
+
+// Devices and clients that never pick a session share this one
+const DEFAULT_SESSION_ID = 'default';
+const SESSION_ID_PATTERN = /^[a-z0-9_-]{1,64}$/i;
+
+/**
+ * Validate a session id from a URL, query string or request body.
+ * Returns a list of error messages (empty when valid).
+ */
+function validateSessionId(sessionId) {
+  if (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId)) {
+    return ['sessionId must be 1-64 letters, digits, "-" or "_"'];
+  }
+  return [];
+}
+
+class EditingSession {
+  constructor(id) {
+    this.id = id;
+    this.room = `session:${id}`;
+    this.createdAt = Date.now();
+    this.gestureState = {
+      leftHand: null,
+      rightHand: null,
+      selectedObject: null,
+      transformMode: 'translate'
+    };
+    this.devices = new Set();
+    this.clients = new Map();   // socket id -> joinedAt
+    this.bimanualTracker = new BimanualTracker();
+    this.scene = new SceneDocument();
+    this.selections = new Map();   // socket id -> { name, objectId }
+  }
+
+  /**
+   * What each editor in the session has selected
+   */
+  describeSelections() {
+    return Array.from(this.selections, ([clientId, { name, objectId }]) => ({ clientId, name, objectId }));
+  }
+}
+
+class SessionManager {
+  constructor() {
+    this.sessions = new Map();
+    this.deviceSessions = new Map();   // deviceId -> session id
+    this.clientSessions = new Map();   // socket id -> session id
+    this.ensure(DEFAULT_SESSION_ID);
+  }
+
+  get(sessionId) {
+    return this.sessions.get(sessionId) || null;
+  }
+
+  /**
+   * Get a session, creating it on first use
+   */
+  ensure(sessionId) {
+    if (!this.sessions.has(sessionId)) {
+      this.sessions.set(sessionId, new EditingSession(sessionId));
+    }
+    return this.sessions.get(sessionId);
+  }
+
+  sessionIdForDevice(deviceId) {
+    return this.deviceSessions.get(deviceId) || DEFAULT_SESSION_ID;
+  }
+
+  /**
+   * The session a device's frames go to; devices that never joined one land in the default session
+   */
+  sessionForDevice(deviceId) {
+    if (!this.deviceSessions.has(deviceId)) {
+      this.assignDevice(deviceId, DEFAULT_SESSION_ID);
+    }
+    return this.sessions.get(this.deviceSessions.get(deviceId));
+  }
+
+  /**
+   * Move a device into a session. Returns the session it left, or null if it was already there.
+   */
+  assignDevice(deviceId, sessionId) {
+    const previousId = this.deviceSessions.get(deviceId);
+    if (previousId === sessionId) return null;
+
+    const previous = previousId ? this.sessions.get(previousId) : null;
+    previous?.devices.delete(deviceId);
+    this.ensure(sessionId).devices.add(deviceId);
+    this.deviceSessions.set(deviceId, sessionId);
+    return previous;
+  }
+
+  sessionForClient(socketId) {
+    return this.sessions.get(this.clientSessions.get(socketId)) || null;
+  }
+
+  /**
+   * Move a browser client into a session. Returns the session it left, if any.
+   */
+  assignClient(socketId, sessionId) {
+    const previous = this.removeClient(socketId);
+    this.ensure(sessionId).clients.set(socketId, Date.now());
+    this.clientSessions.set(socketId, sessionId);
+    return previous;
+  }
+
+  removeClient(socketId) {
+    const session = this.sessionForClient(socketId);
+    session?.clients.delete(socketId);
+    session?.selections.delete(socketId);
+    this.clientSessions.delete(socketId);
+    return session;
+  }
+
+  /**
+   * Delete a session. Its devices and clients are left for the caller to move elsewhere.
+   * The default session can't be deleted.
+   */
+  delete(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session || sessionId === DEFAULT_SESSION_ID) return null;
+
+    session.devices.forEach(deviceId => this.deviceSessions.delete(deviceId));
+    session.clients.forEach((joinedAt, socketId) => this.clientSessions.delete(socketId));
+    this.sessions.delete(sessionId);
+    return session;
+  }
+
+  /**
+   * Session summary with its participants; describeDevice fills in device details
+   */
+  describe(sessionId, describeDevice = deviceId => ({ deviceId })) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return null;
+
+    return {
+      sessionId,
+      createdAt: session.createdAt,
+      devices: Array.from(session.devices).map(describeDevice),
+      clients: Array.from(session.clients).map(([socketId, joinedAt]) => ({ socketId, joinedAt }))
+    };
+  }
+
+  list(describeDevice) {
+    return Array.from(this.sessions.keys()).map(sessionId => this.describe(sessionId, describeDevice));
+  }
+}
+
+module.exports = {
+  DEFAULT_SESSION_ID,
+  validateSessionId,
+  SessionManager
+};
@@ -0,0 +1,324 @@
+/**
+ * Gesture Configuration
+ * Classifier thresholds, gesture stabilization, the gesture → transform mode mapping and the
+ * glove button and motion gesture bindings, persisted to a JSON config file with optional per-device overrides
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_OPTIONS: DEFAULT_STABILIZATION } = require('./gesture-state-machine');
+const { BUTTONS, BUTTON_EVENT_TYPES } = require('./button-events');
+const { DYNAMIC_GESTURES } = require('./dynamic-gestures');
+
+const TRANSFORM_MODES = ['translate', 'rotate', 'scale', 'cursor'];
+
+// Commands the editor runs when a custom gesture starts, a glove button fires or a motion gesture is recognized
+const EDITOR_COMMANDS = ['undo', 'redo', 'confirm', 'cancel', 'select-hovered', 'deselect', 'cycle-mode'];
+
+const DEFAULT_GESTURE_CONFIG = {
+  thresholds: {
+    FINGER_OPEN: 0.3,          // Index bend below this counts as extended (pointing)
+    FINGER_CLOSED: 0.7,        // Other finger bends above this count as retracted (pointing)
+    FIST_THRESHOLD: 0.6,       // Every finger above this is a fist
+    FIST_GYRO: 1.0,            // Gyro magnitude (rad/s) that also counts as a fist
+    OPEN_PALM_THRESHOLD: 0.4,  // Every finger below this is an open palm
+    OPEN_PALM_MAX_GYRO: 0.5,   // Open palm requires the hand to be steadier than this
+    POINTING_MAX_GYRO: 0.3,    // Pointing requires the hand to be steadier than this
+    PINCH_DISTANCE: 0.03,      // Estimated thumb-index distance (m) below which we pinch
+    PINCH_MAX_GYRO: 0.5        // Pinch requires the hand to be steadier than this
+  },
+  stabilization: { ...DEFAULT_STABILIZATION },
+  gestureModes: {
+    open_palm: 'translate',
+    fist: 'rotate',
+    pinch: 'scale',
+    pointing: 'cursor'
+  },
+  defaultMode: 'translate',
+  // Button -> { event type -> editor command }; null unbinds
+  buttonActions: {
+    select: { press: 'select-hovered' },
+    mode: { press: 'cycle-mode' },
+    confirm: { press: 'confirm' }
+  },
+  // Motion gesture -> editor command; null (or leaving it out) ignores it
+  dynamicGestureActions: {
+    'swipe-left': 'undo',
+    'swipe-right': 'redo'
+  },
+  devices: {}
+};
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateNumbers(section, allowedKeys, label, errors) {
+  if (!isPlainObject(section)) {
+    errors.push(`${label} must be an object`);
+    return;
+  }
+  Object.entries(section).forEach(([key, value]) => {
+    if (!allowedKeys.includes(key)) {
+      errors.push(`${label}.${key} is not a known setting`);
+    } else if (!isNumber(value) || value < 0) {
+      errors.push(`${label}.${key} must be a non-negative number`);
+    }
+  });
+}
+
+function validateModes(gestureModes, label, errors) {
+  if (!isPlainObject(gestureModes)) {
+    errors.push(`${label} must be an object`);
+    return;
+  }
+  Object.entries(gestureModes).forEach(([gesture, mode]) => {
+    if (!TRANSFORM_MODES.includes(mode)) {
+      errors.push(`${label}.${gesture} must be one of: ${TRANSFORM_MODES.join(', ')}`);
+    }
+  });
+}
+
+function validateButtonActions(buttonActions, label, errors) {
+  if (!isPlainObject(buttonActions)) {
+    errors.push(`${label} must be an object`);
+    return;
+  }
+  Object.entries(buttonActions).forEach(([button, bindings]) => {
+    if (!BUTTONS.includes(button)) {
+      errors.push(`${label}.${button} is not a button (${BUTTONS.join(', ')})`);
+    } else if (!isPlainObject(bindings)) {
+      errors.push(`${label}.${button} must be an object`);
+    } else {
+      Object.entries(bindings).forEach(([type, command]) => {
+        if (!BUTTON_EVENT_TYPES.includes(type)) {
+          errors.push(`${label}.${button}.${type} must be one of: ${BUTTON_EVENT_TYPES.join(', ')}`);
+        } else if (command !== null && !EDITOR_COMMANDS.includes(command)) {
+          errors.push(`${label}.${button}.${type} must be null or one of: ${EDITOR_COMMANDS.join(', ')}`);
+        }
+      });
+    }
+  });
+}
+
+function validateDynamicGestureActions(actions, label, errors) {
+  if (!isPlainObject(actions)) {
+    errors.push(`${label} must be an object`);
+    return;
+  }
+  Object.entries(actions).forEach(([gesture, command]) => {
+    if (!DYNAMIC_GESTURES.includes(gesture)) {
+      errors.push(`${label}.${gesture} is not a motion gesture (${DYNAMIC_GESTURES.join(', ')})`);
+    } else if (command !== null && !EDITOR_COMMANDS.includes(command)) {
+      errors.push(`${label}.${gesture} must be null or one of: ${EDITOR_COMMANDS.join(', ')}`);
+    }
+  });
+}
+
+// Stabilization settings only make sense together, so this checks a complete (merged) set
+function validateStabilization(stabilization, label, errors) {
+  const { smoothingMs, enterThreshold, exitThreshold } = stabilization;
+  if (!(smoothingMs > 0)) {
+    errors.push(`${label}stabilization.smoothingMs must be greater than 0`);
+  }
+  if (!(exitThreshold >= 0 && exitThreshold < enterThreshold && enterThreshold <= 1)) {
+    errors.push(`${label}stabilization must have 0 <= exitThreshold < enterThreshold <= 1`);
+  }
+}
+
+// Validate the part of a config a device can override (thresholds, stabilization, gestureModes, buttonActions, dynamicGestureActions)
+function validateOverrides(overrides, label, errors) {
+  const { thresholds, stabilization, gestureModes, buttonActions, dynamicGestureActions } = overrides;
+
+  if (thresholds !== undefined) {
+    validateNumbers(thresholds, Object.keys(DEFAULT_GESTURE_CONFIG.thresholds), `${label}thresholds`, errors);
+  }
+  if (stabilization !== undefined) {
+    validateNumbers(stabilization, Object.keys(DEFAULT_GESTURE_CONFIG.stabilization), `${label}stabilization`, errors);
+  }
+  if (gestureModes !== undefined) {
+    validateModes(gestureModes, `${label}gestureModes`, errors);
+  }
+  if (buttonActions !== undefined) {
+    validateButtonActions(buttonActions, `${label}buttonActions`, errors);
+  }
+  if (dynamicGestureActions !== undefined) {
+    validateDynamicGestureActions(dynamicGestureActions, `${label}dynamicGestureActions`, errors);
+  }
+}
+
+/**
+ * Validate a partial config update.
+ * Returns a list of error messages (empty when valid).
+ */
+function validateGestureConfig(update) {
+  const errors = [];
+
+  if (!isPlainObject(update)) {
+    return ['Config must be an object'];
+  }
+
+  validateOverrides(update, '', errors);
+
+  if (update.defaultMode !== undefined && !TRANSFORM_MODES.includes(update.defaultMode)) {
+    errors.push(`defaultMode must be one of: ${TRANSFORM_MODES.join(', ')}`);
+  }
+
+  if (update.devices !== undefined) {
+    if (!isPlainObject(update.devices)) {
+      errors.push('devices must be an object');
+    } else {
+      Object.entries(update.devices).forEach(([deviceId, overrides]) => {
+        // null removes a device's overrides
+        if (overrides === null) return;
+        if (!isPlainObject(overrides)) {
+          errors.push(`devices.${deviceId} must be an object or null`);
+        } else {
+          validateOverrides(overrides, `devices.${deviceId}.`, errors);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+function cloneDefaults() {
+  return JSON.parse(JSON.stringify(DEFAULT_GESTURE_CONFIG));
+}
+
+// Bindings merge per button, so overriding one event type keeps the button's other bindings
+function mergeButtonActions(base = {}, overrides = {}) {
+  const merged = { ...base };
+  Object.entries(overrides).forEach(([button, bindings]) => {
+    merged[button] = { ...merged[button], ...bindings };
+  });
+  return merged;
+}
+
+function mergeOverrides(base, overrides = {}) {
+  return {
+    thresholds: { ...base.thresholds, ...overrides.thresholds },
+    stabilization: { ...base.stabilization, ...overrides.stabilization },
+    gestureModes: { ...base.gestureModes, ...overrides.gestureModes },
+    buttonActions: mergeButtonActions(base.buttonActions, overrides.buttonActions),
+    dynamicGestureActions: { ...base.dynamicGestureActions, ...overrides.dynamicGestureActions }
+  };
+}
+
+function validateMergedConfig(config) {
+  const errors = [];
+  validateStabilization(config.stabilization, '', errors);
+  Object.entries(config.devices).forEach(([deviceId, overrides]) => {
+    validateStabilization(mergeOverrides(config, overrides).stabilization, `devices.${deviceId}.`, errors);
+  });
+  return errors;
+}
+
+class GestureConfigStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.config = cloneDefaults();
+    this.listeners = new Set();
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      let errors = validateGestureConfig(stored);
+      if (errors.length === 0) errors = this.validateUpdate(stored);
+      if (errors.length > 0) {
+        console.error(`Ignoring invalid gesture config in ${this.filePath}:`, errors);
+        return;
+      }
+      this.config = this.merge(this.config, stored);
+      console.log(`⚙️  Loaded gesture config from ${this.filePath}`);
+    } catch (error) {
+      console.error(`Failed to load gesture config from ${this.filePath}:`, error.message);
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.config, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  merge(config, update) {
+    const merged = {
+      ...mergeOverrides(config, update),
+      defaultMode: update.defaultMode || config.defaultMode,
+      devices: { ...config.devices }
+    };
+
+    Object.entries(update.devices || {}).forEach(([deviceId, overrides]) => {
+      if (overrides === null) {
+        delete merged.devices[deviceId];
+      } else {
+        const existing = merged.devices[deviceId] || {};
+        merged.devices[deviceId] = mergeOverrides(existing, overrides);
+      }
+    });
+
+    return merged;
+  }
+
+  get() {
+    return this.config;
+  }
+
+  /**
+   * Effective config for one device: global settings with its overrides applied
+   */
+  resolve(deviceId) {
+    return {
+      ...mergeOverrides(this.config, this.config.devices[deviceId]),
+      defaultMode: this.config.defaultMode
+    };
+  }
+
+  /**
+   * Errors in the config a valid partial update would produce once merged, global and per device
+   */
+  validateUpdate(partial) {
+    return validateMergedConfig(this.merge(this.config, partial));
+  }
+
+  /**
+   * Merge a partial update into the config, persist it and notify listeners
+   */
+  update(partial) {
+    this.config = this.merge(this.config, partial);
+    this.save();
+    this.listeners.forEach(listener => listener(this.config));
+    return this.config;
+  }
+
+  reset() {
+    this.config = cloneDefaults();
+    this.save();
+    this.listeners.forEach(listener => listener(this.config));
+    return this.config;
+  }
+
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+module.exports = {
+  TRANSFORM_MODES,
+  EDITOR_COMMANDS,
+  DEFAULT_GESTURE_CONFIG,
+  GestureConfigStore,
+  validateGestureConfig
+};
@@ -0,0 +1,136 @@
+/**
+ * Gesture State Machine
+ * Turns per-frame gesture classifications into a stable gesture per device,
+ * with confidence smoothing, enter/exit hysteresis and a minimum dwell time
+ */
+
+const DEFAULT_OPTIONS = {
+  smoothingMs: 60,         // Time constant of the confidence smoothing
+  enterThreshold: 0.5,     // Smoothed confidence needed to start a gesture (must stay below the classifier's lowest confidence)
+  exitThreshold: 0.3,      // Smoothed confidence below which an active gesture ends
+  minDwellMs: 100          // How long a candidate must stay on top before it starts
+};
+
+class GestureStateMachine {
+  constructor(deviceId, options = {}) {
+    this.deviceId = deviceId;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+
+    this.scores = {};            // Smoothed confidence per gesture
+    this.lastTimestamp = null;
+    this.activeGesture = 'neutral';
+    this.activeSince = null;
+    this.candidate = null;
+    this.candidateSince = null;
+  }
+
+  setOptions(options) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  /**
+   * Feed one classified frame into the machine.
+   * Returns the stable gesture plus any gesture-start / gesture-end events it caused.
+   */
+  update(gesture, confidence, timestamp = Date.now()) {
+    const { smoothingMs, enterThreshold, exitThreshold, minDwellMs } = this.options;
+    const events = [];
+
+    // Exponential smoothing weighted by elapsed time, so behaviour doesn't depend on the glove's frame rate
+    const deltaMs = this.lastTimestamp === null ? Infinity : Math.max(0, timestamp - this.lastTimestamp);
+    const smoothingFactor = 1 - Math.exp(-deltaMs / smoothingMs);
+    this.lastTimestamp = timestamp;
+
+    // Decay every known gesture and reinforce the one seen in this frame
+    if (gesture !== 'neutral' && !(gesture in this.scores)) {
+      this.scores[gesture] = 0;
+    }
+    Object.keys(this.scores).forEach(name => {
+      const observed = name === gesture ? confidence : 0;
+      this.scores[name] = smoothingFactor * observed + (1 - smoothingFactor) * this.scores[name];
+    });
+
+    // Strongest non-neutral gesture is the candidate to enter
+    let top = null;
+    Object.entries(this.scores).forEach(([name, score]) => {
+      if (!top || score > top.score) top = { name, score };
+    });
+
+    if (top && top.name !== this.activeGesture && top.score >= enterThreshold) {
+      if (this.candidate !== top.name) {
+        this.candidate = top.name;
+        this.candidateSince = timestamp;
+      }
+    } else {
+      this.candidate = null;
+      this.candidateSince = null;
+    }
+
+    const active = this.activeGesture;
+    const activeScore = this.scores[active] ?? 0;
+    const candidateReady = this.candidate !== null && timestamp - this.candidateSince >= minDwellMs;
+    const activeFaded = active !== 'neutral' && activeScore < exitThreshold;
+    const overtaken = candidateReady && this.scores[this.candidate] > activeScore;
+
+    if (activeFaded || (active !== 'neutral' && overtaken)) {
+      events.push(this.end(timestamp, activeFaded ? 'released' : 'replaced'));
+    }
+
+    if (candidateReady && this.activeGesture === 'neutral') {
+      events.push(this.start(this.candidate, timestamp));
+    }
+
+    return {
+      gesture: this.activeGesture,
+      confidence: this.activeGesture === 'neutral'
+        ? 1 - Math.max(0, ...Object.values(this.scores))
+        : this.scores[this.activeGesture],
+      events
+    };
+  }
+
+  start(gesture, timestamp) {
+    this.activeGesture = gesture;
+    this.activeSince = timestamp;
+    this.candidate = null;
+    this.candidateSince = null;
+
+    return {
+      type: 'gesture-start',
+      deviceId: this.deviceId,
+      gesture,
+      confidence: this.scores[gesture],
+      timestamp
+    };
+  }
+
+  end(timestamp, reason) {
+    const gesture = this.activeGesture;
+    const duration = timestamp - this.activeSince;
+    this.activeGesture = 'neutral';
+    this.activeSince = null;
+
+    return {
+      type: 'gesture-end',
+      deviceId: this.deviceId,
+      gesture,
+      duration,
+      reason,
+      timestamp
+    };
+  }
+
+  /**
+   * Force the active gesture to end, e.g. when the device goes away or is recalibrated
+   */
+  reset(timestamp = this.lastTimestamp ?? Date.now()) {
+    const events = this.activeGesture !== 'neutral' ? [this.end(timestamp, 'reset')] : [];
+    this.scores = {};
+    this.lastTimestamp = null;
+    this.candidate = null;
+    this.candidateSince = null;
+    return events;
+  }
+}
+
+module.exports = { GestureStateMachine, DEFAULT_OPTIONS };
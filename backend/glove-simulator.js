@@ -5,11 +5,21 @@
  */
 
 const axios = require('axios');
+const dgram = require('dgram');
+const { encodeFrames } = require('./udp-ingest');
 
 const BACKEND_URL = 'http://localhost:3001';
 const DEVICE_ID = 'rightHand1';
 const UPDATE_INTERVAL = 100; // milliseconds
 
+// Required once the backend has auth on: issue one with POST /admin/device-keys
+const DEVICE_API_KEY = process.env.DEVICE_API_KEY;
+
+// --udp streams binary frames to the backend's UDP listener instead of POSTing JSON
+const USE_UDP = process.argv.includes('--udp');
+const UDP_HOST = '127.0.0.1';
+const UDP_PORT = Number(process.env.UDP_PORT || 3002);
+
 // Simulate different gesture patterns
 const GESTURE_PATTERNS = {
   pointing: {
@@ -49,6 +59,7 @@ class GloveSimulator {
     this.gestureStartTime = Date.now();
     this.gestureDuration = 3000; // Hold gesture for 3 seconds
     this.handOrientation = { roll: 0, pitch: 0, yaw: 0 };
+    this.handAngularVelocity = { roll: 0, pitch: 0, yaw: 0 };
     this.isRunning = false;
     
     // Gesture sequence for demo
@@ -71,6 +82,13 @@ class GloveSimulator {
       pitch: this.addNoise(Math.sin(time * 0.3) * 0.4),
       yaw: this.addNoise(Math.sin(time * 0.2) * 0.6)
     };
+    
+    // Gyroscope reads the rate of change of the same motion (rad/s)
+    this.handAngularVelocity = {
+      roll: this.addNoise(Math.cos(time * 0.5) * 0.15, 0.02),
+      pitch: this.addNoise(Math.cos(time * 0.3) * 0.12, 0.02),
+      yaw: this.addNoise(Math.cos(time * 0.2) * 0.12, 0.02)
+    };
   }
 
   // Cycle through different gestures
@@ -103,6 +121,7 @@ class GloveSimulator {
     });
 
     return {
+      schemaVersion: 2,
       deviceId: DEVICE_ID,
       timestamp: Date.now(),
       imu: {
@@ -115,6 +134,11 @@ class GloveSimulator {
           this.addNoise(0, 0.1),
           this.addNoise(9.8, 0.2),  // Gravity
           this.addNoise(0, 0.1)
+        ],
+        gyroscope: [
+          this.handAngularVelocity.roll,
+          this.handAngularVelocity.pitch,
+          this.handAngularVelocity.yaw
         ]
       },
       fingers: noisyFingers,
@@ -137,10 +161,17 @@ class GloveSimulator {
     try {
       const sensorData = this.generateSensorData();
       
+      if (USE_UDP) {
+        this.udpSocket = this.udpSocket || dgram.createSocket('udp4');
+        this.udpSocket.send(encodeFrames(DEVICE_ID, [sensorData]), UDP_PORT, UDP_HOST);
+        return;
+      }
+      
       const response = await axios.post(`${BACKEND_URL}/sensor-data`, sensorData, {
         timeout: 5000,
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...(DEVICE_API_KEY && { 'X-Device-Key': DEVICE_API_KEY })
         }
       });
 
@@ -152,6 +183,8 @@ class GloveSimulator {
     } catch (error) {
       if (error.code === 'ECONNREFUSED') {
         console.error('❌ Backend not running. Start with: npm run dev');
+      } else if ([401, 403].includes(error.response?.status)) {
+        console.error(`❌ ${error.response.data.error}: ${error.response.data.details.join(', ')} (set DEVICE_API_KEY)`);
       } else {
         console.error('❌ Error sending data:', error.message);
       }
@@ -161,7 +194,7 @@ class GloveSimulator {
   // Start the simulation
   start() {
     console.log('🚀 Starting Glove Data Simulator...');
-    console.log(`📡 Sending data to: ${BACKEND_URL}/sensor-data`);
+    console.log(`📡 Sending data to: ${USE_UDP ? `udp://${UDP_HOST}:${UDP_PORT}` : `${BACKEND_URL}/sensor-data`}`);
     console.log(`🤲 Device ID: ${DEVICE_ID}`);
     console.log('👋 Gesture sequence:', this.gestureSequence.join(' → '));
     console.log('');
@@ -182,6 +215,10 @@ class GloveSimulator {
     if (this.interval) {
       clearInterval(this.interval);
     }
+    if (this.udpSocket) {
+      this.udpSocket.close();
+      this.udpSocket = null;
+    }
   }
 }
 
@@ -0,0 +1,91 @@
+/**
+ * Haptics
+ * Per-device queue of vibration commands for the gloves' motors. HTTP gloves collect them in the
+ * /sensor-data response; gloves on the socket.io namespace get them pushed as they are queued.
+ */
+
+// Defaults per pattern; editors can override intensity and duration
+const HAPTIC_PATTERNS = {
+  pulse: { intensity: 0.5, durationMs: 30 },
+  'double-pulse': { intensity: 0.7, durationMs: 40 },
+  buzz: { intensity: 1.0, durationMs: 150 }
+};
+
+const MIN_DURATION_MS = 10;
+const MAX_DURATION_MS = 2000;
+
+// Feedback that arrives late is worse than none, and a glove that stops polling shouldn't pile up commands
+const DEFAULT_TTL_MS = 1000;
+const DEFAULT_MAX_QUEUED = 16;
+
+/**
+ * Validate a haptic command. Returns a list of error messages (empty when valid).
+ */
+function validateHapticCommand(command) {
+  if (!command || typeof command !== 'object') return ['Haptic command must be an object'];
+
+  const errors = [];
+  if (!HAPTIC_PATTERNS[command.pattern]) {
+    errors.push(`pattern must be one of: ${Object.keys(HAPTIC_PATTERNS).join(', ')}`);
+  }
+  if (command.intensity !== undefined &&
+      (typeof command.intensity !== 'number' || !(command.intensity >= 0 && command.intensity <= 1))) {
+    errors.push('intensity must be a number between 0 and 1');
+  }
+  if (command.durationMs !== undefined &&
+      (!Number.isInteger(command.durationMs) || command.durationMs < MIN_DURATION_MS || command.durationMs > MAX_DURATION_MS)) {
+    errors.push(`durationMs must be an integer between ${MIN_DURATION_MS} and ${MAX_DURATION_MS}`);
+  }
+  return errors;
+}
+
+class HapticQueue {
+  constructor({ ttlMs = DEFAULT_TTL_MS, maxQueued = DEFAULT_MAX_QUEUED } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxQueued = maxQueued;
+    this.queues = new Map();   // deviceId -> commands, oldest first
+    this.nextId = 1;
+  }
+
+  /**
+   * Queue a validated command for a device, filling in the pattern's defaults.
+   * Returns the queued command.
+   */
+  enqueue(deviceId, { pattern, intensity, durationMs }, now = Date.now()) {
+    const defaults = HAPTIC_PATTERNS[pattern];
+    const command = {
+      id: this.nextId++,
+      pattern,
+      intensity: intensity ?? defaults.intensity,
+      durationMs: durationMs ?? defaults.durationMs,
+      createdAt: now
+    };
+
+    if (!this.queues.has(deviceId)) this.queues.set(deviceId, []);
+    const queue = this.queues.get(deviceId);
+    queue.push(command);
+    if (queue.length > this.maxQueued) queue.shift();
+    return command;
+  }
+
+  /**
+   * Take every command still fresh enough to play, emptying the device's queue
+   */
+  drain(deviceId, now = Date.now()) {
+    const queue = this.queues.get(deviceId);
+    if (!queue) return [];
+
+    this.queues.delete(deviceId);
+    return queue.filter(command => now - command.createdAt <= this.ttlMs);
+  }
+
+  clear(deviceId) {
+    this.queues.delete(deviceId);
+  }
+}
+
+module.exports = {
+  HAPTIC_PATTERNS,
+  validateHapticCommand,
+  HapticQueue
+};
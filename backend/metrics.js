@@ -0,0 +1,192 @@
+/**
+ * Metrics
+ * Counters, gauges and histograms for the gesture pipeline, rendered in the Prometheus text
+ * exposition format for GET /metrics
+ */
+
+// Seconds; processing a frame normally takes well under a millisecond
+const DEFAULT_BUCKETS = [0.0001, 0.00025, 0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labelNames, values, extra = []) {
+  const pairs = labelNames.map((name, index) => [name, values[index]]).concat(extra);
+  if (pairs.length === 0) return '';
+  return `{${pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Shared bookkeeping: one series per combination of label values
+ */
+class Metric {
+  constructor(type, { name, help, labelNames = [] }) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();   // JSON of label values -> series state
+  }
+
+  labelValues(labels) {
+    return this.labelNames.map(name => labels[name] ?? '');
+  }
+
+  seriesFor(labels, create) {
+    const values = this.labelValues(labels);
+    const key = JSON.stringify(values);
+    if (!this.series.has(key)) this.series.set(key, { values, ...create() });
+    return this.series.get(key);
+  }
+
+  render() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.renderSeries()];
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  renderSeries() {
+    return Array.from(this.series.values(), ({ values, value }) =>
+      `${this.name}${formatLabels(this.labelNames, values)} ${formatValue(value)}`);
+  }
+}
+
+/**
+ * Gauges either get set as things happen, or are filled in by collect() right before rendering
+ */
+class Gauge extends Metric {
+  constructor({ collect, ...options }) {
+    super('gauge', options);
+    this.collect = collect;
+  }
+
+  set(labels = {}, value) {
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+
+  renderSeries() {
+    if (this.collect) {
+      this.series.clear();
+      this.collect(this);
+    }
+    return Array.from(this.series.values(), ({ values, value }) =>
+      `${this.name}${formatLabels(this.labelNames, values)} ${formatValue(value)}`);
+  }
+}
+
+class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super('histogram', options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((upperBound, index) => {
+      if (value <= upperBound) series.counts[index] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  renderSeries() {
+    const lines = [];
+    this.series.forEach(({ values, counts, sum, count }) => {
+      this.buckets.forEach((upperBound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, [['le', formatValue(upperBound)]])} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, [['le', '+Inf']])} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(this.labelNames, values)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(this.labelNames, values)} ${count}`);
+    });
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  /**
+   * All metrics in the Prometheus text format
+   */
+  render() {
+    return `${this.metrics.flatMap(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+/**
+ * Events per second per key (e.g. frames per device) over a sliding window
+ */
+class RateTracker {
+  constructor(windowMs = 5000) {
+    this.windowMs = windowMs;
+    this.timestamps = new Map();   // key -> event times, oldest first
+  }
+
+  record(key, now = Date.now()) {
+    if (!this.timestamps.has(key)) this.timestamps.set(key, []);
+    this.timestamps.get(key).push(now);
+    this.prune(key, now);
+  }
+
+  prune(key, now) {
+    const times = this.timestamps.get(key);
+    while (times.length > 0 && now - times[0] > this.windowMs) times.shift();
+  }
+
+  /**
+   * Rate for every key that had an event within the window
+   */
+  rates(now = Date.now()) {
+    const rates = new Map();
+    this.timestamps.forEach((times, key) => {
+      this.prune(key, now);
+      if (times.length === 0) {
+        this.timestamps.delete(key);
+      } else {
+        rates.set(key, times.length / (this.windowMs / 1000));
+      }
+    });
+    return rates;
+  }
+}
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  MetricsRegistry,
+  RateTracker
+};
@@ -8,6 +8,10 @@ const axios = require('axios');
 const BACKEND_URL = 'http://localhost:3001';
 const DEVICE_ID = 'testHand_right';
 
+// Needed once the backend has auth on: a device API key for DEVICE_ID, and an editor token for /current-state
+const DEVICE_API_KEY = process.env.DEVICE_API_KEY;
+const EDITOR_TOKEN = process.env.EDITOR_TOKEN;
+
 class MovementTester {
   constructor() {
     this.testSequences = [
@@ -187,6 +191,7 @@ generateTestData() {
   this.previousOrientation = [...movement.orientation];
 
   return {
+    schemaVersion: 2,
     deviceId: DEVICE_ID,
     timestamp: Date.now(),
     imu: {
@@ -228,7 +233,10 @@ generateTestData() {
       const testData = this.generateTestData();
       const response = await axios.post(`${BACKEND_URL}/sensor-data`, testData, {
         timeout: 3000,
-        headers: { 'Content-Type': 'application/json' }
+        headers: {
+          'Content-Type': 'application/json',
+          ...(DEVICE_API_KEY && { 'X-Device-Key': DEVICE_API_KEY })
+        }
       });
 
       if (response.data.status === 'success') {
@@ -360,7 +368,10 @@ generateTestData() {
       const healthResponse = await axios.get(`${BACKEND_URL}/health`, { timeout: 2000 });
       console.log('✅ Backend health:', healthResponse.data);
       
-      const stateResponse = await axios.get(`${BACKEND_URL}/current-state`, { timeout: 2000 });
+      const stateResponse = await axios.get(`${BACKEND_URL}/current-state`, {
+        timeout: 2000,
+        headers: EDITOR_TOKEN ? { Authorization: `Bearer ${EDITOR_TOKEN}` } : {}
+      });
       console.log('📊 Current gesture state:', stateResponse.data.currentState);
       console.log(`👥 Connected clients: ${stateResponse.data.connectedClients}`);
       
@@ -0,0 +1,312 @@
+/**
+ * Scene Document
+ * The authoritative scene of an editing session: editors send operations, the server applies them
+ * in arrival order, numbers them and broadcasts them, and late joiners start from a snapshot
+ */
+
+const PRIMITIVE_TYPES = ['cube', 'sphere', 'plane'];
+
+// Objects saved or sent before rotation and scale existed get these
+const DEFAULT_ROTATION = [0, 0, 0];
+const DEFAULT_SCALE = [1, 1, 1];
+const TRANSFORM_FIELDS = ['position', 'rotation', 'scale'];
+
+// Outliner properties: a name (null shows the type), whether the object is shown and whether it can be picked
+const PROPERTY_FIELDS = ['name', 'visible', 'locked'];
+const MAX_NAME_LENGTH = 100;
+
+// How many recent operation ids are remembered, so an editor resending its edits after a reconnect doesn't apply them twice
+const REMEMBERED_OP_IDS = 1000;
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isVector3(value) {
+  return Array.isArray(value) && value.length === 3 && value.every(isNumber);
+}
+
+function isObjectId(value) {
+  return typeof value === 'string' && value.length > 0 && value.length <= 64;
+}
+
+function validateProperties(properties, label, errors) {
+  const { name, visible, locked } = properties;
+  if (name !== undefined && name !== null && (typeof name !== 'string' || name.length > MAX_NAME_LENGTH)) {
+    errors.push(`${label}name must be null or a string of at most ${MAX_NAME_LENGTH} characters`);
+  }
+  if (visible !== undefined && typeof visible !== 'boolean') errors.push(`${label}visible must be true or false`);
+  if (locked !== undefined && typeof locked !== 'boolean') errors.push(`${label}locked must be true or false`);
+}
+
+function validateObject(object, label, errors) {
+  if (!object || typeof object !== 'object') {
+    errors.push(`${label} must be an object`);
+    return;
+  }
+  if (!isObjectId(object.id)) errors.push(`${label}.id must be a non-empty string`);
+  if (!PRIMITIVE_TYPES.includes(object.type)) errors.push(`${label}.type must be one of: ${PRIMITIVE_TYPES.join(', ')}`);
+  if (!isVector3(object.position)) errors.push(`${label}.position must be [x, y, z]`);
+  // Euler angles in radians (XYZ order)
+  if (object.rotation !== undefined && !isVector3(object.rotation)) errors.push(`${label}.rotation must be [x, y, z]`);
+  if (object.scale !== undefined && !isVector3(object.scale)) errors.push(`${label}.scale must be [x, y, z]`);
+  if (object.parentId !== undefined && object.parentId !== null && !isObjectId(object.parentId)) {
+    errors.push(`${label}.parentId must be an object id or null`);
+  }
+  validateProperties(object, `${label}.`, errors);
+}
+
+// True if ancestorId is id itself or one of its ancestors (stops if the chain loops elsewhere)
+function isAncestor(objects, ancestorId, id) {
+  const byId = new Map(objects.map(o => [o.id, o]));
+  const visited = new Set();
+  for (let current = id; current && !visited.has(current); current = byId.get(current)?.parentId ?? null) {
+    if (current === ancestorId) return true;
+    visited.add(current);
+  }
+  return false;
+}
+
+// Only the fields a scene object is made of, so stored and broadcast scenes have the same shape
+function canonicalObject({
+  id, type, position, rotation = DEFAULT_ROTATION, scale = DEFAULT_SCALE, parentId = null,
+  name = null, visible = true, locked = false
+}) {
+  return { id, type, position, rotation, scale, parentId, name, visible, locked };
+}
+
+// Move an object to just before another one in the scene's order, or to the end for null
+function moveBefore(objects, id, beforeId) {
+  const moved = objects.find(o => o.id === id);
+  const rest = objects.filter(o => o.id !== id);
+  const index = beforeId === null ? rest.length : rest.findIndex(o => o.id === beforeId);
+  return [...rest.slice(0, index), moved, ...rest.slice(index)];
+}
+
+/**
+ * One handler per operation type: validate against the current objects, reduce to the fields
+ * that are broadcast, then apply. New editor operations are added here.
+ */
+const OPERATIONS = {
+  add: {
+    validate(op, objects, errors) {
+      validateObject(op.object, 'object', errors);
+      if (errors.length > 0) return;
+      if (objects.some(o => o.id === op.object.id)) errors.push(`object ${op.object.id} already exists`);
+      if (op.object.parentId && !objects.some(o => o.id === op.object.parentId)) {
+        errors.push(`parent ${op.object.parentId} does not exist`);
+      }
+    },
+    canonical({ object }) {
+      return { type: 'add', object: canonicalObject(object) };
+    },
+    apply(op, objects) {
+      return [...objects, op.object];
+    }
+  },
+
+  // Children of a removed object move up to its parent
+  remove: {
+    validate(op, objects, errors) {
+      if (!objects.some(o => o.id === op.id)) errors.push(`object ${op.id} does not exist`);
+    },
+    canonical({ id }) {
+      return { type: 'remove', id };
+    },
+    apply(op, objects) {
+      const removed = objects.find(o => o.id === op.id);
+      return objects
+        .filter(o => o.id !== op.id)
+        .map(o => (o.parentId === op.id ? { ...o, parentId: removed.parentId ?? null } : o));
+    }
+  },
+
+  'update-position': {
+    validate(op, objects, errors) {
+      if (!objects.some(o => o.id === op.id)) errors.push(`object ${op.id} does not exist`);
+      if (!isVector3(op.position)) errors.push('position must be [x, y, z]');
+    },
+    canonical({ id, position }) {
+      return { type: 'update-position', id, position };
+    },
+    apply(op, objects) {
+      return objects.map(o => (o.id === op.id ? { ...o, position: op.position } : o));
+    }
+  },
+
+  // Any of position, rotation and scale; the ones left out keep their values
+  'update-transform': {
+    validate(op, objects, errors) {
+      if (!objects.some(o => o.id === op.id)) errors.push(`object ${op.id} does not exist`);
+      const fields = TRANSFORM_FIELDS.filter(field => op[field] !== undefined);
+      if (fields.length === 0) errors.push(`at least one of ${TRANSFORM_FIELDS.join(', ')} is required`);
+      fields.forEach(field => {
+        if (!isVector3(op[field])) errors.push(`${field} must be [x, y, z]`);
+      });
+    },
+    canonical(op) {
+      const transform = {};
+      TRANSFORM_FIELDS.forEach(field => {
+        if (op[field] !== undefined) transform[field] = op[field];
+      });
+      return { type: 'update-transform', id: op.id, ...transform };
+    },
+    apply({ type, id, ...transform }, objects) {
+      return objects.map(o => (o.id === id ? { ...o, ...transform } : o));
+    }
+  },
+
+  // Any of name, visible and locked; the ones left out keep their values
+  'update-properties': {
+    validate(op, objects, errors) {
+      if (!objects.some(o => o.id === op.id)) errors.push(`object ${op.id} does not exist`);
+      if (!PROPERTY_FIELDS.some(field => op[field] !== undefined)) {
+        errors.push(`at least one of ${PROPERTY_FIELDS.join(', ')} is required`);
+      }
+      validateProperties(op, '', errors);
+    },
+    canonical(op) {
+      const properties = {};
+      PROPERTY_FIELDS.forEach(field => {
+        if (op[field] !== undefined) properties[field] = op[field];
+      });
+      return { type: 'update-properties', id: op.id, ...properties };
+    },
+    apply({ type, id, ...properties }, objects) {
+      return objects.map(o => (o.id === id ? { ...o, ...properties } : o));
+    }
+  },
+
+  // Siblings are ordered as they are in the scene: beforeId moves the object just before that one
+  // (null moves it to the end), leaving it out keeps the object's place
+  'set-parent': {
+    validate(op, objects, errors) {
+      if (!objects.some(o => o.id === op.id)) errors.push(`object ${op.id} does not exist`);
+      if (op.beforeId !== undefined && op.beforeId !== null &&
+          (op.beforeId === op.id || !objects.some(o => o.id === op.beforeId))) {
+        errors.push(`beforeId must be another object's id or null`);
+      }
+      if (op.parentId === null || op.parentId === undefined) return;
+      if (!objects.some(o => o.id === op.parentId)) {
+        errors.push(`parent ${op.parentId} does not exist`);
+      } else if (isAncestor(objects, op.id, op.parentId)) {
+        errors.push(`${op.parentId} is ${op.id} or one of its descendants`);
+      }
+    },
+    canonical({ id, parentId = null, beforeId }) {
+      return beforeId === undefined ? { type: 'set-parent', id, parentId } : { type: 'set-parent', id, parentId, beforeId };
+    },
+    apply(op, objects) {
+      const reparented = objects.map(o => (o.id === op.id ? { ...o, parentId: op.parentId } : o));
+      return op.beforeId === undefined ? reparented : moveBefore(reparented, op.id, op.beforeId);
+    }
+  }
+};
+
+/**
+ * Validate an operation against the current objects.
+ * Returns a list of error messages (empty when valid).
+ */
+function validateSceneOp(op, objects) {
+  if (!op || typeof op !== 'object') return ['operation must be an object'];
+
+  const operation = OPERATIONS[op.type];
+  if (!operation) return [`type must be one of: ${Object.keys(OPERATIONS).join(', ')}`];
+
+  const errors = [];
+  operation.validate(op, objects, errors);
+  return errors;
+}
+
+/**
+ * Validate a whole list of objects, e.g. a saved scene being loaded: each object must be valid,
+ * ids unique, and parents must exist without forming cycles.
+ * Returns a list of error messages (empty when valid).
+ */
+function validateSceneObjects(objects) {
+  if (!Array.isArray(objects)) return ['objects must be an array'];
+
+  const errors = [];
+  objects.forEach((object, index) => validateObject(object, `objects[${index}]`, errors));
+  if (errors.length > 0) return errors;
+
+  const ids = new Set();
+  objects.forEach(({ id }) => {
+    if (ids.has(id)) errors.push(`object ${id} appears more than once`);
+    ids.add(id);
+  });
+  objects.forEach(({ id, parentId }) => {
+    if (!parentId) return;
+    if (!ids.has(parentId)) {
+      errors.push(`parent ${parentId} of ${id} does not exist`);
+    } else if (isAncestor(objects, id, parentId)) {
+      errors.push(`${id} is its own ancestor`);
+    }
+  });
+  return errors;
+}
+
+function canonicalObjects(objects) {
+  return objects.map(canonicalObject);
+}
+
+class SceneDocument {
+  constructor() {
+    this.objects = [];
+    this.version = 0;
+    this.appliedOpIds = new Map();   // opId -> version it was applied as
+  }
+
+  /**
+   * Apply an operation. Returns { errors } if it doesn't fit the current scene, otherwise
+   * { version, op } with the operation as applied and its number in the session's history.
+   * An opId that was already applied isn't applied again: the result is { version, duplicate: true }.
+   */
+  apply(op, opId = null) {
+    if (opId !== null && this.appliedOpIds.has(opId)) {
+      return { version: this.appliedOpIds.get(opId), duplicate: true };
+    }
+
+    const errors = validateSceneOp(op, this.objects);
+    if (errors.length > 0) return { errors };
+
+    const operation = OPERATIONS[op.type];
+    const applied = operation.canonical(op);
+    this.objects = operation.apply(applied, this.objects);
+    this.version += 1;
+    if (opId !== null) this.rememberOpId(opId);
+    return { version: this.version, op: applied };
+  }
+
+  rememberOpId(opId) {
+    this.appliedOpIds.set(opId, this.version);
+    if (this.appliedOpIds.size > REMEMBERED_OP_IDS) {
+      this.appliedOpIds.delete(this.appliedOpIds.keys().next().value);
+    }
+  }
+
+  /**
+   * Replace the whole scene, e.g. when an editor opens a saved one. Counts as one operation.
+   * Returns { errors } or { version }.
+   */
+  load(objects) {
+    const errors = validateSceneObjects(objects);
+    if (errors.length > 0) return { errors };
+
+    this.objects = canonicalObjects(objects);
+    this.version += 1;
+    return { version: this.version };
+  }
+
+  snapshot() {
+    return { version: this.version, objects: this.objects };
+  }
+}
+
+module.exports = {
+  PRIMITIVE_TYPES,
+  validateSceneOp,
+  validateSceneObjects,
+  canonicalObjects,
+  SceneDocument
+};
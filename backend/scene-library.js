@@ -0,0 +1,131 @@
+/**
+ * Scene Library
+ * Saved scenes, one JSON file per scene: the objects with their hierarchy, plus name, author and
+ * timestamps. Editors save the scene they are working on and open it again later.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { validateSceneObjects, canonicalObjects } = require('./scene-document');
+
+const SCENE_ID_PATTERN = /^[a-f0-9]{12}$/;
+const MAX_NAME_LENGTH = 128;
+
+/**
+ * Validate a scene sent to POST /scenes (every field) or PUT /scenes/:sceneId (partial).
+ * Returns a list of error messages (empty when valid).
+ */
+function validateSceneFile(scene, { partial = false } = {}) {
+  if (!scene || typeof scene !== 'object' || Array.isArray(scene)) {
+    return ['Scene must be a JSON object'];
+  }
+
+  const errors = [];
+  if (scene.name !== undefined || !partial) {
+    if (typeof scene.name !== 'string' || !scene.name.trim() || scene.name.length > MAX_NAME_LENGTH) {
+      errors.push(`name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+    }
+  }
+  if (scene.author !== undefined && scene.author !== null && typeof scene.author !== 'string') {
+    errors.push('author must be a string or null');
+  }
+  if (scene.objects !== undefined || !partial) {
+    errors.push(...validateSceneObjects(scene.objects));
+  }
+  return errors;
+}
+
+function describeScene({ id, name, author, createdAt, updatedAt, objects }) {
+  return { id, name, author, createdAt, updatedAt, objectCount: objects.length };
+}
+
+class SceneLibrary {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  filePath(sceneId) {
+    return path.join(this.directory, `${sceneId}.json`);
+  }
+
+  /**
+   * A saved scene, or null if there is none with that id
+   */
+  get(sceneId) {
+    if (!SCENE_ID_PATTERN.test(sceneId)) return null;
+
+    const filePath = this.filePath(sceneId);
+    if (!fs.existsSync(filePath)) return null;
+
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      console.error(`Failed to load scene from ${filePath}:`, error.message);
+      return null;
+    }
+  }
+
+  save(scene) {
+    fs.mkdirSync(this.directory, { recursive: true });
+    const filePath = this.filePath(scene.id);
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(scene, null, 2));
+    fs.renameSync(tmpPath, filePath);
+    return scene;
+  }
+
+  /**
+   * Saved scenes without their objects, most recently updated first
+   */
+  list() {
+    if (!fs.existsSync(this.directory)) return [];
+
+    return fs.readdirSync(this.directory)
+      .filter(file => file.endsWith('.json'))
+      .map(file => this.get(path.basename(file, '.json')))
+      .filter(Boolean)
+      .map(describeScene)
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  create({ name, author = null, objects }) {
+    const now = Date.now();
+    return this.save({
+      id: crypto.randomBytes(6).toString('hex'),
+      name: name.trim(),
+      author,
+      createdAt: now,
+      updatedAt: now,
+      objects: canonicalObjects(objects)
+    });
+  }
+
+  /**
+   * Overwrite a saved scene's name and/or objects. Returns null if it doesn't exist.
+   */
+  update(sceneId, { name, author, objects }) {
+    const scene = this.get(sceneId);
+    if (!scene) return null;
+
+    return this.save({
+      ...scene,
+      ...(name !== undefined && { name: name.trim() }),
+      ...(author !== undefined && { author }),
+      ...(objects !== undefined && { objects: canonicalObjects(objects) }),
+      updatedAt: Date.now()
+    });
+  }
+
+  delete(sceneId) {
+    if (!this.get(sceneId)) return false;
+    fs.unlinkSync(this.filePath(sceneId));
+    return true;
+  }
+}
+
+module.exports = {
+  validateSceneFile,
+  describeScene,
+  SceneLibrary
+};
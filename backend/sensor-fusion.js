@@ -0,0 +1,163 @@
+/**
+ * Sensor Fusion
+ * Complementary filter that turns raw accelerometer + gyroscope readings into orientation,
+ * and dead-reckons velocity/position with zero-velocity updates to keep drift in check.
+ *
+ * Conventions match the rest of the pipeline: y is up, orientation is [roll, pitch, yaw]
+ * (roll about z, pitch about x, yaw about y) and gyroscope[i] is the rate of orientation[i].
+ */
+
+const GRAVITY = 9.81;
+
+const DEFAULT_OPTIONS = {
+  orientationTimeConstant: 0.5,   // Seconds; how slowly the accelerometer corrects gyro drift
+  accelTrustBand: 0.15,           // Trust accel tilt only while |accel| is within this fraction of g
+  stationaryAccelBand: 0.3,       // m/s² of linear acceleration that still counts as "hand still"
+  stationaryGyro: 0.1,            // rad/s below which the hand counts as still
+  stationaryMs: 100,              // Hand must be still this long before a zero-velocity update
+  gyroBiasLearningRate: 0.02,     // How fast the gyro bias estimate follows the readings while still
+  velocityDecaySeconds: 2,        // Leak on velocity so integration error can't grow forever
+  accelDeadband: 0.05,            // m/s² of linear acceleration treated as noise
+  maxDeltaSeconds: 0.5            // Gaps longer than this restart integration
+};
+
+function wrapAngle(angle) {
+  while (angle > Math.PI) angle -= 2 * Math.PI;
+  while (angle < -Math.PI) angle += 2 * Math.PI;
+  return angle;
+}
+
+// Blend two angles without jumping across the ±π seam
+function blendAngles(a, b, weightOfA) {
+  return wrapAngle(b + wrapAngle(a - b) * weightOfA);
+}
+
+function magnitude(v) {
+  return Math.sqrt(v[0] ** 2 + v[1] ** 2 + v[2] ** 2);
+}
+
+/**
+ * Rotate a sensor-frame vector into the world frame: R = Ry(yaw) · Rx(-pitch) · Rz(roll)
+ */
+function sensorToWorld([x, y, z], [roll, pitch, yaw]) {
+  // Rz(roll)
+  const x1 = x * Math.cos(roll) - y * Math.sin(roll);
+  const y1 = x * Math.sin(roll) + y * Math.cos(roll);
+  const z1 = z;
+  // Rx(-pitch)
+  const x2 = x1;
+  const y2 = y1 * Math.cos(pitch) + z1 * Math.sin(pitch);
+  const z2 = -y1 * Math.sin(pitch) + z1 * Math.cos(pitch);
+  // Ry(yaw)
+  return [
+    x2 * Math.cos(yaw) + z2 * Math.sin(yaw),
+    y2,
+    -x2 * Math.sin(yaw) + z2 * Math.cos(yaw)
+  ];
+}
+
+// Roll and pitch implied by the gravity direction in the sensor frame
+function tiltFromAccel([ax, ay, az]) {
+  return {
+    roll: Math.atan2(ax, ay),
+    pitch: Math.atan2(az, Math.sqrt(ax ** 2 + ay ** 2))
+  };
+}
+
+class SensorFusion {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.reset();
+  }
+
+  reset() {
+    this.orientation = null;
+    this.velocity = [0, 0, 0];
+    this.position = [0, 0, 0];
+    this.gyroBias = [0, 0, 0];
+    this.accelScale = null;
+    this.lastTimestamp = null;
+    this.stillSince = null;
+  }
+
+  /**
+   * Integrate one frame. Returns null when the frame has no raw accel/gyro to fuse.
+   * calibrationBias is the gyro bias measured during calibration, applied before the online estimate.
+   */
+  update(frame, calibrationBias = [0, 0, 0]) {
+    const { acceleration, gyroscope } = frame.imu || {};
+    if (!Array.isArray(acceleration) || acceleration.length !== 3 ||
+        !Array.isArray(gyroscope) || gyroscope.length !== 3) {
+      return null;
+    }
+
+    const opts = this.options;
+    const timestamp = frame.timestamp ?? Date.now();
+
+    // Some boards report acceleration in g instead of m/s²; decide once from the first frame
+    if (this.accelScale === null) {
+      this.accelScale = magnitude(acceleration) < 3 ? GRAVITY : 1;
+    }
+    const accel = acceleration.map(a => a * this.accelScale);
+    const gyro = gyroscope.map((rate, i) => rate - calibrationBias[i] - this.gyroBias[i]);
+
+    const deltaTime = this.lastTimestamp === null ? null : (timestamp - this.lastTimestamp) / 1000;
+    this.lastTimestamp = timestamp;
+
+    const tilt = tiltFromAccel(accel);
+    if (this.orientation === null || deltaTime === null || deltaTime <= 0 || deltaTime > opts.maxDeltaSeconds) {
+      // (Re)start from the gravity direction; yaw can't be observed without a magnetometer
+      this.orientation = [tilt.roll, tilt.pitch, this.orientation ? this.orientation[2] : 0];
+      this.velocity = [0, 0, 0];
+      this.stillSince = null;
+      return this.snapshot(false);
+    }
+
+    // Gyro integration first; the accelerometer is judged against the gyro-predicted attitude
+    const predicted = this.orientation.map((angle, i) => wrapAngle(angle + gyro[i] * deltaTime));
+    const worldAccel = sensorToWorld(accel, predicted);
+    worldAccel[1] -= GRAVITY;
+    const linearMagnitude = magnitude(worldAccel);
+
+    // Pull towards the accelerometer tilt while it mostly measures gravity
+    if (Math.abs(magnitude(accel) - GRAVITY) < GRAVITY * opts.accelTrustBand) {
+      const alpha = opts.orientationTimeConstant / (opts.orientationTimeConstant + deltaTime);
+      predicted[0] = blendAngles(predicted[0], tilt.roll, alpha);
+      predicted[1] = blendAngles(predicted[1], tilt.pitch, alpha);
+    }
+    this.orientation = predicted;
+
+    // Zero-velocity detection
+    const isStill = linearMagnitude < opts.stationaryAccelBand && magnitude(gyro) < opts.stationaryGyro;
+    if (isStill) {
+      if (this.stillSince === null) this.stillSince = timestamp;
+    } else {
+      this.stillSince = null;
+    }
+    const stationary = this.stillSince !== null && timestamp - this.stillSince >= opts.stationaryMs;
+
+    if (stationary) {
+      // Anything the gyro still reads while the hand is still is bias
+      this.gyroBias = this.gyroBias.map((bias, i) => bias + opts.gyroBiasLearningRate * gyro[i]);
+      this.velocity = [0, 0, 0];
+    } else {
+      const linearAccel = worldAccel.map(a => (Math.abs(a) < opts.accelDeadband ? 0 : a));
+      const decay = Math.exp(-deltaTime / opts.velocityDecaySeconds);
+      this.velocity = this.velocity.map((v, i) => (v + linearAccel[i] * deltaTime) * decay);
+      this.position = this.position.map((p, i) => p + this.velocity[i] * deltaTime);
+    }
+
+    return this.snapshot(stationary);
+  }
+
+  snapshot(stationary) {
+    return {
+      orientation: [...this.orientation],
+      position: { x: this.position[0], y: this.position[1], z: this.position[2] },
+      velocity: { x: this.velocity[0], y: this.velocity[1], z: this.velocity[2] },
+      stationary
+    };
+  }
+}
+
+module.exports = { SensorFusion, DEFAULT_OPTIONS };
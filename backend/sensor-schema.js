@@ -0,0 +1,245 @@
+/**
+ * Sensor Payload Schema
+ * Versioned JSON Schema for /sensor-data payloads, a validator that reports every offending field,
+ * and normalization of older firmware payloads into the current shape
+ */
+
+const CURRENT_SCHEMA_VERSION = 2;
+const LEGACY_SCHEMA_VERSION = 1;
+const SUPPORTED_SCHEMA_VERSIONS = [LEGACY_SCHEMA_VERSION, CURRENT_SCHEMA_VERSION];
+
+const FINGER_NAMES = ['index', 'middle', 'ring', 'little'];
+
+const vector3 = (description) => ({
+  type: 'array',
+  items: { type: 'number' },
+  minItems: 3,
+  maxItems: 3,
+  description
+});
+
+// 0 = straight, 1 = fully bent once calibrated; raw sensor ranges are accepted
+const fingerBend = { type: 'number' };
+
+const fingers = {
+  type: 'object',
+  required: FINGER_NAMES,
+  properties: Object.fromEntries(FINGER_NAMES.map(name => [name, fingerBend]))
+};
+
+const position = {
+  type: 'object',
+  required: ['x', 'y', 'z'],
+  properties: {
+    x: { type: 'number' },
+    y: { type: 'number' },
+    z: { type: 'number' }
+  },
+  description: 'Hand position in metres. Fused from acceleration and gyroscope when omitted'
+};
+
+const thumb = {
+  type: 'object',
+  required: ['bend'],
+  properties: { bend: { type: 'number' } }
+};
+
+const palm = {
+  type: 'object',
+  required: ['pressure'],
+  properties: { pressure: { type: 'number', description: '0 = no pressure, 1 = max pressure' } }
+};
+
+const switches = {
+  type: 'object',
+  properties: {
+    selectButton: { type: 'boolean' },
+    modeButton: { type: 'boolean' },
+    confirmButton: { type: 'boolean' }
+  }
+};
+
+const SENSOR_PAYLOAD_SCHEMAS = {
+  [CURRENT_SCHEMA_VERSION]: {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: `Glove sensor payload v${CURRENT_SCHEMA_VERSION}`,
+    type: 'object',
+    required: ['schemaVersion', 'deviceId', 'imu', 'fingers', 'thumb', 'palm', 'switches'],
+    properties: {
+      schemaVersion: { type: 'integer', enum: [CURRENT_SCHEMA_VERSION] },
+      deviceId: { type: 'string', minLength: 1 },
+      timestamp: { type: 'number', description: 'Milliseconds; the server clock is used when omitted' },
+      imu: {
+        type: 'object',
+        required: ['acceleration', 'gyroscope'],
+        properties: {
+          orientation: vector3('[roll, pitch, yaw] in radians. Fused from acceleration and gyroscope when omitted'),
+          acceleration: vector3('m/s² (or g), y is up'),
+          gyroscope: vector3('Rates of [roll, pitch, yaw] in rad/s')
+        }
+      },
+      position,
+      fingers,
+      thumb,
+      palm,
+      switches
+    }
+  },
+  [LEGACY_SCHEMA_VERSION]: {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: `Glove sensor payload v${LEGACY_SCHEMA_VERSION} (legacy firmware)`,
+    type: 'object',
+    required: ['deviceId', 'imu', 'fingers'],
+    properties: {
+      schemaVersion: { type: 'integer', enum: [LEGACY_SCHEMA_VERSION] },
+      deviceId: { type: 'string', minLength: 1 },
+      timestamp: { type: 'number' },
+      imu: {
+        type: 'object',
+        required: ['orientation', 'acceleration'],
+        properties: {
+          orientation: vector3('[roll, pitch, yaw] in radians'),
+          acceleration: vector3('m/s² (or g), y is up'),
+          gyroscope: vector3('Defaults to [0, 0, 0] when omitted')
+        }
+      },
+      position,
+      fingers: {
+        ...fingers,
+        properties: {
+          ...fingers.properties,
+          thumb: { type: 'number', description: 'Some firmware reports the thumb as a finger; moved to thumb.bend' }
+        }
+      },
+      thumb,
+      palm,
+      switches
+    }
+  }
+};
+
+function typeMatches(type, value) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'string': return typeof value === 'string';
+    case 'boolean': return typeof value === 'boolean';
+    default: return true;
+  }
+}
+
+const article = type => (['array', 'object', 'integer'].includes(type) ? 'an' : 'a');
+
+/**
+ * Check a value against the subset of JSON Schema used above (type, required, properties,
+ * items, minItems/maxItems, minLength, enum), collecting { path, message } for every problem
+ */
+function validateAgainst(schema, value, path, errors) {
+  const label = path || 'payload';
+
+  if (!typeMatches(schema.type, value)) {
+    errors.push({ path: label, message: `must be ${article(schema.type)} ${schema.type}` });
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: label, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ path: label, message: 'must not be empty' });
+  }
+
+  if (schema.type === 'array') {
+    if (value.length < schema.minItems || value.length > schema.maxItems) {
+      errors.push({ path: label, message: `must have ${schema.minItems} items` });
+    }
+    value.forEach((item, i) => validateAgainst(schema.items, item, `${label}[${i}]`, errors));
+  }
+
+  if (schema.type === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        validateAgainst(propertySchema, value[key], path ? `${path}.${key}` : key, errors);
+      }
+    });
+  }
+}
+
+/**
+ * Payloads without schemaVersion come from firmware that predates it
+ */
+function payloadVersion(payload) {
+  return payload?.schemaVersion ?? LEGACY_SCHEMA_VERSION;
+}
+
+/**
+ * Validate a payload against the schema for its version.
+ * Returns a list of { path, message } (empty when valid).
+ */
+function validateSensorPayload(payload) {
+  if (!typeMatches('object', payload)) {
+    return [{ path: 'payload', message: 'must be an object' }];
+  }
+
+  const version = payloadVersion(payload);
+  if (!SUPPORTED_SCHEMA_VERSIONS.includes(version)) {
+    return [{ path: 'schemaVersion', message: `must be one of: ${SUPPORTED_SCHEMA_VERSIONS.join(', ')}` }];
+  }
+
+  const errors = [];
+  validateAgainst(SENSOR_PAYLOAD_SCHEMAS[version], payload, '', errors);
+  return errors;
+}
+
+/**
+ * Bring a valid payload up to the current schema version.
+ * Returns { payload, normalized } where normalized lists what had to be filled in or moved.
+ * A missing position is left out: sensor fusion estimates it, as for current payloads.
+ */
+function normalizeSensorPayload(payload) {
+  if (payloadVersion(payload) === CURRENT_SCHEMA_VERSION) {
+    return { payload, normalized: [] };
+  }
+
+  const normalized = [];
+  const { thumb: thumbFinger, ...fingerBends } = payload.fingers;
+  const result = {
+    ...payload,
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    imu: { ...payload.imu },
+    fingers: fingerBends
+  };
+
+  if (!payload.imu.gyroscope) {
+    result.imu.gyroscope = [0, 0, 0];
+    normalized.push('imu.gyroscope defaulted to [0, 0, 0]');
+  }
+  if (!payload.thumb) {
+    result.thumb = { bend: thumbFinger ?? 0 };
+    normalized.push(thumbFinger !== undefined ? 'thumb.bend taken from fingers.thumb' : 'thumb.bend defaulted to 0');
+  }
+  if (!payload.palm) {
+    result.palm = { pressure: 0 };
+    normalized.push('palm.pressure defaulted to 0');
+  }
+  if (!payload.switches) {
+    result.switches = {};
+    normalized.push('switches defaulted to none pressed');
+  }
+
+  return { payload: result, normalized };
+}
+
+module.exports = {
+  CURRENT_SCHEMA_VERSION,
+  SUPPORTED_SCHEMA_VERSIONS,
+  SENSOR_PAYLOAD_SCHEMAS,
+  validateSensorPayload,
+  normalizeSensorPayload
+};
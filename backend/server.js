@@ -2,43 +2,401 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const cors = require('cors');
+const path = require('path');
+const { CalibrationStore, validateCalibrationData, applyCalibration } = require('./calibration');
+const { GestureStateMachine } = require('./gesture-state-machine');
+const { GestureConfigStore, validateGestureConfig } = require('./gesture-config');
+const { CustomGestureStore, LABEL_PATTERN, extractFeatures, validateActions } = require('./custom-gestures');
+const { SensorFusion } = require('./sensor-fusion');
+const { SessionRecorder, SessionReplay, MIN_SPEED, MAX_SPEED, isValidSpeed } = require('./session-recorder');
+const {
+  CURRENT_SCHEMA_VERSION,
+  SUPPORTED_SCHEMA_VERSIONS,
+  SENSOR_PAYLOAD_SCHEMAS,
+  validateSensorPayload,
+  normalizeSensorPayload
+} = require('./sensor-schema');
+const { createUdpIngest } = require('./udp-ingest');
+const { DeviceRegistry, validateDevice } = require('./device-registry');
+const { DEFAULT_SESSION_ID, validateSessionId, SessionManager } = require('./editing-sessions');
+const { AuthStore, bearerToken } = require('./auth');
+const { SceneLibrary, validateSceneFile, describeScene } = require('./scene-library');
+const { MetricsRegistry, RateTracker } = require('./metrics');
+const { ClockSync } = require('./clock-sync');
+const { HapticQueue, validateHapticCommand } = require('./haptics');
+const { ButtonTracker } = require('./button-events');
+const { DynamicGestureRecognizer } = require('./dynamic-gestures');
+
+// Browser origins allowed to use the API and editor sockets, comma-separated
+const ALLOWED_ORIGINS = (process.env.FRONTEND_URL || 'http://localhost:3000')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
 
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server, {
   cors: {
-    origin: "http://localhost:3000",
+    origin: ALLOWED_ORIGINS,
     methods: ["GET", "POST"]
   }
 });
 
-app.use(cors());
+app.use(cors({ origin: ALLOWED_ORIGINS }));
+
+// Count every /sensor-data outcome, including auth failures and malformed JSON (so it runs before the body parser)
+app.use('/sensor-data', (req, res, next) => {
+  if (req.method === 'POST') res.on('finish', () => sensorDataResponses.inc({ status: res.statusCode }));
+  next();
+});
+
 app.use(express.json());
 
-// Store connected clients and current state
+// Store connected clients; gesture state lives in each editing session
 const connectedClients = new Set();
-let currentGestureState = {
-  leftHand: null,
-  rightHand: null,
-  selectedObject: null,
-  transformMode: 'translate'
-};
+
+// Named editing sessions, each a socket.io room with its own gesture state, devices and clients
+const sessionManager = new SessionManager();
 
 // Store previous frame data for movement calculation
 const previousFrameData = new Map();
 
-// Gesture classification thresholds
-const GESTURE_THRESHOLDS = {
-  FINGER_CLOSED: 0.7,
-  FINGER_OPEN: 0.3,
-  PINCH_THRESHOLD: 0.6,
-  FIST_THRESHOLD: 0.7,
-  PALM_PRESSURE: 0.5
-};
+// Per-device gesture state machines that debounce the frame-by-frame classification
+const gestureStateMachines = new Map();
+
+function getGestureStateMachine(deviceId) {
+  if (!gestureStateMachines.has(deviceId)) {
+    const { stabilization } = gestureConfigStore.resolve(deviceId);
+    gestureStateMachines.set(deviceId, new GestureStateMachine(deviceId, stabilization));
+  }
+  return gestureStateMachines.get(deviceId);
+}
+
+// Per-device edge detection for the glove's hardware buttons
+const buttonTrackers = new Map();
+
+function getButtonTracker(deviceId) {
+  if (!buttonTrackers.has(deviceId)) buttonTrackers.set(deviceId, new ButtonTracker(deviceId));
+  return buttonTrackers.get(deviceId);
+}
+
+// Per-device recognition of motion gestures (swipes, circles, flicks, double-taps)
+const dynamicGestureRecognizers = new Map();
+
+function getDynamicGestureRecognizer(deviceId) {
+  if (!dynamicGestureRecognizers.has(deviceId)) {
+    dynamicGestureRecognizers.set(deviceId, new DynamicGestureRecognizer(deviceId));
+  }
+  return dynamicGestureRecognizers.get(deviceId);
+}
+
+// Attach the editor command the device's config binds to each button event (null when unbound)
+function bindButtonEvents(events, buttonActions) {
+  return events.map(event => ({ ...event, command: buttonActions[event.button]?.[event.type] ?? null }));
+}
+
+// Per-device IMU fusion for boards that only send raw accelerometer/gyroscope data
+const sensorFusions = new Map();
+
+/**
+ * Run the device's fusion filter and fill in the orientation and position the glove didn't send.
+ * Boards that do their own fusion keep their values.
+ */
+function fuseSensorData(rawData, calibrationProfile) {
+  const { deviceId } = rawData;
+  if (!sensorFusions.has(deviceId)) {
+    sensorFusions.set(deviceId, new SensorFusion());
+  }
+  
+  const fused = sensorFusions.get(deviceId).update(rawData, calibrationProfile?.imu?.gyroBias);
+  if (!fused) {
+    return { frame: rawData, fusion: null };
+  }
+  
+  const fuseOrientation = !Array.isArray(rawData.imu.orientation);
+  const fusePosition = !rawData.position;
+  
+  return {
+    frame: {
+      ...rawData,
+      imu: fuseOrientation ? { ...rawData.imu, orientation: fused.orientation } : rawData.imu,
+      position: fusePosition ? fused.position : rawData.position
+    },
+    fusion: {
+      orientation: fuseOrientation ? 'fused' : 'device',
+      position: fusePosition ? 'fused' : 'device',
+      velocity: fused.velocity,
+      stationary: fused.stationary
+    }
+  };
+}
+
+/**
+ * Forget a device's frame history and end any gesture it is holding
+ */
+function resetDeviceState(deviceId) {
+  previousFrameData.delete(deviceId);
+  sensorFusions.delete(deviceId);
+  hapticQueue.clear(deviceId);
+  dynamicGestureRecognizers.delete(deviceId);
+  
+  const stateMachine = gestureStateMachines.get(deviceId);
+  if (stateMachine) {
+    stateMachine.reset().forEach(emitGestureEvent);
+    gestureStateMachines.delete(deviceId);
+  }
+  
+  // Buttons still held are released so editors don't see them stuck, but nobody let go of them,
+  // so the releases don't run their bound commands
+  const buttonTracker = buttonTrackers.get(deviceId);
+  if (buttonTracker) {
+    buttonTracker.reset().forEach(event => emitButtonEvent({ ...event, command: null }));
+    buttonTrackers.delete(deviceId);
+  }
+}
+
+// Device status, calibration and recording events go only to the editors in the device's session
+function emitToDeviceSession(deviceId, event, payload) {
+  io.to(sessionManager.sessionForDevice(deviceId).room).emit(event, payload);
+}
+
+// Two-handed interactions across whichever devices are currently the session's left and right hand
+function emitBimanualUpdate(session, update) {
+  if (update) io.to(session.room).emit('bimanual-update', { ...update, sessionId: session.id });
+}
+
+// gesture-start / gesture-end, tagged with the hand the device is registered as, to the device's session
+function emitGestureEvent(event) {
+  const session = sessionManager.sessionForDevice(event.deviceId);
+  io.to(session.room).emit(event.type, { ...event, hand: deviceRegistry.handedness(event.deviceId) });
+}
+
+// press / release / long-press / double-press of a glove button, with its bound command, to the device's session
+function emitButtonEvent(event) {
+  const session = sessionManager.sessionForDevice(event.deviceId);
+  io.to(session.room).emit('button-event', { ...event, hand: deviceRegistry.handedness(event.deviceId) });
+}
+
+// Recognized motion gesture, with its bound command, to the device's session
+function emitDynamicGesture(event) {
+  const session = sessionManager.sessionForDevice(event.deviceId);
+  io.to(session.room).emit('dynamic-gesture', { ...event, hand: deviceRegistry.handedness(event.deviceId) });
+}
+
+// Registry entry plus the session the device's frames go to
+function describeDevice(deviceId) {
+  const device = deviceRegistry.describe(deviceId);
+  return device && {
+    ...device,
+    sessionId: sessionManager.sessionIdForDevice(deviceId),
+    sharesHandWith: handConflicts.get(deviceId) ?? null
+  };
+}
+
+// Gloves sending frames as the same hand in the same session: deviceId -> the other glove
+const handConflicts = new Map();
+
+function emitHandConflict(deviceId) {
+  const device = describeDevice(deviceId);
+  if (device) emitToDeviceSession(deviceId, 'device-hand-conflict', device);
+}
+
+/**
+ * Two gloves acting as the same hand in one session (usually two unregistered ones, which both count
+ * as right hands) overwrite each other's hand state every frame. Warn once and flag both devices.
+ */
+function noteHandConflict(deviceId, otherDeviceId, hand, session) {
+  if (!otherDeviceId || otherDeviceId === deviceId || handConflicts.get(deviceId) === otherDeviceId) return;
+  
+  console.warn(`⚠️  ${deviceId} and ${otherDeviceId} are both sending ${hand} hand frames in session ${session.id}; register their handedness`);
+  handConflicts.set(deviceId, otherDeviceId);
+  handConflicts.set(otherDeviceId, deviceId);
+  [deviceId, otherDeviceId].forEach(emitHandConflict);
+}
+
+// Persistent state (calibration profiles, ...) lives under DATA_DIR
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const calibrationStore = new CalibrationStore(path.join(DATA_DIR, 'calibration.json'));
+
+// Classifier thresholds and gesture → transform mode mapping, editable at runtime
+const gestureConfigStore = new GestureConfigStore(
+  process.env.GESTURE_CONFIG_FILE || path.join(DATA_DIR, 'gesture-config.json')
+);
+
+// User-trained gestures, one model per device
+const customGestureStore = new CustomGestureStore(path.join(DATA_DIR, 'custom-gestures'));
+
+// Registered gloves and their live status
+const deviceRegistry = new DeviceRegistry(path.join(DATA_DIR, 'devices.json'), {
+  offlineAfterMs: Number(process.env.DEVICE_OFFLINE_MS) || undefined
+});
+
+// Device API keys and editor tokens; enforced once ADMIN_TOKEN is set
+const authStore = new AuthStore(path.join(DATA_DIR, 'auth.json'), { adminToken: process.env.ADMIN_TOKEN });
+
+// Raw /sensor-data streams captured to NDJSON, and the replay currently feeding the pipeline
+const sessionRecorder = new SessionRecorder(path.join(DATA_DIR, 'recordings'));
+let activeReplay = null;
+
+// Scenes saved from the editor
+const sceneLibrary = new SceneLibrary(path.join(DATA_DIR, 'scenes'));
+
+// Vibration commands waiting for each glove
+const hapticQueue = new HapticQueue();
+
+// Pipeline metrics for GET /metrics
+const metrics = new MetricsRegistry();
+const frameRates = new RateTracker();
+const framesTotal = metrics.counter({
+  name: 'gesture_frames_total',
+  help: 'Sensor frames processed, by device and transport',
+  labelNames: ['device_id', 'transport']
+});
+metrics.gauge({
+  name: 'gesture_device_frames_per_second',
+  help: 'Frames per second from each device over the last 5 seconds',
+  labelNames: ['device_id'],
+  collect: gauge => frameRates.rates().forEach((rate, deviceId) => gauge.set({ device_id: deviceId }, rate))
+});
+const processDuration = metrics.histogram({
+  name: 'gesture_process_duration_seconds',
+  help: 'Time spent in processSensorData per frame'
+});
+const classificationsTotal = metrics.counter({
+  name: 'gesture_classifications_total',
+  help: 'Per-frame gesture classifications, by gesture and classifier',
+  labelNames: ['gesture', 'source']
+});
+const classificationConfidence = metrics.histogram({
+  name: 'gesture_classification_confidence',
+  help: 'Confidence of per-frame gesture classifications',
+  labelNames: ['gesture'],
+  buckets: [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1]
+});
+const dynamicGesturesTotal = metrics.counter({
+  name: 'gesture_dynamic_total',
+  help: 'Recognized motion gestures (swipes, circles, flicks, double-taps)',
+  labelNames: ['gesture']
+});
+const sensorDataResponses = metrics.counter({
+  name: 'gesture_sensor_data_responses_total',
+  help: 'POST /sensor-data responses by status code',
+  labelNames: ['status']
+});
+const latencySeconds = metrics.histogram({
+  name: 'gesture_latency_seconds',
+  help: 'Glove-to-render latency by leg: glove_to_server (measured here), server_to_client and client_to_render (reported by editors)',
+  labelNames: ['leg'],
+  buckets: [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5]
+});
+metrics.gauge({
+  name: 'gesture_socket_clients',
+  help: 'Connected sockets: editors on "/", gloves on "/devices"',
+  labelNames: ['namespace'],
+  collect: gauge => {
+    gauge.set({ namespace: '/' }, connectedClients.size);
+    gauge.set({ namespace: '/devices' }, deviceNamespace.sockets.size);
+  }
+});
+
+// Offsets between glove clocks and ours, from clock-ping round trips on the /devices namespace
+const deviceClocks = new ClockSync();
+const CLOCK_SYNC_INTERVAL_MS = 5000;
+const CLOCK_PING_TIMEOUT_MS = 2000;
+
+// Latencies beyond these come from clocks that disagree (e.g. milliseconds since boot), not the network
+const MAX_PLAUSIBLE_LATENCY_MS = 60 * 1000;
+const MAX_CLOCK_ERROR_MS = 100;
+
+// Offline devices that still count against /health: registered gloves that streamed since the
+// server started, and unregistered ones seen within this window
+const HEALTH_STALE_WINDOW_MS = Number(process.env.HEALTH_STALE_WINDOW_MS) || 5 * 60 * 1000;
+
+// Log every processed frame (LOG_FRAMES=true); off by default since it slows the server at glove rates
+const LOG_FRAMES = process.env.LOG_FRAMES === 'true';
+
+// Apply config changes live to the devices that are already streaming
+gestureConfigStore.onChange(() => {
+  gestureStateMachines.forEach((stateMachine, deviceId) => {
+    stateMachine.setOptions(gestureConfigStore.resolve(deviceId).stabilization);
+  });
+});
+
+// Gloves authenticate with an X-Device-Key header, editors with Authorization: Bearer <token>.
+// Every rejection is logged with where it came from.
+function rejectRequest(req, res, status, reason) {
+  console.warn(`🔒 ${status} ${req.method} ${req.originalUrl} from ${req.ip}: ${reason}`);
+  res.status(status).json({ error: status === 401 ? 'Unauthorized' : 'Forbidden', details: [reason] });
+}
+
+function requireClient(req, res, next) {
+  if (!authStore.enabled) return next();
+  
+  const token = bearerToken(req.get('Authorization'));
+  if (!token) {
+    return req.get('X-Device-Key')
+      ? rejectRequest(req, res, 403, 'Device API keys can only send sensor data; use an editor token')
+      : rejectRequest(req, res, 401, 'Missing Authorization: Bearer <token> header');
+  }
+  
+  const identity = authStore.identifyClient(token);
+  if (!identity) {
+    return rejectRequest(req, res, 401, 'Invalid or revoked token');
+  }
+  req.auth = identity;
+  next();
+}
+
+function requireAdmin(req, res, next) {
+  if (!authStore.enabled) return next();
+  
+  const token = bearerToken(req.get('Authorization'));
+  if (!token) {
+    return rejectRequest(req, res, 401, 'Missing Authorization: Bearer <admin token> header');
+  }
+  if (authStore.isAdminToken(token)) {
+    req.auth = { role: 'admin' };
+    return next();
+  }
+  return authStore.verifyClientToken(token)
+    ? rejectRequest(req, res, 403, 'Admin token required')
+    : rejectRequest(req, res, 401, 'Invalid admin token');
+}
+
+/**
+ * Gloves may only act for the device their key was issued to. Editors' tokens are accepted
+ * where allowClient is set (e.g. the calibration wizard saving a profile).
+ */
+function requireDevice(getDeviceId, { allowClient = false } = {}) {
+  return (req, res, next) => {
+    if (!authStore.enabled) return next();
+    
+    const apiKey = req.get('X-Device-Key');
+    if (!apiKey) {
+      if (allowClient && req.get('Authorization')) return requireClient(req, res, next);
+      return rejectRequest(req, res, 401, 'Missing X-Device-Key header');
+    }
+    
+    const keyDeviceId = authStore.identifyDevice(apiKey);
+    if (!keyDeviceId) {
+      return rejectRequest(req, res, 401, 'Invalid or revoked device API key');
+    }
+    const deviceId = getDeviceId(req);
+    if (deviceId !== keyDeviceId) {
+      return rejectRequest(req, res, 403, `API key is not valid for device ${deviceId}`);
+    }
+    req.auth = { role: 'device', deviceId };
+    next();
+  };
+}
+
+// Editor-facing API; /sensor-data and /calibrate check credentials per route, /health and /schema stay public
+app.use(['/current-state', '/config', '/custom-gestures', '/devices', '/metrics', '/recordings', '/replay', '/scenes', '/sessions'], requireClient);
+app.use('/admin', requireAdmin);
 
 // Replace the gesture classification function with IMU-based pinch detection
 
-function classifyGesture(sensorData) {
+function classifyGesture(sensorData, thresholds) {
   const { imu, fingers, thumb, palm, switches } = sensorData;
   
   // Calculate hand orientation from IMU
@@ -62,20 +420,22 @@ function classifyGesture(sensorData) {
   // IMU-based pinch detection
   // Pinch is detected by specific orientation pattern and low gyro movement
   const thumbIndexDistance = calculateIMUBasedPinchDistance(imu, sensorData.position);
-  const isPinching = thumbIndexDistance < 0.03 && gyroMagnitude < 0.5; // 3cm threshold
+  const isPinching = thumbIndexDistance < thresholds.PINCH_DISTANCE && gyroMagnitude < thresholds.PINCH_MAX_GYRO;
   
   // Pointing: index extended, stable orientation
-  const indexExtended = fingers.index < 0.3;
-  const othersRetracted = fingers.middle > 0.7 && fingers.ring > 0.7 && fingers.little > 0.7;
-  const isPointing = indexExtended && othersRetracted && gyroMagnitude < 0.3;
+  const indexExtended = fingers.index < thresholds.FINGER_OPEN;
+  const othersRetracted = fingers.middle > thresholds.FINGER_CLOSED &&
+    fingers.ring > thresholds.FINGER_CLOSED &&
+    fingers.little > thresholds.FINGER_CLOSED;
+  const isPointing = indexExtended && othersRetracted && gyroMagnitude < thresholds.POINTING_MAX_GYRO;
   
   // Fist: high gyro activity or all fingers retracted
-  const allRetracted = Object.values(fingers).every(bend => bend > 0.6);
-  const isFist = (allRetracted || gyroMagnitude > 1.0) && !isPinching;
+  const allRetracted = Object.values(fingers).every(bend => bend > thresholds.FIST_THRESHOLD);
+  const isFist = (allRetracted || gyroMagnitude > thresholds.FIST_GYRO) && !isPinching;
   
   // Open palm: all fingers extended, stable
-  const allExtended = Object.values(fingers).every(bend => bend < 0.4);
-  const isOpenPalm = allExtended && gyroMagnitude < 0.5 && !isPinching;
+  const allExtended = Object.values(fingers).every(bend => bend < thresholds.OPEN_PALM_THRESHOLD);
+  const isOpenPalm = allExtended && gyroMagnitude < thresholds.OPEN_PALM_MAX_GYRO && !isPinching;
   
   // Determine gesture with confidence
   let gesture = 'neutral';
@@ -83,7 +443,7 @@ function classifyGesture(sensorData) {
   
   if (isPinching) {
     gesture = 'pinch';
-    confidence = Math.min(0.95, 0.7 + (0.03 - thumbIndexDistance) / 0.03 * 0.25);
+    confidence = Math.min(0.95, 0.7 + (thresholds.PINCH_DISTANCE - thumbIndexDistance) / thresholds.PINCH_DISTANCE * 0.25);
   } else if (isPointing) {
     gesture = 'pointing';
     confidence = 0.85;
@@ -95,7 +455,14 @@ function classifyGesture(sensorData) {
     confidence = 0.8;
   }
   
-  return { gesture, confidence };
+  // The values the thresholds were compared against, for tuning
+  const features = {
+    fingerBends: fingers,
+    gyroMagnitude,
+    pinchDistance: thumbIndexDistance
+  };
+  
+  return { gesture, confidence, features };
 }
 
 // New function: Calculate pinch distance using IMU orientation and position
@@ -212,15 +579,26 @@ function calculateConfidence(gesture, sensors) {
   return Math.max(0.1, Math.min(1, confidence));
 }
 
-function gestureToTransformMode(gesture) {
-  const mapping = {
-    'open_palm': 'translate',
-    'fist': 'rotate',
-    'pinch': 'scale',
-    'pointing': 'cursor'
-  };
+function gestureToTransformMode(gesture, config, customAction) {
+  if (customAction?.type === 'mode') return customAction.mode;
+  return config.gestureModes[gesture] || config.defaultMode;
+}
+
+/**
+ * Combine the rule-based result with the device's custom model (if trained).
+ * In 'alongside' mode a confident custom match wins; in 'replace' mode only custom gestures count.
+ */
+function combineWithCustomGesture(ruleGesture, customResult) {
+  if (!customResult) return ruleGesture;
   
-  return mapping[gesture] || 'translate';
+  const { mode, minConfidence, match } = customResult;
+  if (match && (mode === 'replace' || match.confidence >= minConfidence)) {
+    return { ...match, features: ruleGesture.features, source: 'custom' };
+  }
+  if (mode === 'replace') {
+    return { gesture: 'neutral', confidence: 0.5, features: ruleGesture.features, source: 'custom' };
+  }
+  return ruleGesture;
 }
 
 function normalizeCursorOrientation(imuData) {
@@ -238,36 +616,89 @@ function normalizeCursorOrientation(imuData) {
  * Process raw sensor data into actionable commands
  */
 function processSensorData(rawData) {
-  const { deviceId, imu, fingers, thumb, palm, switches } = rawData;
+  const { deviceId } = rawData;
+  
+  const calibrationProfile = calibrationStore.get(deviceId);
+  
+  // Derive orientation/position from raw accel + gyro where the glove doesn't provide them
+  const { frame: fusedData, fusion } = fuseSensorData(rawData, calibrationProfile);
+  
+  // Normalize the frame with the device's calibration profile (if any)
+  const sensorData = applyCalibration(fusedData, calibrationProfile);
+  const { imu, switches } = sensorData;
   
   // Get previous frame data for movement calculation
   const previousData = previousFrameData.get(deviceId);
   
   // Calculate movement data - FIX: Pass correct parameters
-  const movementData = calculateMovementData(deviceId, rawData, previousData);
+  const movementData = calculateMovementData(deviceId, sensorData, previousData);
   
   // Store current data for next frame
   previousFrameData.set(deviceId, {
-    ...rawData,
-    timestamp: rawData.timestamp
+    ...sensorData,
+    timestamp: sensorData.timestamp
+  });
+  
+  const gestureConfig = gestureConfigStore.resolve(deviceId);
+  const frameGesture = combineWithCustomGesture(
+    { ...classifyGesture(sensorData, gestureConfig.thresholds), source: 'rules' }, // Classify on calibrated values
+    customGestureStore.classify(deviceId, sensorData)
+  );
+  customGestureStore.observe(deviceId, sensorData);
+  
+  // Stabilize the per-frame classification over time
+  const gestureResult = getGestureStateMachine(deviceId).update(
+    frameGesture.gesture,
+    frameGesture.confidence,
+    sensorData.timestamp
+  );
+  const gestureEvents = gestureResult.events.map(event => {
+    if (event.type !== 'gesture-start') return event;
+    
+    // Custom gestures can trigger an editor command instead of a transform mode
+    const customAction = customGestureStore.getAction(deviceId, event.gesture);
+    return {
+      ...event,
+      transformMode: gestureToTransformMode(event.gesture, gestureConfig, customAction),
+      ...(customAction?.type === 'command' && { command: customAction.command })
+    };
   });
   
-  const gestureResult = classifyGesture(rawData); // FIX: Pass full rawData
   const cursorOrientation = normalizeCursorOrientation(imu);
-  const transformMode = gestureToTransformMode(gestureResult.gesture);
+  const transformMode = gestureToTransformMode(
+    gestureResult.gesture,
+    gestureConfig,
+    customGestureStore.getAction(deviceId, gestureResult.gesture)
+  );
   
   const actions = {
     selectAction: switches.selectButton || false,
     modeSwitch: switches.modeButton || false,
     confirmAction: switches.confirmButton || false
   };
+  const buttonEvents = bindButtonEvents(
+    getButtonTracker(deviceId).update(actions, sensorData.timestamp),
+    gestureConfig.buttonActions
+  );
+  
+  // Motion gestures come from how the hand moves rather than its pose
+  const dynamicGestures = getDynamicGestureRecognizer(deviceId).update({
+    movementData,
+    acceleration: rawData.imu.acceleration,
+    timestamp: sensorData.timestamp
+  }).map(event => ({ ...event, command: gestureConfig.dynamicGestureActions[event.gesture] ?? null }));
   
   return {
     deviceId,
+    hand: deviceRegistry.handedness(deviceId),
     timestamp: Date.now(),
     cursorOrientation,
     gesture: gestureResult.gesture,
     gestureConfidence: gestureResult.confidence,
+    frameGesture,
+    gestureEvents,
+    buttonEvents,
+    dynamicGestures,
     transformMode,
     actions,
     movementData: movementData || { // FIX: Provide default if null
@@ -276,156 +707,1235 @@ function processSensorData(rawData) {
       velocity: { x: 0, y: 0, z: 0 },
       scaleFactor: 1.0,
       orientation: imu.orientation,
-      position: rawData.position,
+      position: sensorData.position,
       movementMagnitude: 0,
       positionMagnitude: 0,
       deltaTime: 0,
       timestamp: rawData.timestamp
     },
+    // Uncalibrated glove values, so calibration tools can measure the real sensor ranges
     rawSensorData: {
-      imu: imu.orientation,
-      position: rawData.position,
-      fingerBends: fingers,
-      thumbBend: thumb.bend,
-      palmPressure: palm.pressure || 0
-    }
+      imu: fusedData.imu.orientation,
+      gyroscope: rawData.imu.gyroscope,
+      acceleration: rawData.imu.acceleration,
+      position: fusedData.position,
+      fingerBends: rawData.fingers,
+      thumbBend: rawData.thumb.bend,
+      palmPressure: rawData.palm.pressure || 0
+    },
+    calibrated: Boolean(calibrationProfile),
+    fusion
   };
 }
 
-// Update the POST endpoint logging to handle null movementData
-app.post('/sensor-data', (req, res) => {
-  try {
-    const rawSensorData = req.body;
-    
-    if (!rawSensorData.deviceId || !rawSensorData.imu || !rawSensorData.fingers) {
-      return res.status(400).json({ 
-        error: 'Missing required sensor data fields',
-        required: ['deviceId', 'imu', 'fingers', 'thumb', 'switches']
-      });
-    }
-    
-    const processedData = processSensorData(rawSensorData);
-    
-    // Update current state
-    if (rawSensorData.deviceId.includes('left')) {
-      currentGestureState.leftHand = processedData;
-    } else {
-      currentGestureState.rightHand = processedData;
-    }
-    
-    // Broadcast to all connected frontend clients
-    io.emit('gesture-update', processedData);
-    
-    // Enhanced logging with null check
+/**
+ * How long a frame took to reach us from the glove, in ms on our clock. Gloves that answer
+ * clock-ping are corrected for their clock offset; others are assumed to keep NTP time.
+ * Replayed frames and implausible timestamps give null.
+ */
+function gloveToServerLatency(rawSensorData, transport, ingestedAt) {
+  const { deviceId, timestamp } = rawSensorData;
+  if (transport === 'replay' || !Number.isFinite(timestamp)) return null;
+  
+  const sentAt = deviceClocks.toLocalTime(deviceId, timestamp) ?? timestamp;
+  const latency = ingestedAt - sentAt;
+  if (latency < -MAX_CLOCK_ERROR_MS || latency > MAX_PLAUSIBLE_LATENCY_MS) return null;
+  // Small negative values are leftover clock error
+  return Math.max(0, latency);
+}
+
+/**
+ * Run a raw frame through the pipeline and broadcast the result.
+ * Live and replayed frames both go through here so clients can't tell them apart.
+ */
+function ingestSensorData(rawSensorData, transport) {
+  const ingestedAt = Date.now();
+  const { deviceId } = rawSensorData;
+  // Frames without a timestamp are timed by the server clock, from here on
+  const sensorData = Number.isFinite(rawSensorData.timestamp) ? rawSensorData : { ...rawSensorData, timestamp: ingestedAt };
+  if (deviceRegistry.touch(deviceId, transport)) {
+    console.log(`🟢 ${deviceId} online (${transport})`);
+    emitToDeviceSession(deviceId, 'device-online', describeDevice(deviceId));
+  }
+  
+  const started = process.hrtime.bigint();
+  const { gestureEvents, buttonEvents, dynamicGestures, ...processedData } = processSensorData(sensorData);
+  processDuration.observe({}, Number(process.hrtime.bigint() - started) / 1e9);
+  
+  framesTotal.inc({ device_id: deviceId, transport });
+  frameRates.record(deviceId);
+  const { gesture: frameGesture, confidence, source } = processedData.frameGesture;
+  classificationsTotal.inc({ gesture: frameGesture, source });
+  classificationConfidence.observe({ gesture: frameGesture }, confidence);
+  dynamicGestures.forEach(({ gesture }) => dynamicGesturesTotal.inc({ gesture }));
+  
+  const gloveToServerMs = gloveToServerLatency(rawSensorData, transport, ingestedAt);
+  if (gloveToServerMs !== null) latencySeconds.observe({ leg: 'glove_to_server' }, gloveToServerMs / 1000);
+  
+  // The most recent frame of each hand is the current state for that hand in the device's session
+  const session = sessionManager.sessionForDevice(deviceId);
+  const { gestureState } = session;
+  const handKey = `${processedData.hand}Hand`;
+  noteHandConflict(deviceId, gestureState[handKey]?.deviceId, processedData.hand, session);
+  gestureState[handKey] = processedData;
+  
+  // Broadcast to the session's frontend clients; gesture-end/start go first so
+  // clients can commit the previous transform before the new frame arrives
+  gestureEvents.forEach(emitGestureEvent);
+  buttonEvents.forEach(emitButtonEvent);
+  dynamicGestures.forEach(emitDynamicGesture);
+  processedData.latency = {
+    gloveToServerMs,
+    clockSynced: deviceClocks.offset(deviceId) !== null,
+    ingestedAt,
+    emittedAt: Date.now()
+  };
+  io.to(session.room).emit('gesture-update', processedData);
+  emitBimanualUpdate(session, session.bimanualTracker.update(gestureState.leftHand, gestureState.rightHand));
+  
+  if (LOG_FRAMES) {
     const movementMag = processedData.movementData?.movementMagnitude?.toFixed(3) || '0.000';
     console.log(`[${processedData.deviceId}] ${processedData.gesture} (${(processedData.gestureConfidence * 100).toFixed(0)}%) | Movement: ${movementMag}`);
-    
-    res.json({ 
-      status: 'success', 
-      processedData: {
-        gesture: processedData.gesture,
-        transformMode: processedData.transformMode,
-        confidence: processedData.gestureConfidence,
-        movementMagnitude: processedData.movementData?.movementMagnitude || 0
-      }
-    });
-    
-  } catch (error) {
-    console.error('Error processing sensor data:', error);
-    res.status(500).json({ error: 'Internal server error', details: error.message });
   }
-});
+  
+  return processedData;
+}
+
+/**
+ * Validate, record and process one frame from a glove, whatever transport it came over.
+ * A sessionId (from the glove's URL or connection) moves the device into that session first.
+ * Returns { errors } for invalid payloads, otherwise { processedData, normalized }.
+ */
+function acceptSensorData(rawSensorData, transport, sessionId) {
+  const errors = validateSensorPayload(rawSensorData);
+  if (errors.length > 0) {
+    return { errors };
+  }
+  
+  if (sessionId) {
+    moveDeviceToSession(rawSensorData.deviceId, sessionId);
+  }
+  
+  // Record what the glove actually sent; replays normalize it again
+  sessionRecorder.observe(rawSensorData);
+  const { payload, normalized } = normalizeSensorPayload(rawSensorData);
+  return { processedData: ingestSensorData(payload, transport), normalized };
+}
+
+function summarizeProcessedData(processedData) {
+  return {
+    gesture: processedData.gesture,
+    transformMode: processedData.transformMode,
+    confidence: processedData.gestureConfidence,
+    movementMagnitude: processedData.movementData?.movementMagnitude || 0
+  };
+}
 
-// API Endpoints
-app.post('/sensor-data', (req, res) => {
+// Update the POST endpoint logging to handle null movementData
+app.post('/sensor-data', requireDevice(req => req.body?.deviceId), (req, res) => {
   try {
     const rawSensorData = req.body;
     
-    if (!rawSensorData.deviceId || !rawSensorData.imu || !rawSensorData.fingers) {
-      return res.status(400).json({ 
-        error: 'Missing required sensor data fields',
-        required: ['deviceId', 'imu', 'fingers', 'thumb', 'switches']
-      });
+    // Gloves can join a session through the URL: POST /sensor-data?session=lab-a
+    const sessionId = req.query.session;
+    const sessionErrors = sessionId === undefined ? [] : validateSessionId(sessionId);
+    if (sessionErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid session', details: sessionErrors });
     }
     
-    const processedData = processSensorData(rawSensorData);
-    
-    // Update current state
-    if (rawSensorData.deviceId.includes('left')) {
-      currentGestureState.leftHand = processedData;
-    } else {
-      currentGestureState.rightHand = processedData;
+    const { errors, processedData, normalized } = acceptSensorData(rawSensorData, 'http', sessionId);
+    if (errors) {
+      return res.status(422).json({
+        error: 'Invalid sensor payload',
+        schemaVersion: rawSensorData?.schemaVersion ?? null,
+        details: errors,
+        schema: '/schema'
+      });
     }
     
-    // Broadcast to all connected frontend clients
-    io.emit('gesture-update', processedData);
-    
-    // Enhanced logging
-    console.log(`[${processedData.deviceId}] ${processedData.gesture} (${(processedData.gestureConfidence * 100).toFixed(0)}%) | Movement: ${processedData.movementData.movementMagnitude.toFixed(3)}`);
-    
+    // HTTP gloves have no other way back, so queued vibrations ride on the response
+    const haptics = hapticQueue.drain(rawSensorData.deviceId);
     res.json({ 
       status: 'success', 
-      processedData: {
-        gesture: processedData.gesture,
-        transformMode: processedData.transformMode,
-        confidence: processedData.gestureConfidence,
-        movementMagnitude: processedData.movementData.movementMagnitude
-      }
+      ...(normalized.length > 0 && { normalized }),
+      processedData: summarizeProcessedData(processedData),
+      ...(haptics.length > 0 && { haptics })
     });
     
   } catch (error) {
     console.error('Error processing sensor data:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    res.status(500).json({ error: 'Internal server error', details: error.message });
   }
 });
 
+// Payload schema for firmware authors: the current version plus the legacy shape we still accept
+app.get('/schema', (req, res) => {
+  res.json({
+    currentVersion: CURRENT_SCHEMA_VERSION,
+    supportedVersions: SUPPORTED_SCHEMA_VERSIONS,
+    schemas: SENSOR_PAYLOAD_SCHEMAS
+  });
+});
+
+// Gesture state of one session (?session=, default session otherwise)
 app.get('/current-state', (req, res) => {
+  const sessionId = req.query.session || DEFAULT_SESSION_ID;
+  const session = sessionManager.get(sessionId);
+  
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found', sessionId });
+  }
+  
   res.json({
-    currentState: currentGestureState,
-    connectedClients: connectedClients.size,
+    sessionId,
+    currentState: session.gestureState,
+    devices: Array.from(session.devices).map(describeDevice),
+    connectedClients: session.clients.size,
     timestamp: Date.now()
   });
 });
 
-app.post('/calibrate', (req, res) => {
+app.post('/calibrate', requireDevice(req => req.body?.deviceId, { allowClient: true }), (req, res) => {
   const { deviceId, calibrationData } = req.body;
   
-  console.log(`Calibration received for ${deviceId}:`, calibrationData);
-  io.emit('calibration-complete', { deviceId });
+  if (!deviceId) {
+    return res.status(400).json({ error: 'Missing deviceId' });
+  }
+  
+  const errors = validateCalibrationData(calibrationData);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid calibration data', details: errors });
+  }
   
-  res.json({ status: 'calibration-saved', deviceId });
+  try {
+    const profile = calibrationStore.set(deviceId, calibrationData);
+    
+    // Movement deltas and gestures across the old and new calibration would be meaningless
+    resetDeviceState(deviceId);
+    
+    console.log(`Calibration saved for ${deviceId}`);
+    emitToDeviceSession(deviceId, 'calibration-complete', { deviceId, profile });
+    
+    res.json({ status: 'calibration-saved', deviceId, profile });
+  } catch (error) {
+    console.error('Error saving calibration:', error);
+    res.status(500).json({ error: 'Failed to save calibration', details: error.message });
+  }
 });
 
-// WebSocket Connection Handling
-io.on('connection', (socket) => {
-  console.log(`Frontend client connected: ${socket.id}`);
-  connectedClients.add(socket.id);
+app.get('/calibrate', requireClient, (req, res) => {
+  res.json({ profiles: calibrationStore.list() });
+});
+
+app.get('/calibrate/:deviceId', requireDevice(req => req.params.deviceId, { allowClient: true }), (req, res) => {
+  const profile = calibrationStore.get(req.params.deviceId);
   
-  socket.emit('initial-state', currentGestureState);
+  if (!profile) {
+    return res.status(404).json({ error: 'No calibration profile for device', deviceId: req.params.deviceId });
+  }
   
-  socket.on('select-object', (objectId) => {
-    currentGestureState.selectedObject = objectId;
-    console.log(`Object selected: ${objectId}`);
-    socket.broadcast.emit('object-selected', objectId);
-  });
+  res.json({ profile });
+});
+
+app.delete('/calibrate/:deviceId', requireDevice(req => req.params.deviceId, { allowClient: true }), (req, res) => {
+  const { deviceId } = req.params;
   
-  socket.on('transform-mode-change', (mode) => {
-    currentGestureState.transformMode = mode;
-    console.log(`Transform mode changed to: ${mode}`);
-    socket.broadcast.emit('transform-mode-changed', mode);
-  });
+  try {
+    if (!calibrationStore.delete(deviceId)) {
+      return res.status(404).json({ error: 'No calibration profile for device', deviceId });
+    }
+    
+    resetDeviceState(deviceId);
+    console.log(`Calibration reset for ${deviceId}`);
+    res.json({ status: 'calibration-deleted', deviceId });
+  } catch (error) {
+    console.error('Error deleting calibration:', error);
+    res.status(500).json({ error: 'Failed to delete calibration', details: error.message });
+  }
+});
+
+app.get('/config/gestures', (req, res) => {
+  res.json({ config: gestureConfigStore.get() });
+});
+
+app.get('/config/gestures/:deviceId', (req, res) => {
+  const { deviceId } = req.params;
   
-  socket.on('disconnect', () => {
-    console.log(`Frontend client disconnected: ${socket.id}`);
-    connectedClients.delete(socket.id);
+  res.json({
+    deviceId,
+    overrides: gestureConfigStore.get().devices[deviceId] || null,
+    effective: gestureConfigStore.resolve(deviceId)
   });
 });
 
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'healthy', 
-    uptime: process.uptime(),
-    connectedClients: connectedClients.size
+app.put('/config/gestures', (req, res) => {
+  let errors = validateGestureConfig(req.body);
+  // Settings that are valid on their own can still clash with the current ones, e.g. stabilization thresholds
+  if (errors.length === 0) errors = gestureConfigStore.validateUpdate(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid gesture config', details: errors });
+  }
+  
+  try {
+    const config = gestureConfigStore.update(req.body);
+    console.log('Gesture config updated');
+    io.emit('gesture-config-updated', config);
+    res.json({ status: 'config-updated', config });
+  } catch (error) {
+    console.error('Error saving gesture config:', error);
+    res.status(500).json({ error: 'Failed to save gesture config', details: error.message });
+  }
+});
+
+app.delete('/config/gestures', (req, res) => {
+  try {
+    const config = gestureConfigStore.reset();
+    console.log('Gesture config reset to defaults');
+    io.emit('gesture-config-updated', config);
+    res.json({ status: 'config-reset', config });
+  } catch (error) {
+    console.error('Error resetting gesture config:', error);
+    res.status(500).json({ error: 'Failed to reset gesture config', details: error.message });
+  }
+});
+
+app.get('/custom-gestures/:deviceId', (req, res) => {
+  res.json(customGestureStore.summary(req.params.deviceId));
+});
+
+// Record labelled samples: either captured live from the glove for durationMs,
+// or sent directly as an array of raw sensor frames
+app.post('/custom-gestures/:deviceId/samples', async (req, res) => {
+  const { deviceId } = req.params;
+  const { label, durationMs, samples, userId } = req.body;
+  
+  if (!label || !LABEL_PATTERN.test(label)) {
+    return res.status(400).json({ error: 'label must be 1-32 letters, digits, "_" or "-"' });
+  }
+  if (samples === undefined && !(durationMs > 0)) {
+    return res.status(400).json({ error: 'Provide either samples (array of sensor frames) or durationMs' });
+  }
+  
+  try {
+    let recorded;
+    if (samples !== undefined) {
+      if (!Array.isArray(samples) || samples.some(frame => !frame?.imu?.orientation || !frame.fingers)) {
+        return res.status(400).json({ error: 'samples must be an array of sensor frames with imu.orientation and fingers' });
+      }
+      const profile = calibrationStore.get(deviceId);
+      const features = samples.map(frame => extractFeatures(applyCalibration(frame, profile)));
+      recorded = customGestureStore.addSamples(deviceId, label, features, userId);
+    } else {
+      console.log(`Recording custom gesture "${label}" for ${deviceId} (${durationMs}ms)`);
+      recorded = await customGestureStore.record(deviceId, label, durationMs, userId);
+    }
+    
+    res.json({ status: 'samples-recorded', deviceId, label, recorded, ...customGestureStore.summary(deviceId) });
+  } catch (error) {
+    console.error('Error recording custom gesture samples:', error);
+    res.status(409).json({ error: 'Failed to record samples', details: error.message });
+  }
+});
+
+app.delete('/custom-gestures/:deviceId/samples/:label', (req, res) => {
+  const { deviceId, label } = req.params;
+  const removed = customGestureStore.deleteLabel(deviceId, label);
+  
+  if (removed === 0) {
+    return res.status(404).json({ error: 'No samples for label', deviceId, label });
+  }
+  res.json({ status: 'samples-deleted', deviceId, label, removed });
+});
+
+app.post('/custom-gestures/:deviceId/train', (req, res) => {
+  const { deviceId } = req.params;
+  const { actions, ...options } = req.body;
+  
+  const actionErrors = actions === undefined ? [] : validateActions(actions);
+  if (actionErrors.length > 0) {
+    return res.status(400).json({ error: 'Invalid gesture actions', details: actionErrors });
+  }
+  
+  try {
+    const { errors, model } = customGestureStore.train(deviceId, options);
+    if (errors) {
+      return res.status(400).json({ error: 'Cannot train custom gestures', details: errors });
+    }
+    if (actions) customGestureStore.setActions(deviceId, actions);
+    
+    // Start the new model from a clean gesture state
+    resetDeviceState(deviceId);
+    console.log(`Custom gesture model trained for ${deviceId}: ${model.labels.join(', ')}`);
+    res.json({ status: 'model-trained', ...customGestureStore.summary(deviceId) });
+  } catch (error) {
+    console.error('Error training custom gestures:', error);
+    res.status(500).json({ error: 'Failed to train custom gestures', details: error.message });
+  }
+});
+
+app.put('/custom-gestures/:deviceId/actions', (req, res) => {
+  const errors = validateActions(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid gesture actions', details: errors });
+  }
+  
+  const actions = customGestureStore.setActions(req.params.deviceId, req.body);
+  res.json({ status: 'actions-updated', deviceId: req.params.deviceId, actions });
+});
+
+app.delete('/custom-gestures/:deviceId', (req, res) => {
+  const { deviceId } = req.params;
+  
+  if (!customGestureStore.delete(deviceId)) {
+    return res.status(404).json({ error: 'No custom gestures for device', deviceId });
+  }
+  resetDeviceState(deviceId);
+  res.json({ status: 'custom-gestures-deleted', deviceId });
+});
+
+// WebSocket Connection Handling
+// Drop a device from the current hand state, e.g. when it goes silent, changes hands or changes session
+function clearHandState(deviceId) {
+  sessionManager.sessions.forEach(session => {
+    ['leftHand', 'rightHand'].forEach(hand => {
+      if (session.gestureState[hand]?.deviceId === deviceId) {
+        session.gestureState[hand] = null;
+        emitBimanualUpdate(session, session.bimanualTracker.reset());
+      }
+    });
+  });
+  
+  // The glove it shared a hand with has that hand to itself again
+  const partner = handConflicts.get(deviceId);
+  if (partner) {
+    handConflicts.delete(deviceId);
+    if (handConflicts.get(partner) === deviceId) {
+      handConflicts.delete(partner);
+      emitHandConflict(partner);
+    }
+  }
+}
+
+/**
+ * Send a device's frames to another session. Gestures it is holding end in the session it leaves.
+ * Returns false if it was already there.
+ */
+function moveDeviceToSession(deviceId, sessionId) {
+  if (sessionManager.get(sessionId)?.devices.has(deviceId)) return false;
+  
+  resetDeviceState(deviceId);
+  clearHandState(deviceId);
+  const previous = sessionManager.assignDevice(deviceId, sessionId);
+  
+  console.log(`🚪 ${deviceId} joined session ${sessionId}`);
+  // Both sessions hear about it: one gains the device, the other loses it
+  const rooms = [sessionManager.get(sessionId).room, ...(previous ? [previous.room] : [])];
+  io.to(rooms).emit('device-session-changed', describeDevice(deviceId) || { deviceId, sessionId });
+  return true;
+}
+
+// Devices that stop sending frames go offline and lose their frame history
+const deviceSweep = setInterval(() => {
+  deviceRegistry.sweep().forEach(deviceId => {
+    console.log(`⚪ ${deviceId} offline`);
+    resetDeviceState(deviceId);
+    clearHandState(deviceId);
+    emitToDeviceSession(deviceId, 'device-offline', describeDevice(deviceId));
+  });
+}, 1000);
+deviceSweep.unref();
+
+app.get('/devices', (req, res) => {
+  res.json({ devices: deviceRegistry.list().map(device => describeDevice(device.deviceId)) });
+});
+
+app.get('/devices/:deviceId', (req, res) => {
+  const device = describeDevice(req.params.deviceId);
+  
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found', deviceId: req.params.deviceId });
+  }
+  res.json(device);
+});
+
+// Register a glove, or update an existing registration
+app.post('/devices', (req, res) => {
+  const isNew = !deviceRegistry.isRegistered(req.body?.deviceId);
+  const errors = validateDevice(req.body, isNew);
+  
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid device', details: errors });
+  }
+  
+  const { deviceId } = req.body;
+  const previousHand = deviceRegistry.handedness(deviceId);
+  deviceRegistry.register(req.body);
+  if (deviceRegistry.handedness(deviceId) !== previousHand) {
+    clearHandState(deviceId);
+  }
+  const device = describeDevice(deviceId);
+  
+  console.log(`🧤 Registered ${deviceId} as ${device.handedness} hand`);
+  emitToDeviceSession(deviceId, 'device-registered', device);
+  res.status(isNew ? 201 : 200).json({ status: isNew ? 'registered' : 'updated', device });
+});
+
+app.delete('/devices/:deviceId', (req, res) => {
+  const { deviceId } = req.params;
+  
+  if (!deviceRegistry.delete(deviceId)) {
+    return res.status(404).json({ error: 'Device not registered', deviceId });
+  }
+  
+  clearHandState(deviceId);
+  emitToDeviceSession(deviceId, 'device-removed', { deviceId, device: describeDevice(deviceId) });
+  res.json({ status: 'removed', deviceId });
+});
+
+app.get('/recordings', (req, res) => {
+  res.json({ recordings: sessionRecorder.list() });
+});
+
+app.post('/recordings/start', (req, res) => {
+  const { deviceId } = req.body;
+  
+  if (!deviceId || typeof deviceId !== 'string') {
+    return res.status(400).json({ error: 'deviceId is required' });
+  }
+  
+  try {
+    const recording = sessionRecorder.start(deviceId);
+    console.log(`⏺️  Recording ${deviceId} to ${recording.id}`);
+    emitToDeviceSession(deviceId, 'recording-started', recording);
+    res.status(201).json({ status: 'recording', recording });
+  } catch (error) {
+    res.status(409).json({ error: error.message, deviceId });
+  }
+});
+
+app.post('/recordings/stop', async (req, res) => {
+  const { deviceId } = req.body;
+  
+  if (!deviceId) {
+    return res.status(400).json({ error: 'deviceId is required' });
+  }
+  
+  try {
+    const recording = await sessionRecorder.stop(deviceId);
+    if (!recording) {
+      return res.status(404).json({ error: 'No recording in progress for this device', deviceId });
+    }
+    
+    console.log(`⏹️  Stopped recording ${recording.id} (${recording.frameCount} frames)`);
+    emitToDeviceSession(deviceId, 'recording-stopped', recording);
+    res.json({ status: 'stopped', recording });
+  } catch (error) {
+    console.error('Error stopping recording:', error);
+    res.status(500).json({ error: 'Failed to stop recording', details: error.message });
+  }
+});
+
+app.get('/recordings/:id', (req, res) => {
+  const { id } = req.params;
+  
+  if (!sessionRecorder.exists(id)) {
+    return res.status(404).json({ error: 'Recording not found', id });
+  }
+  
+  res.type('application/x-ndjson');
+  res.download(sessionRecorder.filePath(id), `${id}.ndjson`);
+});
+
+app.delete('/recordings/:id', (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    if (!sessionRecorder.delete(id)) {
+      return res.status(404).json({ error: 'Recording not found', id });
+    }
+    res.json({ status: 'deleted', id });
+  } catch (error) {
+    res.status(409).json({ error: error.message, id });
+  }
+});
+
+function replayStatus() {
+  return activeReplay ? activeReplay.status() : null;
+}
+
+function stopReplay() {
+  if (activeReplay) {
+    activeReplay.stop();
+    activeReplay = null;
+  }
+}
+
+// Replay a recording through processSensorData, broadcasting exactly like live frames
+app.post('/replay', (req, res) => {
+  const { recordingId, speed = 1, loop = false } = req.body;
+  
+  if (!isValidSpeed(speed)) {
+    return res.status(400).json({ error: `speed must be a number between ${MIN_SPEED} and ${MAX_SPEED}` });
+  }
+  if (!sessionRecorder.exists(recordingId)) {
+    return res.status(404).json({ error: 'Recording not found', recordingId });
+  }
+  // Its file is still being written
+  if (sessionRecorder.isRecording(recordingId)) {
+    return res.status(409).json({ error: 'Recording is still running; stop it first', recordingId });
+  }
+  
+  let entries;
+  try {
+    entries = sessionRecorder.load(recordingId);
+  } catch (error) {
+    return res.status(422).json({ error: 'Recording could not be read', details: error.message });
+  }
+  if (entries.length === 0) {
+    return res.status(422).json({ error: 'Recording has no frames', recordingId });
+  }
+  
+  stopReplay();
+  activeReplay = new SessionReplay(recordingId, entries, {
+    speed,
+    loop: Boolean(loop),
+    onFrame: frame => ingestSensorData(normalizeSensorPayload(frame).payload, 'replay'),
+    onSeek: deviceIds => deviceIds.forEach(resetDeviceState),
+    // To every session one of the replayed devices is in
+    onStatus: status => {
+      const rooms = new Set(status.deviceIds.map(id => sessionManager.sessionForDevice(id).room));
+      io.to([...rooms]).emit('replay-status', status);
+    }
+  });
+  activeReplay.deviceIds.forEach(resetDeviceState);
+  activeReplay.play();
+  
+  console.log(`▶️  Replaying ${recordingId} at ${speed}x`);
+  res.status(201).json({ status: 'playing', replay: replayStatus() });
+});
+
+app.get('/replay', (req, res) => {
+  res.json({ replay: replayStatus() });
+});
+
+// Pause, resume, seek and change speed of the running replay
+app.put('/replay', (req, res) => {
+  const { paused, positionMs, speed } = req.body;
+  
+  if (!activeReplay) {
+    return res.status(404).json({ error: 'No replay in progress' });
+  }
+  
+  const errors = [];
+  if (paused !== undefined && typeof paused !== 'boolean') {
+    errors.push('paused must be a boolean');
+  }
+  if (positionMs !== undefined && !(typeof positionMs === 'number' && positionMs >= 0)) {
+    errors.push('positionMs must be a non-negative number');
+  }
+  if (speed !== undefined && !isValidSpeed(speed)) {
+    errors.push(`speed must be a number between ${MIN_SPEED} and ${MAX_SPEED}`);
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid replay update', details: errors });
+  }
+  
+  if (speed !== undefined) activeReplay.setSpeed(speed);
+  if (positionMs !== undefined) activeReplay.seek(positionMs);
+  if (paused === true) activeReplay.pause();
+  if (paused === false) activeReplay.play();
+  
+  res.json({ replay: replayStatus() });
+});
+
+app.delete('/replay', (req, res) => {
+  if (!activeReplay) {
+    return res.status(404).json({ error: 'No replay in progress' });
+  }
+  
+  const { recordingId } = activeReplay;
+  stopReplay();
+  console.log(`⏹️  Stopped replay of ${recordingId}`);
+  res.json({ status: 'stopped', recordingId });
+});
+
+// Editing sessions: who is in each, and moving gloves between them
+function describeSession(sessionId) {
+  return sessionManager.describe(sessionId, deviceId => describeDevice(deviceId) || { deviceId });
+}
+
+// Everything a late joiner needs to start editing a session's scene
+// reason tells editors whether the scene was replaced ('load') or they are catching up ('join', 'resync')
+function sceneSnapshot(session, reason) {
+  return { ...session.scene.snapshot(), sessionId: session.id, reason, selections: session.describeSelections() };
+}
+
+// Name of the editor token (or admin) a request or socket authenticated with; null when auth is off
+function identityName(identity) {
+  if (identity?.tokenId) return authStore.clientTokens.get(identity.tokenId)?.name || identity.tokenId;
+  return identity?.role === 'admin' ? 'Admin' : null;
+}
+
+// How an editor is labelled next to its selection in other editors' viewports
+function editorName(socket) {
+  return identityName(socket.data.auth) || `Editor ${socket.id.slice(0, 4)}`;
+}
+
+// Tell a session's editors that a client left, so its selection disappears from their viewports
+function clearClientSelection(session, socketId) {
+  if (session) io.to(session.room).emit('selection-changed', { clientId: socketId, name: null, objectId: null });
+}
+
+// Put a browser client in a session's room and send it that session's state
+function joinClientSession(socket, sessionId) {
+  const previous = sessionManager.assignClient(socket.id, sessionId);
+  if (previous) {
+    socket.leave(previous.room);
+    clearClientSelection(previous, socket.id);
+  }
+  
+  const session = sessionManager.get(sessionId);
+  socket.join(session.room);
+  socket.emit('session-joined', { sessionId });
+  socket.emit('initial-state', session.gestureState);
+  socket.emit('scene-snapshot', sceneSnapshot(session, 'join'));
+}
+
+app.get('/sessions', (req, res) => {
+  res.json({ sessions: sessionManager.list().map(session => describeSession(session.sessionId)) });
+});
+
+app.post('/sessions', (req, res) => {
+  const sessionId = req.body?.sessionId;
+  const errors = validateSessionId(sessionId);
+  
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid session', details: errors });
+  }
+  
+  const isNew = !sessionManager.get(sessionId);
+  sessionManager.ensure(sessionId);
+  res.status(isNew ? 201 : 200).json({ status: isNew ? 'created' : 'exists', session: describeSession(sessionId) });
+});
+
+app.get('/sessions/:sessionId', (req, res) => {
+  const session = describeSession(req.params.sessionId);
+  
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found', sessionId: req.params.sessionId });
+  }
+  res.json(session);
+});
+
+app.get('/sessions/:sessionId/scene', (req, res) => {
+  const session = sessionManager.get(req.params.sessionId);
+  
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found', sessionId: req.params.sessionId });
+  }
+  res.json(sceneSnapshot(session));
+});
+
+// Deleting a session moves its devices and clients back to the default session
+app.delete('/sessions/:sessionId', (req, res) => {
+  const { sessionId } = req.params;
+  const session = sessionManager.get(sessionId);
+  
+  if (sessionId === DEFAULT_SESSION_ID) {
+    return res.status(400).json({ error: 'The default session cannot be deleted', sessionId });
+  }
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found', sessionId });
+  }
+  
+  Array.from(session.devices).forEach(deviceId => moveDeviceToSession(deviceId, DEFAULT_SESSION_ID));
+  Array.from(session.clients.keys()).forEach(socketId => {
+    const socket = io.sockets.sockets.get(socketId);
+    if (socket) joinClientSession(socket, DEFAULT_SESSION_ID);
+  });
+  sessionManager.delete(sessionId);
+  
+  console.log(`🗑️  Deleted session ${sessionId}`);
+  res.json({ status: 'deleted', sessionId });
+});
+
+app.put('/sessions/:sessionId/devices/:deviceId', (req, res) => {
+  const { sessionId, deviceId } = req.params;
+  const errors = validateSessionId(sessionId);
+  
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid session', details: errors });
+  }
+  
+  const moved = moveDeviceToSession(deviceId, sessionId);
+  res.json({ status: moved ? 'joined' : 'unchanged', sessionId, deviceId });
+});
+
+app.delete('/sessions/:sessionId/devices/:deviceId', (req, res) => {
+  const { sessionId, deviceId } = req.params;
+  
+  if (!sessionManager.get(sessionId)?.devices.has(deviceId)) {
+    return res.status(404).json({ error: 'Device not in session', sessionId, deviceId });
+  }
+  
+  moveDeviceToSession(deviceId, DEFAULT_SESSION_ID);
+  res.json({ status: 'left', sessionId, deviceId });
+});
+
+// Saved scenes. With auth on, the author is the editor token's name; otherwise the editor can send one.
+app.get('/scenes', (req, res) => {
+  res.json({ scenes: sceneLibrary.list() });
+});
+
+app.post('/scenes', (req, res) => {
+  const errors = validateSceneFile(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid scene', details: errors });
+  }
+  
+  const scene = sceneLibrary.create({ ...req.body, author: identityName(req.auth) ?? req.body.author ?? null });
+  console.log(`💾 Saved scene ${scene.id} (${scene.name})`);
+  res.status(201).json({ status: 'created', scene: describeScene(scene) });
+});
+
+app.get('/scenes/:sceneId', (req, res) => {
+  const scene = sceneLibrary.get(req.params.sceneId);
+  
+  if (!scene) {
+    return res.status(404).json({ error: 'Scene not found', sceneId: req.params.sceneId });
+  }
+  res.json(scene);
+});
+
+app.put('/scenes/:sceneId', (req, res) => {
+  const { sceneId } = req.params;
+  const errors = validateSceneFile(req.body, { partial: true });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid scene', details: errors });
+  }
+  
+  const { name, objects } = req.body;
+  const scene = sceneLibrary.update(sceneId, { name, objects });
+  if (!scene) {
+    return res.status(404).json({ error: 'Scene not found', sceneId });
+  }
+  
+  console.log(`💾 Updated scene ${sceneId} (${scene.name})`);
+  res.json({ status: 'updated', scene: describeScene(scene) });
+});
+
+app.delete('/scenes/:sceneId', (req, res) => {
+  const { sceneId } = req.params;
+  
+  if (!sceneLibrary.delete(sceneId)) {
+    return res.status(404).json({ error: 'Scene not found', sceneId });
+  }
+  
+  console.log(`🗑️  Deleted scene ${sceneId}`);
+  res.json({ status: 'deleted', sceneId });
+});
+
+// Credentials management (admin token only). Keys and tokens are returned once, when issued.
+app.get('/admin/device-keys', (req, res) => {
+  res.json({ deviceKeys: authStore.listDeviceKeys() });
+});
+
+// Issue a key for a device, replacing (and invalidating) any earlier one
+app.post('/admin/device-keys', (req, res) => {
+  const deviceId = req.body?.deviceId;
+  if (!deviceId || typeof deviceId !== 'string') {
+    return res.status(400).json({ error: 'Invalid device key request', details: ['deviceId is required'] });
+  }
+  
+  const replaced = authStore.hasDeviceKey(deviceId);
+  const apiKey = authStore.issueDeviceKey(deviceId);
+  disconnectDevice(deviceId);
+  
+  console.log(`🔑 ${replaced ? 'Rotated' : 'Issued'} API key for ${deviceId}`);
+  res.status(replaced ? 200 : 201).json({ status: replaced ? 'rotated' : 'issued', deviceId, apiKey });
+});
+
+app.delete('/admin/device-keys/:deviceId', (req, res) => {
+  const { deviceId } = req.params;
+  
+  if (!authStore.revokeDeviceKey(deviceId)) {
+    return res.status(404).json({ error: 'No API key for device', deviceId });
+  }
+  disconnectDevice(deviceId);
+  
+  console.log(`🔑 Revoked API key for ${deviceId}`);
+  res.json({ status: 'revoked', deviceId });
+});
+
+app.get('/admin/tokens', (req, res) => {
+  res.json({ tokens: authStore.listClientTokens() });
+});
+
+app.post('/admin/tokens', (req, res) => {
+  const name = req.body?.name;
+  if (!name || typeof name !== 'string') {
+    return res.status(400).json({ error: 'Invalid token request', details: ['name is required'] });
+  }
+  
+  const { tokenId, token } = authStore.issueClientToken(name);
+  console.log(`🔑 Issued editor token ${tokenId} (${name})`);
+  res.status(201).json({ status: 'issued', tokenId, name, token });
+});
+
+app.delete('/admin/tokens/:tokenId', (req, res) => {
+  const { tokenId } = req.params;
+  
+  if (!authStore.revokeClientToken(tokenId)) {
+    return res.status(404).json({ error: 'Token not found', tokenId });
+  }
+  
+  // Editors connected with the token lose their socket straight away
+  io.sockets.sockets.forEach(socket => {
+    if (socket.data.auth?.tokenId === tokenId) socket.disconnect(true);
+  });
+  
+  console.log(`🔑 Revoked editor token ${tokenId}`);
+  res.json({ status: 'revoked', tokenId });
+});
+
+// Socket connections are refused with an Error whose data carries the same status and details as REST
+function rejectSocket(socket, status, reason) {
+  console.warn(`🔒 ${status} socket ${socket.nsp.name} from ${socket.handshake.address}: ${reason}`);
+  const error = new Error(status === 401 ? 'Unauthorized' : 'Forbidden');
+  error.data = { status, details: [reason] };
+  return error;
+}
+
+// Editors connect with io(url, { auth: { token } })
+io.use((socket, next) => {
+  if (!authStore.enabled) return next();
+  
+  const { token } = socket.handshake.auth || {};
+  if (!token) return next(rejectSocket(socket, 401, 'Missing auth.token'));
+  
+  const identity = authStore.identifyClient(token);
+  if (!identity) return next(rejectSocket(socket, 401, 'Invalid or revoked token'));
+  
+  socket.data.auth = identity;
+  next();
+});
+
+// Browser clients pick a session with ?session= on connect, or switch with join-session
+io.on('connection', (socket) => {
+  console.log(`Frontend client connected: ${socket.id}`);
+  connectedClients.add(socket.id);
+  
+  const requestedSession = socket.handshake.query.session || DEFAULT_SESSION_ID;
+  const sessionErrors = validateSessionId(requestedSession);
+  if (sessionErrors.length > 0) {
+    socket.emit('session-error', { error: 'Invalid session', details: sessionErrors });
+  }
+  joinClientSession(socket, sessionErrors.length > 0 ? DEFAULT_SESSION_ID : requestedSession);
+  if (activeReplay) {
+    socket.emit('replay-status', replayStatus());
+  }
+  
+  socket.on('join-session', (sessionId) => {
+    const errors = validateSessionId(sessionId);
+    if (errors.length > 0) {
+      socket.emit('session-error', { error: 'Invalid session', details: errors });
+      return;
+    }
+    joinClientSession(socket, sessionId);
+  });
+  
+  socket.on('select-object', (objectId) => {
+    const session = sessionManager.sessionForClient(socket.id);
+    session.gestureState.selectedObject = objectId;
+    console.log(`Object selected in ${session.id}: ${objectId}`);
+    socket.to(session.room).emit('object-selected', objectId);
+  });
+  
+  socket.on('transform-mode-change', (mode) => {
+    const session = sessionManager.sessionForClient(socket.id);
+    session.gestureState.transformMode = mode;
+    console.log(`Transform mode changed in ${session.id} to: ${mode}`);
+    socket.to(session.room).emit('transform-mode-changed', mode);
+  });
+  
+  // Scene edits are applied in arrival order and broadcast to the whole session, sender included,
+  // numbered so editors can tell whether they missed one. The sender's ack says whether it stuck.
+  socket.on('scene-op', (payload, ack) => {
+    const session = sessionManager.sessionForClient(socket.id);
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const { op, opId = null } = payload || {};
+    const result = session.scene.apply(op, typeof opId === 'string' ? opId : null);
+    
+    if (result.errors) {
+      respond({ status: 'rejected', opId, details: result.errors });
+      return;
+    }
+    // Resent after a reconnect, but it had already arrived; everyone has seen it
+    if (result.duplicate) {
+      respond({ status: 'applied', opId, version: result.version });
+      return;
+    }
+    
+    io.to(session.room).emit('scene-op', { version: result.version, op: result.op, opId, clientId: socket.id });
+    respond({ status: 'applied', opId, version: result.version });
+  });
+  
+  // Editors that fell behind (a gap in version numbers) start over from a snapshot
+  socket.on('scene-snapshot-request', () => {
+    socket.emit('scene-snapshot', sceneSnapshot(sessionManager.sessionForClient(socket.id), 'resync'));
+  });
+  
+  // Opening a saved scene (or starting a new one) replaces the session's scene for every editor in it
+  socket.on('scene-load', (payload, ack) => {
+    const session = sessionManager.sessionForClient(socket.id);
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const result = session.scene.load(payload?.objects);
+    
+    if (result.errors) {
+      respond({ status: 'rejected', details: result.errors });
+      return;
+    }
+    
+    console.log(`📂 Scene in ${session.id} replaced (${session.scene.objects.length} objects)`);
+    io.to(session.room).emit('scene-snapshot', sceneSnapshot(session, 'load'));
+    respond({ status: 'applied', version: result.version });
+  });
+  
+  socket.on('scene-select', (objectId) => {
+    const session = sessionManager.sessionForClient(socket.id);
+    const name = editorName(socket);
+    const selected = typeof objectId === 'string' ? objectId : null;
+    
+    if (selected) {
+      session.selections.set(socket.id, { name, objectId: selected });
+    } else {
+      session.selections.delete(socket.id);
+    }
+    socket.to(session.room).emit('selection-changed', { clientId: socket.id, name, objectId: selected });
+  });
+  
+  // Feedback on a glove in this editor's session, addressed by hand or deviceId
+  socket.on('haptic-feedback', (payload, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const session = sessionManager.sessionForClient(socket.id);
+    const { hand, deviceId: requestedDevice, ...command } = payload || {};
+    
+    const errors = validateHapticCommand(command);
+    const deviceId = requestedDevice ?? session.gestureState[`${hand}Hand`]?.deviceId;
+    if (requestedDevice === undefined && !['left', 'right'].includes(hand)) {
+      errors.push('hand must be left or right, or give a deviceId');
+    } else if (!deviceId) {
+      errors.push(`No ${hand} glove is streaming in session ${session.id}`);
+    } else if (!session.devices.has(deviceId)) {
+      errors.push(`Device ${deviceId} is not in session ${session.id}`);
+    }
+    if (errors.length > 0) {
+      respond({ status: 'rejected', details: errors });
+      return;
+    }
+    
+    respond({ status: 'queued', deviceId, command: queueHaptic(deviceId, command) });
+  });
+  
+  // Editors estimate their clock offset from the backend with these round trips
+  socket.on('clock-ping', answerClockPing);
+  
+  // Latency samples (ms) measured in the browser, for /metrics
+  socket.on('latency-report', (report) => {
+    observeReportedLatency('server_to_client', report?.serverToClient);
+    observeReportedLatency('client_to_render', report?.clientToRender);
+  });
+  
+  socket.on('disconnect', () => {
+    console.log(`Frontend client disconnected: ${socket.id}`);
+    connectedClients.delete(socket.id);
+    clearClientSelection(sessionManager.removeClient(socket.id), socket.id);
+  });
+});
+
+// Answer a ping with our clock: ack({ clientTime, serverTime })
+function answerClockPing(clientTime, ack) {
+  if (typeof ack === 'function') ack({ clientTime, serverTime: Date.now() });
+}
+
+const MAX_LATENCY_REPORT_SAMPLES = 500;
+
+function observeReportedLatency(leg, samples) {
+  if (!Array.isArray(samples)) return;
+  samples
+    .slice(0, MAX_LATENCY_REPORT_SAMPLES)
+    .filter(ms => Number.isFinite(ms) && ms >= 0 && ms <= MAX_PLAUSIBLE_LATENCY_MS)
+    .forEach(ms => latencySeconds.observe({ leg }, ms / 1000));
+}
+
+// Devices whose frames come over a glove socket: the one it authenticated as, or those it has sent
+function socketDeviceIds(socket) {
+  return socket.data.deviceId ? [socket.data.deviceId] : Array.from(socket.data.frameDeviceIds);
+}
+
+// Ask a glove for its clock; it answers the ack with its current time in ms (the clock its frame timestamps use)
+function pingDeviceClock(socket) {
+  const sentAt = Date.now();
+  socket.timeout(CLOCK_PING_TIMEOUT_MS).emit('clock-ping', { serverTime: sentAt }, (error, deviceTime) => {
+    if (error) return;   // Gloves that don't implement clock-ping are assumed to keep NTP time
+    const sample = { sentAt, remoteTime: deviceTime, receivedAt: Date.now() };
+    socketDeviceIds(socket).forEach(deviceId => deviceClocks.addSample(deviceId, sample));
+  });
+}
+
+// Queue a vibration for a glove; gloves on the /devices namespace get it right away
+function queueHaptic(deviceId, command) {
+  const queued = hapticQueue.enqueue(deviceId, command);
+  const sockets = Array.from(deviceNamespace.sockets.values())
+    .filter(socket => socketDeviceIds(socket).includes(deviceId));
+  
+  if (sockets.length > 0) {
+    const commands = hapticQueue.drain(deviceId);
+    sockets.forEach(socket => socket.emit('haptic', { deviceId, commands }));
+  }
+  return queued;
+}
+
+// Drop a glove's socket connections, e.g. after its key was rotated or revoked
+function disconnectDevice(deviceId) {
+  deviceNamespace.sockets.forEach(socket => {
+    if (socket.data.deviceId === deviceId) socket.disconnect(true);
+  });
+}
+
+// Persistent ingestion channel for gloves: one connection, frames sent as single payloads or batches
+const deviceNamespace = io.of('/devices');
+
+// Gloves connect with io(`${url}/devices`, { auth: { apiKey } }) and may only send their own frames
+deviceNamespace.use((socket, next) => {
+  if (!authStore.enabled) return next();
+  
+  const { apiKey } = socket.handshake.auth || {};
+  if (!apiKey) return next(rejectSocket(socket, 401, 'Missing auth.apiKey'));
+  
+  const deviceId = authStore.identifyDevice(apiKey);
+  if (!deviceId) return next(rejectSocket(socket, 401, 'Invalid or revoked device API key'));
+  
+  socket.data.deviceId = deviceId;
+  next();
+});
+
+deviceNamespace.on('connection', (socket) => {
+  console.log(`Glove connected over socket.io: ${socket.id}`);
+  
+  // Gloves connecting with ?session= send their frames to that session
+  const sessionId = socket.handshake.query.session;
+  const sessionErrors = sessionId === undefined ? [] : validateSessionId(sessionId);
+  if (sessionErrors.length > 0) {
+    socket.emit('session-error', { error: 'Invalid session', details: sessionErrors });
+    socket.disconnect(true);
+    return;
+  }
+  
+  // Keep an estimate of the glove's clock offset so glove-to-server latency can be measured
+  socket.data.frameDeviceIds = new Set();
+  const clockTimer = setInterval(() => pingDeviceClock(socket), CLOCK_SYNC_INTERVAL_MS);
+  pingDeviceClock(socket);
+  socket.on('clock-ping', answerClockPing);
+  
+  socket.on('sensor-data', (data, ack) => {
+    const frames = Array.isArray(data) ? data : [data];
+    const rejected = [];
+    let lastProcessed = null;
+    
+    frames.forEach((frame, index) => {
+      if (socket.data.deviceId && frame?.deviceId !== socket.data.deviceId) {
+        console.warn(`🔒 403 socket /devices frame for ${frame?.deviceId} on ${socket.data.deviceId}'s connection`);
+        rejected.push({ index, details: [{ path: 'deviceId', message: `is not the device this connection authenticated as (${socket.data.deviceId})` }] });
+        return;
+      }
+      try {
+        const { errors, processedData } = acceptSensorData(frame, 'socket', sessionId);
+        if (errors) {
+          rejected.push({ index, details: errors });
+        } else {
+          lastProcessed = processedData;
+          if (!socket.data.frameDeviceIds.has(frame.deviceId)) {
+            socket.data.frameDeviceIds.add(frame.deviceId);
+            pingDeviceClock(socket);
+          }
+        }
+      } catch (error) {
+        console.error('Error processing sensor data:', error);
+        rejected.push({ index, details: [{ path: 'payload', message: error.message }] });
+      }
+    });
+    
+    if (typeof ack === 'function') {
+      ack({
+        status: rejected.length === 0 ? 'success' : 'partial',
+        accepted: frames.length - rejected.length,
+        rejected,
+        processedData: lastProcessed && summarizeProcessedData(lastProcessed)
+      });
+    }
+  });
+  
+  socket.on('disconnect', () => {
+    console.log(`Glove disconnected from socket.io: ${socket.id}`);
+    clearInterval(clockTimer);
+    socketDeviceIds(socket).forEach(deviceId => deviceClocks.remove(deviceId));
+  });
+});
+
+// UDP listener for the compact binary frame format (see udp-ingest.js)
+const UDP_PORT = Number(process.env.UDP_PORT || 3002);
+
+// UDP packets carry no credentials, so with auth on the listener only runs on networks declared trusted
+const UDP_ENABLED = !authStore.enabled || process.env.UDP_TRUSTED === 'true';
+
+if (UDP_ENABLED) {
+  const udpIngest = createUdpIngest({
+    port: UDP_PORT,
+    onFrame: (frame, remote) => {
+      try {
+        const { errors } = acceptSensorData(frame, 'udp');
+        if (errors) {
+          console.warn(`Rejected UDP frame from ${remote.address}:${remote.port}:`, errors);
+        }
+      } catch (error) {
+        console.error('Error processing sensor data:', error);
+      }
+    },
+    onError: (error, remote) => {
+      console.warn(`Dropped UDP packet from ${remote.address}:${remote.port}: ${error.message}`);
+    }
+  });
+  
+  udpIngest.on('error', (error) => {
+    console.error(`UDP ingestion unavailable on port ${UDP_PORT}:`, error.message);
+    udpIngest.close();
+  });
+}
+
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+function stalledDevices(now = Date.now()) {
+  return deviceRegistry.list().filter(device => {
+    if (device.online || device.lastSeen === null) return false;
+    return device.registered || now - device.lastSeen <= HEALTH_STALE_WINDOW_MS;
+  });
+}
+
+// Degraded (still 200) while a glove that should be streaming has stopped
+app.get('/health', (req, res) => {
+  const stalled = stalledDevices();
+  
+  res.json({ 
+    status: stalled.length > 0 ? 'degraded' : 'healthy', 
+    uptime: process.uptime(),
+    connectedClients: connectedClients.size,
+    devices: {
+      online: deviceRegistry.list().filter(device => device.online).length,
+      stalled: stalled.map(({ deviceId, name, lastSeen }) => ({ deviceId, name, lastSeen }))
+    }
   });
 });
 
@@ -435,9 +1945,26 @@ server.listen(PORT, () => {
   console.log(`🚀 Gesture Control Backend Server running on port ${PORT}`);
   console.log(`📡 WebSocket server ready for frontend connections`);
   console.log(`🧤 Ready to receive sensor data from glove hardware`);
+  console.log(`📶 Glove streaming: socket.io namespace /devices, ${UDP_ENABLED ? `UDP port ${UDP_PORT}` : 'UDP off (auth on, UDP_TRUSTED not set)'}`);
+  console.log(authStore.enabled
+    ? `🔒 Auth on: device API keys for ingestion, tokens for editors (origins: ${ALLOWED_ORIGINS.join(', ')})`
+    : '⚠️  Auth off: set ADMIN_TOKEN to require device API keys and editor tokens');
   console.log(`\nAPI Endpoints:`);
   console.log(`  POST /sensor-data - Receive glove sensor data`);
+  console.log(`  GET  /schema - Sensor payload schema`);
   console.log(`  GET  /current-state - View current gesture state`);
-  console.log(`  POST /calibrate - Sensor calibration`);
+  console.log(`  POST /devices - Register a glove (handedness, name, user, firmware)`);
+  console.log(`  GET  /sessions - Editing sessions and their participants`);
+  console.log(`  POST /calibrate - Save device calibration profile`);
+  console.log(`  GET  /calibrate/:deviceId - View calibration profile`);
+  console.log(`  DELETE /calibrate/:deviceId - Reset calibration profile`);
+  console.log(`  GET  /config/gestures - View gesture thresholds and mode mapping`);
+  console.log(`  PUT  /config/gestures - Update gesture config (live)`);
+  console.log(`  POST /custom-gestures/:deviceId/samples - Record custom gesture samples`);
+  console.log(`  POST /custom-gestures/:deviceId/train - Train custom gesture model`);
+  console.log(`  POST /recordings/start|stop - Record a device's raw sensor stream`);
+  console.log(`  POST /replay - Replay a recording through the pipeline`);
+  console.log(`  POST /admin/device-keys|tokens - Issue device API keys and editor tokens`);
+  console.log(`  GET  /metrics - Prometheus metrics`);
   console.log(`  GET  /health - Health check`);
 });
\ No newline at end of file
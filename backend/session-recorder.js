@@ -0,0 +1,276 @@
+/**
+ * Session Recording
+ * Captures the raw /sensor-data stream per device to NDJSON files and replays recordings
+ * back through the processing pipeline with their original timing
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIN_SPEED = 0.1;
+const MAX_SPEED = 20;
+
+// How often a playing replay reports its position
+const STATUS_INTERVAL_MS = 250;
+
+/**
+ * Each line of a recording is { receivedAt, frame }: the raw request body and when it arrived
+ */
+class SessionRecorder {
+  constructor(directory) {
+    this.directory = directory;
+    this.active = new Map();   // deviceId -> { id, deviceId, startedAt, frameCount, stream }
+  }
+
+  filePath(id) {
+    return path.join(this.directory, `${id}.ndjson`);
+  }
+
+  // Ids come from URLs; never let one point outside the recordings directory
+  isValidId(id) {
+    return typeof id === 'string' && path.basename(id) === id && !id.startsWith('.');
+  }
+
+  exists(id) {
+    return this.isValidId(id) && fs.existsSync(this.filePath(id));
+  }
+
+  // Whether frames are still being written to this recording
+  isRecording(id) {
+    return Array.from(this.active.values()).some(recording => recording.id === id);
+  }
+
+  describe({ id, deviceId, startedAt, frameCount }) {
+    return { id, deviceId, startedAt, frameCount, recording: true };
+  }
+
+  start(deviceId) {
+    if (this.active.has(deviceId)) {
+      throw new Error(`Already recording ${deviceId}`);
+    }
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    const startedAt = Date.now();
+    const id = `${encodeURIComponent(deviceId)}.${startedAt}`;
+    const recording = {
+      id,
+      deviceId,
+      startedAt,
+      frameCount: 0,
+      stream: fs.createWriteStream(this.filePath(id), { flags: 'wx' })
+    };
+    recording.stream.on('error', error => {
+      console.error(`Recording ${id} failed:`, error.message);
+      this.active.delete(deviceId);
+    });
+
+    this.active.set(deviceId, recording);
+    return this.describe(recording);
+  }
+
+  /**
+   * Finish a device's recording. Resolves with its summary once the file is flushed,
+   * or null when the device wasn't being recorded.
+   */
+  stop(deviceId) {
+    const recording = this.active.get(deviceId);
+    if (!recording) return Promise.resolve(null);
+
+    this.active.delete(deviceId);
+    return new Promise(resolve => {
+      recording.stream.end(() => resolve({ ...this.describe(recording), recording: false }));
+    });
+  }
+
+  /**
+   * Append a raw frame to the device's recording, if one is running
+   */
+  observe(rawFrame, receivedAt = Date.now()) {
+    const recording = this.active.get(rawFrame.deviceId);
+    if (!recording) return;
+
+    recording.stream.write(`${JSON.stringify({ receivedAt, frame: rawFrame })}\n`);
+    recording.frameCount++;
+  }
+
+  list() {
+    const active = Array.from(this.active.values());
+    if (!fs.existsSync(this.directory)) return [];
+
+    return fs.readdirSync(this.directory)
+      .filter(file => file.endsWith('.ndjson'))
+      .map(file => {
+        const id = file.slice(0, -'.ndjson'.length);
+        const running = active.find(recording => recording.id === id);
+        if (running) return this.describe(running);
+
+        const separator = id.lastIndexOf('.');
+        const encodedDeviceId = id.slice(0, separator);
+        const startedAt = id.slice(separator + 1);
+        const { size, mtimeMs } = fs.statSync(this.filePath(id));
+        return {
+          id,
+          deviceId: decodeURIComponent(encodedDeviceId),
+          startedAt: Number(startedAt),
+          endedAt: Math.round(mtimeMs),
+          size,
+          recording: false
+        };
+      })
+      .sort((a, b) => b.startedAt - a.startedAt);
+  }
+
+  /**
+   * Read a finished recording into memory as [{ receivedAt, frame }]
+   */
+  load(id) {
+    return fs.readFileSync(this.filePath(id), 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+  }
+
+  delete(id) {
+    if (!this.exists(id)) return false;
+    if (this.isRecording(id)) {
+      throw new Error(`Recording ${id} is still running`);
+    }
+    fs.unlinkSync(this.filePath(id));
+    return true;
+  }
+}
+
+/**
+ * Plays recorded frames back in order, preserving the gaps between them (scaled by speed)
+ */
+class SessionReplay {
+  constructor(recordingId, entries, { speed = 1, loop = false, onFrame, onStatus, onSeek }) {
+    this.recordingId = recordingId;
+    this.entries = entries;
+    this.speed = speed;
+    this.loop = loop;
+    this.onFrame = onFrame;
+    this.onStatus = onStatus;
+    this.onSeek = onSeek;
+
+    this.startedAt = entries.length > 0 ? entries[0].receivedAt : 0;
+    this.durationMs = entries.length > 0 ? entries[entries.length - 1].receivedAt - this.startedAt : 0;
+    this.deviceIds = Array.from(new Set(entries.map(entry => entry.frame.deviceId)));
+    this.index = 0;
+    this.state = 'paused';
+    this.timer = null;
+    this.lastStatusAt = 0;
+  }
+
+  status() {
+    return {
+      recordingId: this.recordingId,
+      deviceIds: this.deviceIds,
+      state: this.state,
+      speed: this.speed,
+      loop: this.loop,
+      positionMs: this.positionMs(),
+      durationMs: this.durationMs,
+      frameIndex: this.index,
+      frameCount: this.entries.length
+    };
+  }
+
+  positionMs() {
+    const entry = this.entries[Math.min(this.index, this.entries.length - 1)];
+    return entry ? entry.receivedAt - this.startedAt : 0;
+  }
+
+  play() {
+    if (this.state === 'playing' || this.state === 'stopped' || this.entries.length === 0) return;
+    if (this.index >= this.entries.length) this.seek(0);
+    this.state = 'playing';
+    this.emitStatus();
+    this.scheduleNext(0);
+  }
+
+  pause() {
+    if (this.state !== 'playing') return;
+    clearTimeout(this.timer);
+    this.state = 'paused';
+    this.emitStatus();
+  }
+
+  /**
+   * Jump to the first frame at or after positionMs. The pipeline's per-device state is reset
+   * (through onSeek) so filters and gesture machines don't bridge the jump.
+   */
+  seek(positionMs) {
+    clearTimeout(this.timer);
+    const target = this.startedAt + Math.max(0, Math.min(positionMs, this.durationMs));
+    const index = this.entries.findIndex(entry => entry.receivedAt >= target);
+    this.index = index === -1 ? this.entries.length : index;
+    this.onSeek(this.deviceIds);
+
+    if (this.state === 'finished') this.state = 'paused';
+    this.emitStatus();
+    if (this.state === 'playing') this.scheduleNext(0);
+  }
+
+  setSpeed(speed) {
+    this.speed = speed;
+    this.emitStatus();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.state = 'stopped';
+    this.onSeek(this.deviceIds);
+    this.emitStatus();
+  }
+
+  emitStatus() {
+    this.lastStatusAt = Date.now();
+    this.onStatus(this.status());
+  }
+
+  scheduleNext(delayMs) {
+    this.timer = setTimeout(() => this.tick(), delayMs);
+  }
+
+  tick() {
+    if (this.state !== 'playing') return;
+
+    const entry = this.entries[this.index];
+    try {
+      this.onFrame(entry.frame);
+    } catch (error) {
+      console.error(`Replay ${this.recordingId} frame ${this.index} failed:`, error.message);
+    }
+    this.index++;
+
+    if (this.index >= this.entries.length) {
+      if (this.loop && this.entries.length > 1) {
+        this.seek(0);
+        return;
+      }
+      this.state = 'finished';
+      this.emitStatus();
+      return;
+    }
+
+    if (Date.now() - this.lastStatusAt >= STATUS_INTERVAL_MS) {
+      this.emitStatus();
+    }
+
+    const gap = this.entries[this.index].receivedAt - entry.receivedAt;
+    this.scheduleNext(Math.max(0, gap / this.speed));
+  }
+}
+
+function isValidSpeed(speed) {
+  return typeof speed === 'number' && speed >= MIN_SPEED && speed <= MAX_SPEED;
+}
+
+module.exports = {
+  MIN_SPEED,
+  MAX_SPEED,
+  SessionRecorder,
+  SessionReplay,
+  isValidSpeed
+};
@@ -0,0 +1,190 @@
+/**
+ * UDP Ingestion
+ * Compact binary frame format for gloves streaming over UDP, with batching,
+ * and the listener that decodes packets into regular sensor payloads
+ *
+ * Packet layout (little-endian):
+ *   magic        2 bytes  "GF"
+ *   version      u8       1
+ *   frameCount   u8       1-255 frames in this packet
+ *   idLength     u8       length of deviceId
+ *   deviceId     idLength bytes, UTF-8
+ *   frames       frameCount × frame
+ *
+ * Frame layout:
+ *   timestamp    f64      milliseconds
+ *   flags        u8       bit 0 orientation present, bit 1 position present,
+ *                         bit 2 selectButton, bit 3 modeButton, bit 4 confirmButton
+ *   acceleration 3 × f32
+ *   gyroscope    3 × f32
+ *   orientation  3 × f32  (only when flag bit 0 is set)
+ *   position     3 × f32  (only when flag bit 1 is set)
+ *   bends        6 × u16  index, middle, ring, little, thumb, palm pressure; 0-65535 maps to 0-1
+ */
+
+const dgram = require('dgram');
+const { CURRENT_SCHEMA_VERSION } = require('./sensor-schema');
+
+const MAGIC = 'GF';
+const FORMAT_VERSION = 1;
+const HEADER_BYTES = 5;
+const BEND_SCALE = 65535;
+
+const FLAG_ORIENTATION = 1 << 0;
+const FLAG_POSITION = 1 << 1;
+const FLAG_SELECT = 1 << 2;
+const FLAG_MODE = 1 << 3;
+const FLAG_CONFIRM = 1 << 4;
+
+function frameSize(flags) {
+  return 8 + 1 + 24 + (flags & FLAG_ORIENTATION ? 12 : 0) + (flags & FLAG_POSITION ? 12 : 0) + 12;
+}
+
+function toBend(value) {
+  return Math.round(Math.max(0, Math.min(1, value ?? 0)) * BEND_SCALE);
+}
+
+/**
+ * Encode sensor payloads from one device into a single packet
+ */
+function encodeFrames(deviceId, frames) {
+  const id = Buffer.from(deviceId, 'utf8');
+  if (id.length > 255) throw new Error('deviceId is too long for a UDP packet');
+  if (frames.length < 1 || frames.length > 255) throw new Error('A packet carries 1-255 frames');
+
+  const flagsList = frames.map(frame =>
+    (frame.imu.orientation ? FLAG_ORIENTATION : 0) |
+    (frame.position ? FLAG_POSITION : 0) |
+    (frame.switches?.selectButton ? FLAG_SELECT : 0) |
+    (frame.switches?.modeButton ? FLAG_MODE : 0) |
+    (frame.switches?.confirmButton ? FLAG_CONFIRM : 0)
+  );
+  const size = HEADER_BYTES + id.length + flagsList.reduce((sum, flags) => sum + frameSize(flags), 0);
+  const buffer = Buffer.alloc(size);
+
+  buffer.write(MAGIC, 0, 'ascii');
+  buffer.writeUInt8(FORMAT_VERSION, 2);
+  buffer.writeUInt8(frames.length, 3);
+  buffer.writeUInt8(id.length, 4);
+  id.copy(buffer, HEADER_BYTES);
+
+  let offset = HEADER_BYTES + id.length;
+  const writeVector = values => values.forEach(value => {
+    buffer.writeFloatLE(value, offset);
+    offset += 4;
+  });
+
+  frames.forEach((frame, i) => {
+    const flags = flagsList[i];
+    buffer.writeDoubleLE(frame.timestamp ?? Date.now(), offset);
+    buffer.writeUInt8(flags, offset + 8);
+    offset += 9;
+    writeVector(frame.imu.acceleration);
+    writeVector(frame.imu.gyroscope);
+    if (flags & FLAG_ORIENTATION) writeVector(frame.imu.orientation);
+    if (flags & FLAG_POSITION) writeVector([frame.position.x, frame.position.y, frame.position.z]);
+
+    const { fingers } = frame;
+    [fingers.index, fingers.middle, fingers.ring, fingers.little, frame.thumb?.bend, frame.palm?.pressure]
+      .forEach(value => {
+        buffer.writeUInt16LE(toBend(value), offset);
+        offset += 2;
+      });
+  });
+
+  return buffer;
+}
+
+/**
+ * Decode a packet into { deviceId, frames } where each frame is a current-schema sensor payload.
+ * Throws on malformed packets.
+ */
+function decodePacket(buffer) {
+  if (buffer.length < HEADER_BYTES || buffer.toString('ascii', 0, 2) !== MAGIC) {
+    throw new Error('Not a glove frame packet');
+  }
+  const version = buffer.readUInt8(2);
+  if (version !== FORMAT_VERSION) {
+    throw new Error(`Unsupported packet version ${version}`);
+  }
+
+  const frameCount = buffer.readUInt8(3);
+  const idLength = buffer.readUInt8(4);
+  if (buffer.length < HEADER_BYTES + idLength) {
+    throw new Error('Packet truncated in deviceId');
+  }
+  const deviceId = buffer.toString('utf8', HEADER_BYTES, HEADER_BYTES + idLength);
+
+  let offset = HEADER_BYTES + idLength;
+  const readVector = () => {
+    const values = [buffer.readFloatLE(offset), buffer.readFloatLE(offset + 4), buffer.readFloatLE(offset + 8)];
+    offset += 12;
+    return values;
+  };
+
+  const frames = [];
+  for (let i = 0; i < frameCount; i++) {
+    if (buffer.length < offset + 9 || buffer.length < offset + frameSize(buffer.readUInt8(offset + 8))) {
+      throw new Error(`Packet truncated in frame ${i}`);
+    }
+    const timestamp = buffer.readDoubleLE(offset);
+    const flags = buffer.readUInt8(offset + 8);
+    offset += 9;
+
+    const imu = { acceleration: readVector(), gyroscope: readVector() };
+    if (flags & FLAG_ORIENTATION) imu.orientation = readVector();
+    const position = flags & FLAG_POSITION ? readVector() : null;
+
+    const bends = [];
+    for (let b = 0; b < 6; b++) {
+      bends.push(buffer.readUInt16LE(offset) / BEND_SCALE);
+      offset += 2;
+    }
+
+    frames.push({
+      schemaVersion: CURRENT_SCHEMA_VERSION,
+      deviceId,
+      timestamp,
+      imu,
+      ...(position && { position: { x: position[0], y: position[1], z: position[2] } }),
+      fingers: { index: bends[0], middle: bends[1], ring: bends[2], little: bends[3] },
+      thumb: { bend: bends[4] },
+      palm: { pressure: bends[5] },
+      switches: {
+        selectButton: Boolean(flags & FLAG_SELECT),
+        modeButton: Boolean(flags & FLAG_MODE),
+        confirmButton: Boolean(flags & FLAG_CONFIRM)
+      }
+    });
+  }
+
+  return { deviceId, frames };
+}
+
+/**
+ * Listen for glove packets. onFrame(payload, remote) is called for every frame, in order;
+ * onError(error, remote) for packets that can't be decoded.
+ */
+function createUdpIngest({ port, host, onFrame, onError }) {
+  const socket = dgram.createSocket('udp4');
+
+  socket.on('message', (message, remote) => {
+    let packet;
+    try {
+      packet = decodePacket(message);
+    } catch (error) {
+      onError(error, remote);
+      return;
+    }
+    packet.frames.forEach(frame => onFrame(frame, remote));
+  });
+
+  socket.bind(port, host);
+  return socket;
+}
+
+module.exports = {
+  encodeFrames,
+  decodePacket,
+  createUdpIngest
+};
@@ -0,0 +1,23 @@
+import { createContext, ReactNode, useContext } from 'react'
+import { useGestureWebSocket } from './useGestureWebSocket'
+
+export type GestureConnection = ReturnType<typeof useGestureWebSocket>
+
+const GestureConnectionContext = createContext<GestureConnection | null>(null)
+
+/**
+ * Opens the page's connection to the gesture backend and shares it with the components inside.
+ * Every connection joins the session as another editor and receives every glove frame, so a page
+ * has exactly one.
+ */
+export function GestureConnectionProvider({ serverUrl, children }: { serverUrl?: string, children: ReactNode }) {
+  const connection = useGestureWebSocket(serverUrl)
+  return <GestureConnectionContext.Provider value={connection}>{children}</GestureConnectionContext.Provider>
+}
+
+// The connection opened by the enclosing GestureConnectionProvider
+export const useGestureConnection = () => {
+  const connection = useContext(GestureConnectionContext)
+  if (!connection) throw new Error('useGestureConnection must be used inside a GestureConnectionProvider')
+  return connection
+}
@@ -1,12 +1,74 @@
-import { useEffect, useRef, useState } from 'react'
+import { useCallback, useEffect, useRef, useState } from 'react'
 import { io, Socket } from 'socket.io-client'
 
-interface GestureData {
+export type BuiltinGesture = 'neutral' | 'pinch' | 'fist' | 'open_palm' | 'pointing'
+
+// Editor token issued by the backend admin (POST /admin/tokens); only needed once the backend has auth on
+const authToken = process.env.NEXT_PUBLIC_GESTURE_TOKEN
+
+// Headers for REST calls to the backend
+export const authHeaders: Record<string, string> = authToken ? { Authorization: `Bearer ${authToken}` } : {}
+
+// Body of a backend response, or an Error with the backend's message (e.g. a 401 without a token)
+export const readResponse = async (res: Response) => {
+  const body = await res.json()
+  if (!res.ok) throw new Error(body.details?.join?.(', ') || body.error)
+  return body
+}
+
+// Where the gesture backend runs
+export const GESTURE_SERVER_URL = 'http://localhost:3001'
+
+// Connect to the backend as an editor, in the editing session named in the page URL (?session=lab-a);
+// without one the backend uses its default
+export const connectEditorSocket = (serverUrl: string) => {
+  const requestedSession = new URLSearchParams(window.location.search).get('session')
+
+  return io(serverUrl, {
+    ...(requestedSession && { query: { session: requestedSession } }),
+    ...(authToken && { auth: { token: authToken } }),
+    transports: ['websocket'],
+    reconnection: true,
+    reconnectionAttempts: 5,
+    reconnectionDelay: 1000
+  })
+}
+
+// Editor commands a custom-trained gesture, a glove button or a motion gesture can be bound to on the backend
+export type EditorCommand = 'undo' | 'redo' | 'confirm' | 'cancel' | 'select-hovered' | 'deselect' | 'cycle-mode'
+
+export type GloveButton = 'select' | 'mode' | 'confirm'
+export type ButtonEventType = 'press' | 'release' | 'long-press' | 'double-press'
+// Button -> event type -> command; null unbinds
+export type ButtonActions = Partial<Record<GloveButton, Partial<Record<ButtonEventType, EditorCommand | null>>>>
+
+export type DynamicGesture =
+  | 'swipe-left' | 'swipe-right' | 'swipe-up' | 'swipe-down'
+  | 'circle-cw' | 'circle-ccw' | 'flick' | 'double-tap'
+// Motion gesture -> command; null ignores it
+export type DynamicGestureActions = Partial<Record<DynamicGesture, EditorCommand | null>>
+
+export interface GestureData {
   deviceId: string
+  // Handedness from the device registry (unregistered devices count as right hands)
+  hand: 'left' | 'right'
   timestamp: number
   cursorOrientation: [number, number, number]
-  gesture: 'neutral' | 'pinch' | 'fist' | 'open_palm' | 'pointing'
+  // Built-in gestures, or a label trained through /custom-gestures
+  gesture: BuiltinGesture | (string & {})
   gestureConfidence: number
+  // Unsmoothed classification of this single frame
+  frameGesture?: {
+    gesture: GestureData['gesture']
+    confidence: number
+    source?: 'rules' | 'custom'
+    // Calibrated values the classifier thresholds were compared against
+    features?: {
+      fingerBends: Record<string, number>
+      gyroMagnitude: number
+      pinchDistance: number
+    }
+  }
   transformMode: 'translate' | 'rotate' | 'scale' | 'cursor'
   actions: {
     selectAction: boolean
@@ -27,14 +89,199 @@ interface GestureData {
   }
   rawSensorData: {
     imu: [number, number, number]
+    gyroscope?: [number, number, number]
+    acceleration?: [number, number, number]
     position?: { x: number, y: number, z: number }
     fingerBends: Record<string, number>
     thumbBend: number
     palmPressure: number
   }
+  calibrated?: boolean
+  // Backend timestamps (backend clock, ms); gloveToServerMs is null for replays and glove clocks that can't be compared
+  latency?: {
+    gloveToServerMs: number | null
+    clockSynced: boolean
+    ingestedAt: number
+    emittedAt: number
+  }
+  // Set by this hook on arrival: when (browser clock) and how long after the backend emitted it
+  receivedAt?: number
+  serverToClientMs?: number | null
+  // Which values the backend derived from raw accelerometer/gyroscope readings
+  fusion?: {
+    orientation: 'device' | 'fused'
+    position: 'device' | 'fused'
+    velocity: { x: number, y: number, z: number }
+    stationary: boolean
+  } | null
   metadata?: any
 }
 
+export type TransformMode = GestureData['transformMode']
+
+export interface GestureOverrides {
+  thresholds?: Record<string, number>
+  stabilization?: Record<string, number>
+  gestureModes?: Record<string, TransformMode>
+  buttonActions?: ButtonActions
+  dynamicGestureActions?: DynamicGestureActions
+}
+
+export interface GestureConfig {
+  thresholds: Record<string, number>
+  stabilization: Record<string, number>
+  gestureModes: Record<string, TransformMode>
+  buttonActions: ButtonActions
+  dynamicGestureActions: DynamicGestureActions
+  defaultMode: TransformMode
+  devices: Record<string, GestureOverrides>
+}
+
+export interface GestureEvent {
+  type: 'gesture-start' | 'gesture-end'
+  deviceId: string
+  hand: 'left' | 'right'
+  gesture: GestureData['gesture']
+  timestamp: number
+  // gesture-start only
+  confidence?: number
+  transformMode?: GestureData['transformMode']
+  command?: EditorCommand
+  // gesture-end only
+  duration?: number
+  reason?: 'released' | 'replaced' | 'reset'
+}
+
+type GestureEventListener = (event: GestureEvent) => void
+
+export interface ButtonEvent {
+  deviceId: string
+  hand: 'left' | 'right'
+  button: GloveButton
+  type: ButtonEventType
+  timestamp: number
+  // How long the button was held (release and long-press only)
+  duration?: number
+  // What the device's config binds this button event to
+  command: EditorCommand | null
+}
+
+type ButtonEventListener = (event: ButtonEvent) => void
+
+export interface DynamicGestureEvent {
+  deviceId: string
+  hand: 'left' | 'right'
+  gesture: DynamicGesture
+  confidence: number
+  timestamp: number
+  // Swipes and circles: how long the stroke took; double-tap: time between the taps
+  durationMs?: number
+  gapMs?: number
+  // What the device's config binds this gesture to
+  command: EditorCommand | null
+}
+
+type DynamicGestureListener = (event: DynamicGestureEvent) => void
+
+interface BimanualBase {
+  phase: 'start' | 'update' | 'end'
+  leftDeviceId: string
+  rightDeviceId: string
+  timestamp: number
+}
+
+// Both hands pinching: scale and rotation relative to when the grab started
+export interface BimanualGrab extends BimanualBase {
+  interaction: 'grab'
+  distance: number
+  scale: number
+  rotation: [number, number, number, number] // Quaternion [x, y, z, w]
+  axis: [number, number, number]             // Unit vector from the left hand to the right hand
+  twist: number                              // Radians turned about that axis
+}
+
+// Left fist while the right hand translates or rotates: null axis until the right hand has moved
+export interface BimanualAxisLock extends BimanualBase {
+  interaction: 'axis-lock'
+  transformMode: 'translate' | 'rotate'
+  axis: 'x' | 'y' | 'z' | null
+}
+
+export type BimanualUpdate = BimanualGrab | BimanualAxisLock
+
+type BimanualListener = (update: BimanualUpdate) => void
+
+export interface CalibrationProfile {
+  deviceId: string
+  fingers: Record<string, { min: number, max: number }>
+  thumb: { min: number, max: number } | null
+  palm: { baseline: number } | null
+  imu: {
+    orientationOffset?: [number, number, number]
+    gyroBias?: [number, number, number]
+  }
+  createdAt: number
+  updatedAt: number
+}
+
+interface CalibrationEvent {
+  deviceId: string
+  profile?: CalibrationProfile
+  receivedAt: number
+}
+
+export interface DeviceStatus {
+  deviceId: string
+  registered: boolean
+  handedness: 'left' | 'right'
+  name: string | null
+  userId: string | null
+  firmwareVersion: string | null
+  registeredAt: number | null
+  updatedAt: number | null
+  online: boolean
+  lastSeen: number | null
+  transport: 'http' | 'socket' | 'udp' | 'replay' | null
+  frameCount: number
+  sessionId: string
+  // Another glove sending frames as the same hand in this session, so the two overwrite each other
+  sharesHandWith: string | null
+}
+
+export interface ReplayStatus {
+  recordingId: string
+  deviceIds: string[]
+  state: 'playing' | 'paused' | 'finished' | 'stopped'
+  speed: number
+  loop: boolean
+  positionMs: number
+  durationMs: number
+  frameIndex: number
+  frameCount: number
+}
+
+export interface Recording {
+  id: string
+  deviceId: string
+  startedAt: number
+  endedAt?: number
+  frameCount?: number
+  size?: number
+  recording: boolean
+}
+
+// Vibration patterns the backend can queue for a glove (see backend/haptics.js)
+export type HapticPattern = 'pulse' | 'double-pulse' | 'buzz'
+
+// Latency samples (ms) sent to the backend for /metrics
+export interface LatencyReport {
+  serverToClient: number[]
+  clientToRender: number[]
+}
+
+const CLOCK_SYNC_INTERVAL_MS = 5000
+const CLOCK_SAMPLES = 8
+
 interface GestureState {
   leftHand: GestureData | null
   rightHand: GestureData | null
@@ -42,8 +289,11 @@ interface GestureState {
   transformMode: string
 }
 
-export const useGestureWebSocket = (serverUrl: string = 'http://localhost:3001') => {
+// Opens its own connection; components share the page's one through useGestureConnection instead
+export const useGestureWebSocket = (serverUrl: string = GESTURE_SERVER_URL) => {
   const socketRef = useRef<Socket | null>(null)
+  // The same socket as state, for hooks that add their own handlers to it (e.g. useSceneSync)
+  const [socket, setSocket] = useState<Socket | null>(null)
   const [isConnected, setIsConnected] = useState(false)
   const [gestureData, setGestureData] = useState<GestureData | null>(null)
   const [gestureState, setGestureState] = useState<GestureState>({
@@ -52,22 +302,57 @@ export const useGestureWebSocket = (serverUrl: string = 'http://localhost:3001')
     selectedObject: null,
     transformMode: 'translate'
   })
+  const [lastCalibration, setLastCalibration] = useState<CalibrationEvent | null>(null)
+  const [gestureConfig, setGestureConfig] = useState<GestureConfig | null>(null)
+  const [devices, setDevices] = useState<DeviceStatus[]>([])
+  // Set while the backend is feeding a recorded session through the pipeline instead of a live glove
+  const [replayStatus, setReplayStatus] = useState<ReplayStatus | null>(null)
+  // Start/end events are delivered through listeners so none get lost to batched state updates
+  const gestureEventListeners = useRef(new Set<GestureEventListener>())
+  const buttonEventListeners = useRef(new Set<ButtonEventListener>())
+  const dynamicGestureListeners = useRef(new Set<DynamicGestureListener>())
+  // Two-handed interaction in progress, null when there is none
+  const [bimanual, setBimanual] = useState<BimanualUpdate | null>(null)
+  const bimanualListeners = useRef(new Set<BimanualListener>())
+  // Editing session this client is in, as confirmed by the backend
+  const [sessionId, setSessionId] = useState<string | null>(null)
+  const sessionIdRef = useRef<string | null>(null)
+  // Backend clock minus browser clock (ms) from recent clock-ping round trips, null until the first answer
+  const clockSamplesRef = useRef<{ offset: number, roundTrip: number }[]>([])
+  const clockOffsetRef = useRef<number | null>(null)
 
   useEffect(() => {
     // Initialize socket connection
-    socketRef.current = io(serverUrl, {
-      transports: ['websocket'],
-      reconnection: true,
-      reconnectionAttempts: 5,
-      reconnectionDelay: 1000
-    })
+    socketRef.current = connectEditorSocket(serverUrl)
 
     const socket = socketRef.current
+    setSocket(socket)
+
+    // Estimate the clock offset from the round trip with the least delay, like NTP
+    const syncClock = () => {
+      const sentAt = Date.now()
+      socket.emit('clock-ping', sentAt, ({ serverTime }: { clientTime: number, serverTime: number }) => {
+        const receivedAt = Date.now()
+        const samples = [...clockSamplesRef.current, { offset: serverTime - (sentAt + receivedAt) / 2, roundTrip: receivedAt - sentAt }]
+          .slice(-CLOCK_SAMPLES)
+        clockSamplesRef.current = samples
+        clockOffsetRef.current = samples.reduce((best, sample) => (sample.roundTrip < best.roundTrip ? sample : best)).offset
+      })
+    }
+    const clockTimer = setInterval(() => {
+      if (socket.connected) syncClock()
+    }, CLOCK_SYNC_INTERVAL_MS)
 
     // Connection event handlers
     socket.on('connect', () => {
       console.log('✅ Connected to gesture control backend')
       setIsConnected(true)
+      syncClock()
+
+      fetch(`${serverUrl}/devices`, { headers: authHeaders })
+        .then(readResponse)
+        .then(body => setDevices(body.devices))
+        .catch(err => console.error('🚫 Could not load devices:', err.message))
     })
 
     socket.on('disconnect', () => {
@@ -75,22 +360,63 @@ export const useGestureWebSocket = (serverUrl: string = 'http://localhost:3001')
       setIsConnected(false)
     })
 
-    socket.on('connect_error', (error) => {
-      console.error('🚫 Connection error:', error.message)
+    socket.on('connect_error', (error: Error & { data?: { details?: string[] } }) => {
+      console.error('🚫 Connection error:', error.message, error.data?.details?.join(', ') ?? '')
       setIsConnected(false)
     })
 
     // Gesture data event handlers
-    socket.on('gesture-update', (data: GestureData) => {
+    socket.on('gesture-update', (update: GestureData) => {
+      const receivedAt = Date.now()
+      const offset = clockOffsetRef.current
+      const data: GestureData = {
+        ...update,
+        receivedAt,
+        serverToClientMs: update.latency && offset !== null ? Math.max(0, receivedAt + offset - update.latency.emittedAt) : null,
+      }
       setGestureData(data)
       
       // Update appropriate hand in state
       setGestureState(prev => ({
         ...prev,
-        [data.deviceId.includes('left') ? 'leftHand' : 'rightHand']: data
+        [`${data.hand}Hand`]: data
       }))
     })
 
+    socket.on('gesture-config-updated', (config: GestureConfig) => {
+      setGestureConfig(config)
+    })
+
+    const handleGestureEvent = (type: GestureEvent['type']) => (data: Omit<GestureEvent, 'type'>) => {
+      const event: GestureEvent = { ...data, type }
+      gestureEventListeners.current.forEach(listener => listener(event))
+    }
+    socket.on('gesture-start', handleGestureEvent('gesture-start'))
+    socket.on('gesture-end', handleGestureEvent('gesture-end'))
+
+    socket.on('button-event', (event: ButtonEvent) => {
+      buttonEventListeners.current.forEach(listener => listener(event))
+    })
+
+    socket.on('dynamic-gesture', (event: DynamicGestureEvent) => {
+      dynamicGestureListeners.current.forEach(listener => listener(event))
+    })
+
+    socket.on('bimanual-update', (update: BimanualUpdate) => {
+      setBimanual(update.phase === 'end' ? null : update)
+      bimanualListeners.current.forEach(listener => listener(update))
+    })
+
+    socket.on('session-joined', ({ sessionId }: { sessionId: string }) => {
+      console.log(`🚪 Joined editing session ${sessionId}`)
+      sessionIdRef.current = sessionId
+      setSessionId(sessionId)
+    })
+
+    socket.on('session-error', ({ error, details }: { error: string, details: string[] }) => {
+      console.error(`🚫 ${error}:`, details.join(', '))
+    })
+
     socket.on('initial-state', (state: GestureState) => {
       console.log('📡 Received initial gesture state:', state)
       setGestureState(state)
@@ -104,12 +430,47 @@ export const useGestureWebSocket = (serverUrl: string = 'http://localhost:3001')
       setGestureState(prev => ({ ...prev, transformMode: mode }))
     })
 
-    socket.on('calibration-complete', ({ deviceId }) => {
+    socket.on('calibration-complete', ({ deviceId, profile }: { deviceId: string, profile?: CalibrationProfile }) => {
       console.log(`🎯 Calibration complete for ${deviceId}`)
+      setLastCalibration({ deviceId, profile, receivedAt: Date.now() })
+    })
+
+    // Keep the device list live: registrations, and glove streams coming and going
+    const upsertDevice = (device: DeviceStatus) => {
+      setDevices(prev => [...prev.filter(d => d.deviceId !== device.deviceId), device])
+    }
+    socket.on('device-registered', upsertDevice)
+    socket.on('device-online', upsertDevice)
+    socket.on('device-hand-conflict', upsertDevice)
+    const clearDeviceHands = (deviceId: string) => {
+      setGestureState(prev => ({
+        ...prev,
+        leftHand: prev.leftHand?.deviceId === deviceId ? null : prev.leftHand,
+        rightHand: prev.rightHand?.deviceId === deviceId ? null : prev.rightHand
+      }))
+    }
+    socket.on('device-offline', (device: DeviceStatus) => {
+      upsertDevice(device)
+      clearDeviceHands(device.deviceId)
+    })
+    socket.on('device-session-changed', (device: DeviceStatus) => {
+      upsertDevice(device)
+      if (device.sessionId !== sessionIdRef.current) clearDeviceHands(device.deviceId)
+    })
+    socket.on('device-removed', ({ deviceId, device }: { deviceId: string, device: DeviceStatus | null }) => {
+      setDevices(prev => {
+        const others = prev.filter(d => d.deviceId !== deviceId)
+        return device ? [...others, device] : others
+      })
+    })
+
+    socket.on('replay-status', (status: ReplayStatus) => {
+      setReplayStatus(status.state === 'stopped' ? null : status)
     })
 
     // Cleanup on unmount
     return () => {
+      clearInterval(clockTimer)
       if (socket) {
         socket.disconnect()
       }
@@ -129,6 +490,55 @@ export const useGestureWebSocket = (serverUrl: string = 'http://localhost:3001')
     }
   }
 
+  // Vibrate the glove currently acting as this hand in the session; pattern defaults apply unless overridden
+  const sendHaptic = useCallback((
+    hand: 'left' | 'right',
+    pattern: HapticPattern,
+    options: { intensity?: number, durationMs?: number } = {}
+  ) => {
+    socketRef.current?.emit('haptic-feedback', { hand, pattern, ...options })
+  }, [])
+
+  const reportLatency = useCallback((report: LatencyReport) => {
+    socketRef.current?.emit('latency-report', report)
+  }, [])
+
+  // Subscribe to gesture-start / gesture-end; returns an unsubscribe function
+  const subscribeGestureEvents = useCallback((listener: GestureEventListener) => {
+    const listeners = gestureEventListeners.current
+    listeners.add(listener)
+    return () => {
+      listeners.delete(listener)
+    }
+  }, [])
+
+  // Subscribe to glove button events; returns an unsubscribe function
+  const subscribeButtonEvents = useCallback((listener: ButtonEventListener) => {
+    const listeners = buttonEventListeners.current
+    listeners.add(listener)
+    return () => {
+      listeners.delete(listener)
+    }
+  }, [])
+
+  // Subscribe to motion gestures (swipes, circles, flicks, double-taps); returns an unsubscribe function
+  const subscribeDynamicGestures = useCallback((listener: DynamicGestureListener) => {
+    const listeners = dynamicGestureListeners.current
+    listeners.add(listener)
+    return () => {
+      listeners.delete(listener)
+    }
+  }, [])
+
+  // Subscribe to bimanual-update, including start and end phases; returns an unsubscribe function
+  const subscribeBimanualUpdates = useCallback((listener: BimanualListener) => {
+    const listeners = bimanualListeners.current
+    listeners.add(listener)
+    return () => {
+      listeners.delete(listener)
+    }
+  }, [])
+
   // Get cursor ray direction for 3D scene raycasting
   const getCursorRay = (hand: 'left' | 'right' = 'right') => {
     const handData = gestureState[`${hand}Hand`]
@@ -151,8 +561,16 @@ export const useGestureWebSocket = (serverUrl: string = 'http://localhost:3001')
   }
 
   return {
+    serverUrl,
+    socket,
     isConnected,
     gestureData,
+    lastCalibration,
+    gestureConfig,
+    devices,
+    replayStatus,
+    bimanual,
+    sessionId,
     gestureState,
     leftHand: gestureState.leftHand,
     rightHand: gestureState.rightHand,
@@ -160,6 +578,12 @@ export const useGestureWebSocket = (serverUrl: string = 'http://localhost:3001')
     // Actions
     selectObject,
     changeTransformMode,
+    subscribeGestureEvents,
+    subscribeButtonEvents,
+    subscribeDynamicGestures,
+    subscribeBimanualUpdates,
+    sendHaptic,
+    reportLatency,
     
     // Helpers
     getCursorRay,
@@ -0,0 +1,66 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { GestureData, LatencyReport } from './useGestureWebSocket'
+
+export type LatencyLeg = 'gloveToServer' | 'serverToClient' | 'clientToRender'
+
+export interface LatencyPercentiles {
+  p50: number
+  p95: number
+}
+
+export type LatencyStats = Record<LatencyLeg, LatencyPercentiles | null>
+
+const LEGS: LatencyLeg[] = ['gloveToServer', 'serverToClient', 'clientToRender']
+// Percentiles cover the most recent samples of each leg
+const WINDOW_SIZE = 300
+const UPDATE_INTERVAL_MS = 1000
+
+const percentile = (sorted: number[], p: number) =>
+  sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))]
+
+const emptyStats = (): LatencyStats => ({ gloveToServer: null, serverToClient: null, clientToRender: null })
+
+/**
+ * Glove-to-render latency of gesture updates, split into its three legs. Call recordRendered from
+ * the frame loop when an update first shows on screen; every second the p50/p95 are refreshed and
+ * the new samples are passed to report (for the backend's metrics).
+ */
+export const useLatencyStats = (report: (samples: LatencyReport) => void) => {
+  const windowRef = useRef<Record<LatencyLeg, number[]>>({ gloveToServer: [], serverToClient: [], clientToRender: [] })
+  const unreportedRef = useRef<LatencyReport>({ serverToClient: [], clientToRender: [] })
+  const [stats, setStats] = useState<LatencyStats>(emptyStats)
+
+  const recordRendered = useCallback((update: GestureData, renderedAt: number) => {
+    const add = (leg: LatencyLeg, ms: number | null | undefined) => {
+      if (ms === null || ms === undefined) return
+      const samples = windowRef.current[leg]
+      samples.push(ms)
+      if (samples.length > WINDOW_SIZE) samples.shift()
+      if (leg !== 'gloveToServer') unreportedRef.current[leg].push(ms)
+    }
+
+    add('gloveToServer', update.latency?.gloveToServerMs)
+    add('serverToClient', update.serverToClientMs)
+    add('clientToRender', update.receivedAt !== undefined ? renderedAt - update.receivedAt : null)
+  }, [])
+
+  useEffect(() => {
+    const timer = setInterval(() => {
+      const next = emptyStats()
+      LEGS.forEach((leg) => {
+        const sorted = [...windowRef.current[leg]].sort((a, b) => a - b)
+        if (sorted.length > 0) next[leg] = { p50: percentile(sorted, 0.5), p95: percentile(sorted, 0.95) }
+      })
+      setStats(next)
+
+      const unreported = unreportedRef.current
+      if (unreported.serverToClient.length > 0 || unreported.clientToRender.length > 0) {
+        report(unreported)
+        unreportedRef.current = { serverToClient: [], clientToRender: [] }
+      }
+    }, UPDATE_INTERVAL_MS)
+    return () => clearInterval(timer)
+  }, [report])
+
+  return { stats, recordRendered }
+}
@@ -0,0 +1,77 @@
+import { useCallback } from 'react'
+import { useSceneStore, collectSubtrees, matrixTransform, worldMatrix, PrimitiveType, SceneObject } from '@/stores/sceneStore'
+
+// Marks clipboard text as scene objects, so pasting ordinary text is ignored
+const CLIPBOARD_FORMAT = 'gesture-editor/scene-objects'
+
+const PRIMITIVE_TYPES: PrimitiveType[] = ['cube', 'sphere', 'plane']
+
+interface ClipboardPayload {
+  format: typeof CLIPBOARD_FORMAT
+  objects: SceneObject[]
+}
+
+// Used where the browser withholds the system clipboard (e.g. pages not served over https)
+let fallbackClipboard: string | null = null
+
+const isVector3 = (value: unknown): value is [number, number, number] =>
+  Array.isArray(value) && value.length === 3 && value.every((n) => typeof n === 'number' && Number.isFinite(n))
+
+/** Scene objects from clipboard text, or null if it doesn't hold any */
+function parseClipboard(text: string): SceneObject[] | null {
+  let payload: ClipboardPayload
+  try {
+    payload = JSON.parse(text)
+  } catch {
+    return null
+  }
+  if (payload?.format !== CLIPBOARD_FORMAT || !Array.isArray(payload.objects)) return null
+
+  const valid = payload.objects.every((o) =>
+    typeof o?.id === 'string' &&
+    PRIMITIVE_TYPES.includes(o.type) &&
+    isVector3(o.position) &&
+    (o.rotation === undefined || isVector3(o.rotation)) &&
+    (o.scale === undefined || isVector3(o.scale)) &&
+    (o.name === undefined || o.name === null || typeof o.name === 'string') &&
+    (o.visible === undefined || typeof o.visible === 'boolean') &&
+    (o.locked === undefined || typeof o.locked === 'boolean'))
+  return valid ? payload.objects : null
+}
+
+/**
+ * Copy the selected objects (with their children) to the clipboard as JSON, and paste them into
+ * whichever scene is open, in this tab or another one.
+ */
+export const useSceneClipboard = () => {
+  const copy = useCallback(async () => {
+    const { objects, selectedIds } = useSceneStore.getState()
+    if (selectedIds.length === 0) return
+
+    // The copied subtrees are pasted without a parent, so their roots carry their world transform
+    const subtrees = collectSubtrees(objects, selectedIds)
+      .map((o) => (o.parentId ? o : { ...o, ...matrixTransform(worldMatrix(objects, o.id)) }))
+    const payload: ClipboardPayload = { format: CLIPBOARD_FORMAT, objects: subtrees }
+    const text = JSON.stringify(payload)
+    fallbackClipboard = text
+    try {
+      await navigator.clipboard.writeText(text)
+    } catch (err) {
+      console.warn('System clipboard unavailable, copying within this tab only:', (err as Error).message)
+    }
+  }, [])
+
+  const paste = useCallback(async () => {
+    let text = fallbackClipboard
+    try {
+      text = await navigator.clipboard.readText()
+    } catch (err) {
+      console.warn('System clipboard unavailable, pasting from this tab:', (err as Error).message)
+    }
+
+    const objects = text ? parseClipboard(text) : null
+    if (objects) useSceneStore.getState().pasteObjects(objects)
+  }, [])
+
+  return { copy, paste }
+}
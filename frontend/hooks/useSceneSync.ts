@@ -0,0 +1,103 @@
+import { useEffect } from 'react'
+import { Socket } from 'socket.io-client'
+import { useSceneStore, RemoteSelection, SceneObject, SceneOp } from '@/stores/sceneStore'
+
+interface SceneSnapshot {
+  version: number
+  objects: SceneObject[]
+  selections: RemoteSelection[]
+  sessionId: string
+  // Whether the scene was replaced, or we are joining (or rejoining) or catching up
+  reason: 'join' | 'resync' | 'load'
+}
+
+interface SceneOpBroadcast {
+  version: number
+  op: SceneOp
+  opId: string | null
+  clientId: string
+}
+
+type SceneLoadAck =
+  | { status: 'applied', version: number }
+  | { status: 'rejected', details: string[] }
+
+type SceneOpAck =
+  | { status: 'applied', opId: string, version: number }
+  | { status: 'rejected', opId: string, details: string[] }
+
+/**
+ * Keeps the scene store in step with the backend's copy of the session scene: local edits are
+ * sent as operations, and everyone's operations come back in the order the backend applied them.
+ * Use once per page, on the page's socket (see useGestureConnection); while disconnected the store
+ * edits locally and sends the edits on reconnecting.
+ */
+export const useSceneSync = (socket: Socket | null) => {
+  useEffect(() => {
+    if (!socket) return
+    const store = useSceneStore.getState()
+    // The session whose scene the store holds: rejoining it after a reconnect keeps our history and
+    // edits, and so does the first join, which picks up whatever was built before the backend was reachable
+    let sceneSessionId: string | null = null
+
+    // The backend sends a snapshot whenever we join a session, so that is when edits start going to it
+    const handleSnapshot = ({ version, objects, selections, sessionId, reason }: SceneSnapshot) => {
+      const rebase = reason !== 'load' && (sceneSessionId === null || sessionId === sceneSessionId)
+      sceneSessionId = sessionId
+      store.applySnapshot(version, objects, selections.filter((s) => s.clientId !== socket.id), { rebase })
+      // Still connected when switching sessions or catching up; otherwise this connection is new
+      if (!useSceneStore.getState().synced) {
+        store.setTransport({
+          sendOp: (op, opId) => {
+            socket.emit('scene-op', { op, opId }, (ack: SceneOpAck) => {
+              if (ack.status === 'rejected') {
+                console.warn(`🚫 Scene edit rejected: ${ack.details.join(', ')}`)
+                store.rejectOp(ack.opId)
+              } else {
+                store.confirmOp(ack.opId, ack.version)
+              }
+            })
+          },
+          sendSelection: (objectId) => socket.emit('scene-select', objectId),
+          loadScene: (objects) => {
+            socket.emit('scene-load', { objects }, (ack: SceneLoadAck) => {
+              if (ack.status === 'rejected') console.warn(`🚫 Scene could not be loaded: ${ack.details.join(', ')}`)
+            })
+          },
+        })
+      }
+
+      const { selectedId } = useSceneStore.getState()
+      if (selectedId) socket.emit('scene-select', selectedId)
+    }
+
+    const handleOp = ({ version, op, opId }: SceneOpBroadcast) => {
+      if (!store.applyRemoteOp(version, op, opId)) {
+        console.warn('🔄 Missed a scene edit, requesting a snapshot')
+        socket.emit('scene-snapshot-request')
+      }
+    }
+
+    const handleSelection = (selection: { clientId: string, name: string | null, objectId: string | null }) => {
+      if (selection.clientId !== socket.id) store.setRemoteSelection(selection)
+    }
+
+    const handleDisconnect = () => store.setTransport(null)
+
+    socket.on('scene-snapshot', handleSnapshot)
+    socket.on('scene-op', handleOp)
+    socket.on('selection-changed', handleSelection)
+    socket.on('disconnect', handleDisconnect)
+    // Joined before we were listening, so the join snapshot went by
+    if (socket.connected) socket.emit('scene-snapshot-request')
+
+    // The socket belongs to the page, so only our handlers go
+    return () => {
+      store.setTransport(null)
+      socket.off('scene-snapshot', handleSnapshot)
+      socket.off('scene-op', handleOp)
+      socket.off('selection-changed', handleSelection)
+      socket.off('disconnect', handleDisconnect)
+    }
+  }, [socket])
+}
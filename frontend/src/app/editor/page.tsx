@@ -2,28 +2,77 @@
 
 import EditorCanvas from "./../../components/EditorCanvas"
 import Inspector from './../../components/Inspector'
+import CalibrationWizard from './../../components/CalibrationWizard'
+import GestureSettingsPanel from './../../components/GestureSettingsPanel'
+import SessionRecordingsPanel from './../../components/SessionRecordingsPanel'
+import ReplayControls from './../../components/ReplayControls'
+import SessionSwitcher from './../../components/SessionSwitcher'
+import SceneFiles from './../../components/SceneFiles'
 import { useSceneStore } from '@/stores/sceneStore'
+import { useSceneSync } from '../../../hooks/useSceneSync'
+import { GestureConnectionProvider, useGestureConnection } from '../../../hooks/useGestureConnection'
+import { useState } from 'react'
 
+// The components share one connection to the gesture backend
 export default function EditorPage() {
+  return (
+    <GestureConnectionProvider>
+      <SceneSync />
+      <Editor />
+    </GestureConnectionProvider>
+  )
+}
+
+// Share the scene with everyone else in the editing session. On its own so the page's gesture
+// updates don't re-render the whole editor.
+function SceneSync() {
+  useSceneSync(useGestureConnection().socket)
+  return null
+}
+
+function Editor() {
   const addObject = useSceneStore((s) => s.addObject)
+  const synced = useSceneStore((s) => s.synced)
+  const [isCalibrating, setIsCalibrating] = useState(false)
+  const [isTuningGestures, setIsTuningGestures] = useState(false)
+  const [isManagingRecordings, setIsManagingRecordings] = useState(false)
 
   return (
     <main className="w-screen h-screen flex">
       <div className="w-64 bg-gray-800 border-r p-2 text-white">
+        <h1 className="font-bold mb-2">Scene</h1>
+        <SceneFiles />
         <h1 className="font-bold mb-2">Add Primitive</h1>
         <div className="flex flex-col gap-1 mb-4">
           <button onClick={() => addObject('cube')} className="bg-gray-700 p-1 rounded">Add Cube</button>
           <button onClick={() => addObject('sphere')} className="bg-gray-700 p-1 rounded">Add Sphere</button>
           <button onClick={() => addObject('plane')} className="bg-gray-700 p-1 rounded">Add Plane</button>
         </div>
+        <h1 className="font-bold mb-2">Glove</h1>
+        <div className="flex flex-col gap-1 mb-4">
+          <button onClick={() => setIsCalibrating(true)} className="bg-gray-700 p-1 rounded">Calibrate Glove</button>
+          <button onClick={() => { setIsTuningGestures(!isTuningGestures); setIsManagingRecordings(false) }} className="bg-gray-700 p-1 rounded">Gesture Settings</button>
+          <button onClick={() => { setIsManagingRecordings(!isManagingRecordings); setIsTuningGestures(false) }} className="bg-gray-700 p-1 rounded">Recordings</button>
+        </div>
+        <h1 className="font-bold mb-2">Session</h1>
+        <SessionSwitcher />
+        <div className="text-xs mb-4 text-gray-400">
+          Scene: <strong className="text-white">{synced ? 'shared with session' : 'offline (local only)'}</strong>
+        </div>
         <div className="text-xs mb-2">
-          Shortcuts: <strong>T</strong>=Move, <strong>R</strong>=Rotate, <strong>S</strong>=Scale
+          Shortcuts: <strong>T</strong>=Move, <strong>R</strong>=Rotate, <strong>S</strong>=Scale,
+          {' '}<strong>Shift</strong>+click/drag=Multi-select, <strong>Del</strong>=Delete,
+          {' '}<strong>Ctrl+D</strong>=Duplicate, <strong>Ctrl+C/V</strong>=Copy/Paste
         </div>
         <Inspector />
       </div>
-      <div className="flex-1">
+      <div className="flex-1 relative">
         <EditorCanvas />
+        <ReplayControls />
       </div>
+      {isTuningGestures && <GestureSettingsPanel onClose={() => setIsTuningGestures(false)} />}
+      {isManagingRecordings && <SessionRecordingsPanel onClose={() => setIsManagingRecordings(false)} />}
+      {isCalibrating && <CalibrationWizard onClose={() => setIsCalibrating(false)} />}
     </main>
   )
 }
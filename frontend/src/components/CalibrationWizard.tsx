@@ -0,0 +1,300 @@
+'use client'
+
+import { useEffect, useRef, useState } from 'react'
+import { authHeaders, GestureData, CalibrationProfile } from '../../hooks/useGestureWebSocket'
+import { useGestureConnection } from '../../hooks/useGestureConnection'
+
+type Sample = GestureData['rawSensorData']
+type StepId = 'open_palm' | 'fist' | 'pinch' | 'pointing' | 'still'
+type Phase = 'select' | 'prepare' | 'capture' | 'submitting' | 'confirming' | 'done' | 'error'
+
+interface CalibrationStep {
+  id: StepId
+  title: string
+  instruction: string
+}
+
+const CALIBRATION_STEPS: CalibrationStep[] = [
+  { id: 'open_palm', title: 'Open Palm', instruction: 'Spread your hand and keep every finger straight.' },
+  { id: 'fist', title: 'Fist', instruction: 'Close all fingers and the thumb as far as is comfortable.' },
+  { id: 'pinch', title: 'Pinch', instruction: 'Touch the tips of your thumb and index finger together.' },
+  { id: 'pointing', title: 'Point', instruction: 'Extend your index finger and curl the others.' },
+  { id: 'still', title: 'Hold Still', instruction: 'Rest your hand flat in its neutral position and keep it completely still.' },
+]
+
+const PREPARE_MS = 2000
+const CAPTURE_MS = 3000
+const CONFIRM_TIMEOUT_MS = 5000
+const MIN_SAMPLES_PER_STEP = 5
+// A sensor that moves less than this between poses is probably disconnected
+const MIN_BEND_RANGE = 0.1
+
+const mean = (values: number[]) => values.reduce((a, b) => a + b, 0) / values.length
+
+// Average angles on the unit circle so readings around ±π don't cancel out
+const circularMean = (angles: number[]) =>
+  Math.atan2(mean(angles.map(Math.sin)), mean(angles.map(Math.cos)))
+
+const meanVector = (vectors: [number, number, number][], average = mean) =>
+  [0, 1, 2].map((i) => average(vectors.map((v) => v[i]))) as [number, number, number]
+
+/** Turn the captured pose samples into a `/calibrate` payload */
+function computeCalibration(samples: Record<StepId, Sample[]>) {
+  const poseSteps = CALIBRATION_STEPS.filter((step) => step.id !== 'still')
+
+  // Bend ranges come from the per-pose averages, which keeps single noisy frames out of min/max
+  const fingerNames = Object.keys(samples.open_palm[0].fingerBends)
+  const fingers: Record<string, { min: number, max: number }> = {}
+  fingerNames.forEach((finger) => {
+    const poseMeans = poseSteps.map((step) => mean(samples[step.id].map((s) => s.fingerBends[finger] ?? 0)))
+    const min = Math.min(...poseMeans)
+    const max = Math.max(...poseMeans)
+    if (max - min < MIN_BEND_RANGE) {
+      throw new Error(`The ${finger} finger sensor barely changed between poses. Check its connection and try again.`)
+    }
+    fingers[finger] = { min, max }
+  })
+
+  const thumbMeans = poseSteps.map((step) => mean(samples[step.id].map((s) => s.thumbBend)))
+  const thumb = { min: Math.min(...thumbMeans), max: Math.max(...thumbMeans) }
+  if (thumb.max - thumb.min < MIN_BEND_RANGE) {
+    throw new Error('The thumb sensor barely changed between poses. Check its connection and try again.')
+  }
+
+  const still = samples.still
+  const palm = { baseline: Math.max(0, Math.min(0.95, mean(still.map((s) => s.palmPressure)))) }
+
+  const imu: { orientationOffset: [number, number, number], gyroBias?: [number, number, number] } = {
+    orientationOffset: meanVector(still.map((s) => s.imu), circularMean),
+  }
+  const gyroSamples = still.map((s) => s.gyroscope).filter((g): g is [number, number, number] => Array.isArray(g))
+  if (gyroSamples.length > 0) {
+    imu.gyroBias = meanVector(gyroSamples)
+  }
+
+  return { fingers, thumb, palm, imu }
+}
+
+const emptySamples = (): Record<StepId, Sample[]> => ({
+  open_palm: [],
+  fist: [],
+  pinch: [],
+  pointing: [],
+  still: [],
+})
+
+/** Guided, timed pose capture that produces and saves a calibration profile for one glove */
+export default function CalibrationWizard({ onClose }: { onClose: () => void }) {
+  const { serverUrl, isConnected, gestureData, lastCalibration } = useGestureConnection()
+
+  const [devices, setDevices] = useState<string[]>([])
+  const [deviceId, setDeviceId] = useState<string | null>(null)
+  const [phase, setPhase] = useState<Phase>('select')
+  const [stepIndex, setStepIndex] = useState(0)
+  const [secondsLeft, setSecondsLeft] = useState(0)
+  const [error, setError] = useState<string | null>(null)
+  const [profile, setProfile] = useState<CalibrationProfile | null>(null)
+
+  const samplesRef = useRef<Record<StepId, Sample[]>>(emptySamples())
+  const submittedAtRef = useRef(0)
+
+  const step = CALIBRATION_STEPS[stepIndex]
+
+  /** Track which gloves are streaming so the wearer can pick theirs */
+  useEffect(() => {
+    if (gestureData && !devices.includes(gestureData.deviceId)) {
+      setDevices((prev) => [...prev, gestureData.deviceId])
+    }
+  }, [gestureData, devices])
+
+  /** Record raw frames from the selected glove while a pose is being captured */
+  useEffect(() => {
+    if (phase !== 'capture' || !gestureData || gestureData.deviceId !== deviceId) return
+    samplesRef.current[step.id].push(gestureData.rawSensorData)
+  }, [gestureData, phase, deviceId, step])
+
+  /** Advance through prepare → capture for each pose */
+  useEffect(() => {
+    if (phase !== 'prepare' && phase !== 'capture') return
+
+    const duration = phase === 'prepare' ? PREPARE_MS : CAPTURE_MS
+    const startedAt = Date.now()
+    setSecondsLeft(Math.ceil(duration / 1000))
+    const ticker = setInterval(() => {
+      setSecondsLeft(Math.max(0, Math.ceil((duration - (Date.now() - startedAt)) / 1000)))
+    }, 200)
+
+    const timeout = setTimeout(() => {
+      if (phase === 'prepare') {
+        samplesRef.current[step.id] = []
+        setPhase('capture')
+        return
+      }
+
+      const captured = samplesRef.current[step.id].length
+      if (captured < MIN_SAMPLES_PER_STEP) {
+        setError(`Only received ${captured} frames from ${deviceId} during "${step.title}". Make sure the glove is streaming and try again.`)
+        setPhase('error')
+      } else if (stepIndex < CALIBRATION_STEPS.length - 1) {
+        setStepIndex(stepIndex + 1)
+        setPhase('prepare')
+      } else {
+        setPhase('submitting')
+      }
+    }, duration)
+
+    return () => {
+      clearInterval(ticker)
+      clearTimeout(timeout)
+    }
+  }, [phase, stepIndex, step, deviceId])
+
+  /** Post the computed profile to the backend */
+  useEffect(() => {
+    if (phase !== 'submitting' || !deviceId) return
+
+    let cancelled = false
+    submittedAtRef.current = Date.now()
+
+    const submit = async () => {
+      const calibrationData = computeCalibration(samplesRef.current)
+      const response = await fetch(`${serverUrl}/calibrate`, {
+        method: 'POST',
+        headers: { ...authHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ deviceId, calibrationData }),
+      })
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}))
+        throw new Error(body.details?.join(', ') || body.error || `Calibration failed (HTTP ${response.status})`)
+      }
+    }
+
+    submit()
+      .then(() => {
+        if (!cancelled) setPhase('confirming')
+      })
+      .catch((err: Error) => {
+        if (cancelled) return
+        setError(err.message)
+        setPhase('error')
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [phase, deviceId, serverUrl])
+
+  /** Finish once the backend broadcasts calibration-complete for this glove */
+  useEffect(() => {
+    if (phase !== 'confirming') return
+
+    if (lastCalibration && lastCalibration.deviceId === deviceId && lastCalibration.receivedAt >= submittedAtRef.current) {
+      setProfile(lastCalibration.profile ?? null)
+      setPhase('done')
+      return
+    }
+
+    const timeout = setTimeout(() => {
+      setError('The profile was sent but the backend never confirmed it. Check the server logs.')
+      setPhase('error')
+    }, CONFIRM_TIMEOUT_MS)
+    return () => clearTimeout(timeout)
+  }, [phase, lastCalibration, deviceId])
+
+  const start = () => {
+    samplesRef.current = emptySamples()
+    setError(null)
+    setProfile(null)
+    setStepIndex(0)
+    setPhase('prepare')
+  }
+
+  return (
+    <div className="fixed inset-0 z-20 bg-black/60 flex items-center justify-center">
+      <div className="w-96 bg-gray-800 text-white p-4 rounded shadow-lg">
+        <div className="flex items-center justify-between mb-3">
+          <h2 className="font-bold">Glove Calibration</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-white">✕</button>
+        </div>
+
+        {!isConnected && (
+          <div className="text-sm text-red-400 mb-2">Not connected to the gesture backend.</div>
+        )}
+
+        {phase === 'select' && (
+          <div className="text-sm space-y-2">
+            <p>Put the glove on and pick it from the list. You will be asked to hold {CALIBRATION_STEPS.length} poses for {CAPTURE_MS / 1000} seconds each.</p>
+            {devices.length === 0 ? (
+              <div className="text-gray-400">Waiting for a glove to send data…</div>
+            ) : (
+              <select
+                className="w-full text-black"
+                value={deviceId ?? ''}
+                onChange={(e) => setDeviceId(e.target.value || null)}
+              >
+                <option value="">(select a glove)</option>
+                {devices.map((id) => (
+                  <option key={id} value={id}>{id}</option>
+                ))}
+              </select>
+            )}
+            <button
+              onClick={start}
+              disabled={!deviceId}
+              className="w-full bg-gray-700 p-1 rounded disabled:opacity-50"
+            >
+              Start
+            </button>
+          </div>
+        )}
+
+        {(phase === 'prepare' || phase === 'capture') && (
+          <div className="text-sm space-y-2">
+            <div className="text-xs text-gray-400">Step {stepIndex + 1} of {CALIBRATION_STEPS.length}</div>
+            <div className="text-lg font-semibold">{step.title}</div>
+            <p>{step.instruction}</p>
+            <div className={phase === 'capture' ? 'text-green-400' : 'text-yellow-300'}>
+              {phase === 'prepare' ? `Get ready… ${secondsLeft}` : `Hold it… ${secondsLeft}`}
+            </div>
+            <div className="flex gap-1">
+              {CALIBRATION_STEPS.map((s, i) => (
+                <div key={s.id} className={`h-1 flex-1 rounded ${i < stepIndex ? 'bg-green-500' : i === stepIndex ? 'bg-yellow-300' : 'bg-gray-600'}`} />
+              ))}
+            </div>
+          </div>
+        )}
+
+        {(phase === 'submitting' || phase === 'confirming') && (
+          <div className="text-sm">Saving calibration for <strong>{deviceId}</strong>…</div>
+        )}
+
+        {phase === 'done' && (
+          <div className="text-sm space-y-2">
+            <div className="text-green-400">Calibration saved for <strong>{deviceId}</strong>.</div>
+            {profile && (
+              <div className="text-xs bg-gray-700 p-2 rounded space-y-1">
+                {Object.entries(profile.fingers).map(([finger, range]) => (
+                  <div key={finger}>{finger}: {range.min.toFixed(2)} – {range.max.toFixed(2)}</div>
+                ))}
+                {profile.thumb && <div>thumb: {profile.thumb.min.toFixed(2)} – {profile.thumb.max.toFixed(2)}</div>}
+                {profile.palm && <div>palm baseline: {profile.palm.baseline.toFixed(2)}</div>}
+                {profile.imu.gyroBias && <div>gyro bias: [{profile.imu.gyroBias.map((v) => v.toFixed(3)).join(', ')}]</div>}
+              </div>
+            )}
+            <button onClick={onClose} className="w-full bg-gray-700 p-1 rounded">Close</button>
+          </div>
+        )}
+
+        {phase === 'error' && (
+          <div className="text-sm space-y-2">
+            <div className="text-red-400">{error}</div>
+            <div className="flex gap-2">
+              <button onClick={start} className="flex-1 bg-gray-700 p-1 rounded">Retry</button>
+              <button onClick={() => setPhase('select')} className="flex-1 bg-gray-700 p-1 rounded">Change Glove</button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
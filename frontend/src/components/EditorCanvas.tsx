@@ -1,18 +1,37 @@
 'use client'
 
-import { Canvas, ThreeEvent, useThree } from '@react-three/fiber'
+import { Canvas, ThreeEvent, useFrame, useThree } from '@react-three/fiber'
 import { OrbitControls, Grid, TransformControls } from '@react-three/drei'
-import { useSceneStore } from '@/stores/sceneStore'
-import { memo, useRef, useState, useEffect } from 'react'
-import { useGestureWebSocket } from '../../hooks/useGestureWebSocket'
+import {
+  useSceneStore,
+  topLevelIds,
+  localTransform,
+  worldMatrix,
+  SceneObject,
+  Transform,
+} from '@/stores/sceneStore'
+import { memo, useCallback, useMemo, useRef, useState, useEffect } from 'react'
+import { useGestureConnection } from '../../hooks/useGestureConnection'
+import {
+  EditorCommand,
+  TransformMode,
+  BimanualAxisLock,
+  GestureData,
+  DynamicGestureEvent,
+} from '../../hooks/useGestureWebSocket'
+import { useLatencyStats, LatencyPercentiles } from '../../hooks/useLatencyStats'
+import { useSceneClipboard } from '../../hooks/useSceneClipboard'
 import * as THREE from 'three'
 
 function GestureRaycaster({
   meshRefs,
+  pickableIds,
   cursorRay,
   onHoverChange,
 }: {
   meshRefs: React.MutableRefObject<Record<string, THREE.Mesh>>
+  // Hidden and locked objects are skipped
+  pickableIds: Set<string>
   cursorRay: { origin: number[], direction: number[] } | null
   onHoverChange: (id: string | null) => void
 }) {
@@ -29,7 +48,9 @@ function GestureRaycaster({
     const direction = new THREE.Vector3(...cursorRay.direction).normalize()
     raycaster.set(origin, direction)
 
-    const meshObjects = Object.values(meshRefs.current).filter(Boolean)
+    const meshObjects = Object.entries(meshRefs.current)
+      .filter(([id, mesh]) => mesh && pickableIds.has(id))
+      .map(([, mesh]) => mesh)
     if (meshObjects.length === 0) {
       onHoverChange(null)
       return
@@ -43,11 +64,37 @@ function GestureRaycaster({
     } else {
       onHoverChange(null)
     }
-  }, [cursorRay, meshRefs, scene, onHoverChange])
+  }, [cursorRay, meshRefs, pickableIds, scene, onHoverChange])
 
   return null
 }
 
+/** Reports when each gesture update first reaches a rendered frame */
+function LatencyProbe({
+  update,
+  onRendered,
+}: {
+  update: GestureData | null
+  onRendered: (update: GestureData, renderedAt: number) => void
+}) {
+  const pendingRef = useRef<GestureData | null>(null)
+
+  useEffect(() => {
+    pendingRef.current = update
+  }, [update])
+
+  useFrame(() => {
+    if (!pendingRef.current) return
+    onRendered(pendingRef.current, Date.now())
+    pendingRef.current = null
+  })
+
+  return null
+}
+
+const formatLatency = (stats: LatencyPercentiles | null) =>
+  stats ? `${stats.p50.toFixed(0)} / ${stats.p95.toFixed(0)} ms` : '—'
+
 /** Cursor component for gesture-based selection */
 function GestureCursor({ cursorRay }: { cursorRay: { origin: number[], direction: number[] } | null }) {
   const { scene, camera } = useThree()
@@ -82,33 +129,125 @@ function GestureCursor({ cursorRay }: { cursorRay: { origin: number[], direction
   )
 }
 
+/** Area of the canvas being box-selected, in pixels from its top left corner */
+type ScreenRect = { left: number, top: number, width: number, height: number }
+
+/** Shift-drag on the canvas selects the objects whose centres fall inside the dragged box */
+function BoxSelection({
+  meshRefs,
+  pickableIds,
+  onDrag,
+  onSelect,
+}: {
+  meshRefs: React.MutableRefObject<Record<string, THREE.Mesh>>
+  pickableIds: Set<string>
+  onDrag: (rect: ScreenRect | null) => void
+  onSelect: (ids: string[]) => void
+}) {
+  const { camera, gl } = useThree()
+
+  // Read when a box is finished, so scene edits don't restart a box being dragged
+  const pickableIdsRef = useRef(pickableIds)
+  useEffect(() => {
+    pickableIdsRef.current = pickableIds
+  }, [pickableIds])
+
+  useEffect(() => {
+    const element = gl.domElement
+    let start: { x: number, y: number } | null = null
+    let box: ScreenRect | null = null
+
+    const canvasPoint = (e: PointerEvent) => {
+      const bounds = element.getBoundingClientRect()
+      return { x: e.clientX - bounds.left, y: e.clientY - bounds.top }
+    }
+
+    const handleDown = (e: PointerEvent) => {
+      if (!e.shiftKey || e.button !== 0) return
+      start = canvasPoint(e)
+      box = null
+    }
+
+    const handleMove = (e: PointerEvent) => {
+      if (!start) return
+      const point = canvasPoint(e)
+      box = {
+        left: Math.min(start.x, point.x),
+        top: Math.min(start.y, point.y),
+        width: Math.abs(point.x - start.x),
+        height: Math.abs(point.y - start.y),
+      }
+      onDrag(box)
+    }
+
+    const handleUp = () => {
+      if (!start) return
+      start = null
+      onDrag(null)
+      // Anything smaller is a shift-click, which the objects handle themselves
+      const rect = box
+      if (!rect || rect.width < 4 || rect.height < 4) return
+
+      const { width, height } = element.getBoundingClientRect()
+      const inside = Object.entries(meshRefs.current).filter(([id, mesh]) => {
+        if (!pickableIdsRef.current.has(id)) return false
+        const point = mesh.getWorldPosition(new THREE.Vector3()).project(camera)
+        if (point.z > 1) return false // Behind the camera
+        const x = ((point.x + 1) / 2) * width
+        const y = ((1 - point.y) / 2) * height
+        return x >= rect.left && x <= rect.left + rect.width && y >= rect.top && y <= rect.top + rect.height
+      })
+      onSelect(inside.map(([id]) => id))
+    }
+
+    element.addEventListener('pointerdown', handleDown)
+    window.addEventListener('pointermove', handleMove)
+    window.addEventListener('pointerup', handleUp)
+    return () => {
+      element.removeEventListener('pointerdown', handleDown)
+      window.removeEventListener('pointermove', handleMove)
+      window.removeEventListener('pointerup', handleUp)
+    }
+  }, [camera, gl, meshRefs, onDrag, onSelect])
+
+  return null
+}
+
 /** Primitive mesh component */
 function PrimitiveMesh({
   id,
   type,
-  position,
   isSelected,
   isHovered,
+  isRemoteSelected,
+  isPickable,
   onSelect,
   meshRef,
 }: {
   id: string
   type: string
-  position: [number, number, number]
   isSelected: boolean
   isHovered: boolean
-  onSelect: (id: string) => void
+  // Selected by another editor in the session
+  isRemoteSelected: boolean
+  // Hidden and locked objects ignore clicks, which go through to whatever is behind them
+  isPickable: boolean
+  // additive: add to or remove from the selection (shift-click) instead of replacing it
+  onSelect: (id: string, additive: boolean) => void
   meshRef: React.Ref<THREE.Mesh>
 }) {
   const commonProps = {
-    position,
     castShadow: true,
     receiveShadow: true,
     ref: meshRef,
-    onClick: (e: ThreeEvent<PointerEvent>) => {
-      e.stopPropagation()
-      onSelect(id)
-    },
+    onClick: isPickable
+      ? (e: ThreeEvent<PointerEvent>) => {
+        e.stopPropagation()
+        // Drags that end over the object (orbiting, box select) aren't clicks
+        if (e.delta > 2) return
+        onSelect(id, e.shiftKey)
+      }
+      : undefined,
   }
 
   let geometry
@@ -127,6 +266,7 @@ function PrimitiveMesh({
   let color: string
   if (isSelected) color = 'yellow'
   else if (isHovered) color = 'lightblue'
+  else if (isRemoteSelected) color = 'magenta'
   else {
     color = type === 'sphere' ? 'skyblue' : type === 'plane' ? 'lightgreen' : 'orange'
   }
@@ -144,20 +284,64 @@ function PrimitiveMesh({
 
 const MemoPrimitiveMesh = memo(PrimitiveMesh)
 
+/** The part of an object's transform that a transform mode changes, in store form */
+function objectTransform(object: THREE.Object3D, mode: 'translate' | 'rotate' | 'scale'): Partial<Transform> {
+  switch (mode) {
+    case 'translate':
+      return { position: [object.position.x, object.position.y, object.position.z] }
+    case 'rotate':
+      return { rotation: [object.rotation.x, object.rotation.y, object.rotation.z] }
+    case 'scale':
+      return { scale: [object.scale.x, object.scale.y, object.scale.z] }
+  }
+}
+
+/** Put an object back to the transform the store has for it */
+function applyStoredTransform(object: THREE.Object3D, { position, rotation, scale }: Transform) {
+  object.position.fromArray(position)
+  object.rotation.set(rotation[0], rotation[1], rotation[2])
+  object.scale.fromArray(scale)
+}
+
+/** Undo-history names for the transactions of each transform mode */
+const TRANSFORM_LABELS = { translate: 'Move', rotate: 'Rotate', scale: 'Scale' } as const
+
+type PinnedMode = 'translate' | 'rotate' | 'scale' | null
+
+/** Order the cycle-mode command steps through; null hands the mode back to the gesture mapping */
+const MODE_CYCLE: PinnedMode[] = [null, 'translate', 'rotate', 'scale']
+
 /** Editor Canvas with gesture control integration */
 export default function EditorCanvas() {
   const objects = useSceneStore((s) => s.objects)
   const selectedId = useSceneStore((s) => s.selectedId)
+  const selectedIds = useSceneStore((s) => s.selectedIds)
+  const remoteSelections = useSceneStore((s) => s.remoteSelections)
   const selectObject = useSceneStore((s) => s.selectObject)
-  const updateObjectPosition = useSceneStore((s) => s.updateObjectPosition)
+  const toggleSelection = useSceneStore((s) => s.toggleSelection)
+  const setSelection = useSceneStore((s) => s.setSelection)
+  const deleteSelection = useSceneStore((s) => s.deleteSelection)
+  const duplicateSelection = useSceneStore((s) => s.duplicateSelection)
+  const updateObjectTransform = useSceneStore((s) => s.updateObjectTransform)
+  const beginTransaction = useSceneStore((s) => s.beginTransaction)
+  const commitTransaction = useSceneStore((s) => s.commitTransaction)
+  const cancelTransaction = useSceneStore((s) => s.cancelTransaction)
   const undo = useSceneStore((s) => s.undo)
   const redo = useSceneStore((s) => s.redo)
+  const { copy, paste } = useSceneClipboard()
 
   const [mode, setMode] = useState<'translate' | 'rotate' | 'scale'>('translate')
   const [isGestureMode, setIsGestureMode] = useState(false)
+  /** Transform mode chosen with the cycle-mode command, used instead of the gesture's own mode */
+  const [pinnedMode, setPinnedMode] = useState<PinnedMode>(null)
+  /** Most recent motion gesture, shown in the status panel */
+  const [lastMotion, setLastMotion] = useState<DynamicGestureEvent | null>(null)
   const [hoveredObjectId, setHoveredObjectId] = useState<string | null>(null)
+  /** Held Shift turns a canvas drag into a box selection instead of orbiting */
+  const [shiftHeld, setShiftHeld] = useState(false)
+  const [selectionBox, setSelectionBox] = useState<ScreenRect | null>(null)
 
-  // Initialize gesture WebSocket connection
+  // The page's gesture backend connection
   const {
     isConnected,
     gestureState,
@@ -167,24 +351,101 @@ export default function EditorCanvas() {
     isFist,
     isOpenPalm,
     isPointing,
-    selectObject: gestureSelectObject
-  } = useGestureWebSocket()
+    selectObject: gestureSelectObject,
+    subscribeGestureEvents,
+    subscribeButtonEvents,
+    subscribeDynamicGestures,
+    subscribeBimanualUpdates,
+    sendHaptic,
+    bimanual,
+    sessionId,
+    devices,
+    gestureData,
+    reportLatency
+  } = useGestureConnection()
+  const { stats: latency, recordRendered } = useLatencyStats(reportLatency)
 
   // Auto-select hovered object when pointing with high confidence
   useEffect(() => {
     if (isGestureMode && rightHand && hoveredObjectId && isPointing('right')) {
       if (rightHand.gestureConfidence > 0.8 && hoveredObjectId !== selectedId) {
         selectObject(hoveredObjectId);
+        sendHaptic('right', 'double-pulse')
         console.log(`Auto-selected object: ${hoveredObjectId} via pointing gesture`);
       }
     }
-  }, [hoveredObjectId, isPointing, rightHand, isGestureMode, selectedId, selectObject]);
+  }, [hoveredObjectId, isPointing, rightHand, isGestureMode, selectedId, selectObject, sendHaptic]);
+
+  /** Haptic feedback: a short pulse when the cursor moves onto another object (selecting by glove double-pulses) */
+  useEffect(() => {
+    if (isGestureMode && hoveredObjectId) sendHaptic('right', 'pulse')
+  }, [hoveredObjectId, isGestureMode, sendHaptic])
+
+  /** Whether scaling is pinned at the 0.1/5.0 limit, so the buzz plays once when it gets there */
+  const scaleClampedRef = useRef(false)
+  const buzzOnScaleClamp = useCallback((clamped: boolean, hands: ('left' | 'right')[]) => {
+    if (clamped && !scaleClampedRef.current) hands.forEach((hand) => sendHaptic(hand, 'buzz'))
+    scaleClampedRef.current = clamped
+  }, [sendHaptic])
+
+  /** Refs for meshes (for picking) and for the groups that carry each object's transform */
+  const meshRefs = useRef<Record<string, THREE.Mesh>>({})
+  const groupRefs = useRef<Record<string, THREE.Group>>({})
+
+  /** Gesture transform in progress, from gesture-start until gesture-end */
+  const activeTransformRef = useRef<{ gesture: string, mode: TransformMode, objectId: string } | null>(null)
+
+  /** Two-hand grab in progress: the selected object's rotation and scale when it started */
+  const bimanualGrabRef = useRef<{ objectId: string, quaternion: THREE.Quaternion, scale: THREE.Vector3 } | null>(null)
+  /** Set when a grab is cancelled, so it doesn't restart until the hands let go */
+  const grabCancelledRef = useRef(false)
+
+  /** TransformControls drag state; a cancelled drag is ignored until the mouse is released */
+  const dragRef = useRef<'dragging' | 'cancelled' | null>(null)
+
+  /**
+   * Abandon the gesture, grab or drag in progress and put its object back (Escape, or the cancel
+   * command). Gestures move meshes without going through the store, so those are reset by hand.
+   */
+  const cancelInteraction = useCallback(() => {
+    const objectIds = [activeTransformRef.current?.objectId, bimanualGrabRef.current?.objectId]
+    activeTransformRef.current = null
+    if (bimanualGrabRef.current) grabCancelledRef.current = true
+    bimanualGrabRef.current = null
+    if (dragRef.current === 'dragging') dragRef.current = 'cancelled'
+    cancelTransaction()
+
+    const { objects: current } = useSceneStore.getState()
+    objectIds.forEach((id) => {
+      const group = id && groupRefs.current[id]
+      const object = current.find((o) => o.id === id)
+      if (group && object) applyStoredTransform(group, object)
+    })
+  }, [cancelTransaction])
+
+  // A snapshot from the backend dropped the interaction's transaction, so the rest of it has nothing to go into
+  const interruptions = useSceneStore((s) => s.interruptions)
+  useEffect(() => {
+    if (interruptions > 0) cancelInteraction()
+  }, [interruptions, cancelInteraction])
 
   /** Keyboard shortcuts */
   useEffect(() => {
     const handleKey = (e: KeyboardEvent) => {
-      if (e.ctrlKey && e.key.toLowerCase() === 'z') undo()
-      else if (e.ctrlKey && e.key.toLowerCase() === 'y') redo()
+      // Typing in the inspector's fields isn't a shortcut
+      const target = e.target
+      if (target instanceof HTMLInputElement || target instanceof HTMLTextAreaElement || target instanceof HTMLSelectElement) return
+
+      const key = e.key.toLowerCase()
+      if (e.key === 'Escape') cancelInteraction()
+      if (e.key === 'Delete' || e.key === 'Backspace') deleteSelection({ withChildren: !e.shiftKey })
+      if (e.ctrlKey && key === 'z') undo()
+      else if (e.ctrlKey && key === 'y') redo()
+      else if (e.ctrlKey && key === 'd') {
+        e.preventDefault()
+        duplicateSelection()
+      } else if (e.ctrlKey && key === 'c') copy()
+      else if (e.ctrlKey && key === 'v') paste()
       if (e.key === 't') setMode('translate')
       if (e.key === 'r') setMode('rotate')
       if (e.key === 's') setMode('scale')
@@ -192,102 +453,362 @@ export default function EditorCanvas() {
     }
     window.addEventListener('keydown', handleKey)
     return () => window.removeEventListener('keydown', handleKey)
-  }, [undo, redo, isGestureMode])
+  }, [undo, redo, isGestureMode, cancelInteraction, deleteSelection, duplicateSelection, copy, paste])
 
-  /** Refs for meshes and groups */
-  const meshRefs = useRef<Record<string, THREE.Mesh>>({})
-  const groupRefs = useRef<Record<string, THREE.Group>>({})
+  useEffect(() => {
+    const handleShift = (e: KeyboardEvent) => setShiftHeld(e.shiftKey)
+    const release = () => setShiftHeld(false)
+    window.addEventListener('keydown', handleShift)
+    window.addEventListener('keyup', handleShift)
+    window.addEventListener('blur', release)
+    return () => {
+      window.removeEventListener('keydown', handleShift)
+      window.removeEventListener('keyup', handleShift)
+      window.removeEventListener('blur', release)
+    }
+  }, [])
+
+  /** Objects that can be picked and transformed in the scene: shown (with all their ancestors) and not locked */
+  const pickableIds = useMemo(() => {
+    const byId = new Map(objects.map((o) => [o.id, o]))
+    const shown = (object: SceneObject) => {
+      const visited = new Set<string>()
+      for (let current: SceneObject | undefined = object; current && !visited.has(current.id); current = byId.get(current.parentId ?? '')) {
+        if (current.visible === false) return false
+        visited.add(current.id)
+      }
+      return true
+    }
+    return new Set(objects.filter((o) => !o.locked && shown(o)).map((o) => o.id))
+  }, [objects])
+
+  /** Read by gesture handlers, which shouldn't re-subscribe on every scene edit */
+  const pickableIdsRef = useRef(pickableIds)
+  useEffect(() => {
+    pickableIdsRef.current = pickableIds
+  }, [pickableIds])
+
+  /** Clicks on objects: shift-click adds to or removes from the selection */
+  const handleSelect = useCallback((id: string, additive: boolean) => {
+    if (additive) toggleSelection(id)
+    else selectObject(id)
+  }, [toggleSelection, selectObject])
+
+  /** Box selection adds to what is already selected */
+  const handleBoxSelect = useCallback((ids: string[]) => {
+    const { selectedIds: current } = useSceneStore.getState()
+    setSelection([...current, ...ids.filter((id) => !current.includes(id))])
+  }, [setSelection])
+
+  /**
+   * With several objects selected, TransformControls moves this pivot (at their centre) and every
+   * selected object follows it. Objects whose parent is also selected follow their parent instead,
+   * and hidden or locked ones stay put.
+   */
+  const [pivot, setPivot] = useState<THREE.Group | null>(null)
+  const groupIds = useMemo(
+    () => (selectedIds.length > 1 ? topLevelIds(objects, selectedIds).filter((id) => pickableIds.has(id)) : []),
+    [objects, selectedIds, pickableIds],
+  )
+  /** The pivot's inverse matrix and each object's world matrix when the group drag started */
+  const groupDragRef = useRef<{
+    pivotInverse: THREE.Matrix4
+    starts: { id: string, parentId: string | null, world: THREE.Matrix4 }[]
+  } | null>(null)
+
+  const resetPivot = useCallback(() => {
+    if (!pivot) return
+    const center = new THREE.Vector3()
+    groupIds.forEach((id) => center.add(new THREE.Vector3().setFromMatrixPosition(worldMatrix(objects, id))))
+    pivot.position.copy(center.divideScalar(Math.max(groupIds.length, 1)))
+    pivot.rotation.set(0, 0, 0)
+    pivot.scale.set(1, 1, 1)
+  }, [pivot, objects, groupIds])
+
+  // Follow the selection and undo/redo, but not the changes a group drag is making itself
+  useEffect(() => {
+    if (!groupDragRef.current) resetPivot()
+  }, [resetPivot])
 
   const cursorRay = getCursorRay('right')
 
+  /** Latest hover target, read by gesture commands without re-subscribing on every hover change */
+  const hoveredObjectIdRef = useRef<string | null>(null)
+  useEffect(() => {
+    hoveredObjectIdRef.current = hoveredObjectId
+  }, [hoveredObjectId])
+
+  const pinnedModeRef = useRef<PinnedMode>(null)
+  useEffect(() => {
+    pinnedModeRef.current = pinnedMode
+  }, [pinnedMode])
+
+  /**
+   * Begin a transform (as a store transaction) on gesture-start and commit it once the gesture ends.
+   * Commands bound to custom gestures, glove buttons and motion gestures run here too.
+   */
+  useEffect(() => {
+    if (!isGestureMode) return
+
+    const groups = groupRefs.current
+    const commitActiveTransform = () => {
+      const active = activeTransformRef.current
+      activeTransformRef.current = null
+      if (!active) return
+
+      const group = groups[active.objectId]
+      if (group && active.mode !== 'cursor') {
+        updateObjectTransform(active.objectId, objectTransform(group, active.mode))
+      }
+      commitTransaction()
+    }
+
+    const runCommand = (command: EditorCommand) => {
+      switch (command) {
+        case 'undo':
+          commitActiveTransform()
+          undo()
+          break
+        case 'redo':
+          commitActiveTransform()
+          redo()
+          break
+        case 'confirm':
+          commitActiveTransform()
+          break
+        case 'cancel':
+          cancelInteraction()
+          break
+        case 'select-hovered':
+          if (hoveredObjectIdRef.current) {
+            selectObject(hoveredObjectIdRef.current)
+            sendHaptic('right', 'double-pulse')
+          }
+          break
+        case 'deselect':
+          selectObject(null)
+          break
+        case 'cycle-mode': {
+          // Keeps what the current gesture did so far; the next gesture uses the new mode
+          commitActiveTransform()
+          const next = MODE_CYCLE[(MODE_CYCLE.indexOf(pinnedModeRef.current) + 1) % MODE_CYCLE.length]
+          pinnedModeRef.current = next
+          setPinnedMode(next)
+          if (next) setMode(next)
+          break
+        }
+      }
+    }
+
+    const unsubscribe = subscribeGestureEvents((event) => {
+      if (event.hand !== 'right') return
+
+      if (event.type === 'gesture-start') {
+        if (event.command) {
+          runCommand(event.command)
+          return
+        }
+        commitActiveTransform()
+        const transformMode = event.transformMode && event.transformMode !== 'cursor'
+          ? pinnedModeRef.current ?? event.transformMode
+          : event.transformMode
+        if (transformMode && transformMode !== 'cursor') {
+          setMode(transformMode)
+          // Locked and hidden objects can be selected (in the outliner) but not moved
+          const objectId = selectedId && pickableIdsRef.current.has(selectedId) ? selectedId : null
+          activeTransformRef.current = objectId
+            ? { gesture: event.gesture, mode: transformMode, objectId }
+            : null
+          if (objectId) beginTransaction(TRANSFORM_LABELS[transformMode])
+        }
+      } else if (activeTransformRef.current?.gesture === event.gesture) {
+        commitActiveTransform()
+      }
+    })
+
+    // Glove buttons from either hand; unbound events carry no command
+    const unsubscribeButtons = subscribeButtonEvents((event) => {
+      if (event.command) runCommand(event.command)
+    })
+
+    // A swipe made while moving an object is part of the move, not a command (except cancelling it)
+    const unsubscribeDynamic = subscribeDynamicGestures((event) => {
+      setLastMotion(event)
+      if (event.command && (!activeTransformRef.current || event.command === 'cancel')) runCommand(event.command)
+    })
+
+    // Leaving gesture mode or changing selection mid-gesture keeps what was done so far
+    return () => {
+      unsubscribe()
+      unsubscribeButtons()
+      unsubscribeDynamic()
+      commitActiveTransform()
+    }
+  }, [isGestureMode, selectedId, subscribeGestureEvents, subscribeButtonEvents, subscribeDynamicGestures, updateObjectTransform, beginTransaction, commitTransaction, cancelInteraction, undo, redo, selectObject, sendHaptic])
+
+  /** Axis the left-hand modifier currently locks one-handed transforms to */
+  const axisLockRef = useRef<BimanualAxisLock | null>(null)
+
+  /** Apply two-handed grabs to the selected object and track the left-hand axis lock */
+  useEffect(() => {
+    if (!isGestureMode) return
+
+    // Keep the grab's rotation and scale in the store as one undo step
+    const groups = groupRefs.current
+    const commitGrab = () => {
+      const grab = bimanualGrabRef.current
+      bimanualGrabRef.current = null
+      const group = grab && groups[grab.objectId]
+      if (grab && group) {
+        updateObjectTransform(grab.objectId, { ...objectTransform(group, 'rotate'), ...objectTransform(group, 'scale') })
+        commitTransaction()
+      }
+    }
+
+    const unsubscribe = subscribeBimanualUpdates((update) => {
+      if (update.interaction === 'axis-lock') {
+        axisLockRef.current = update.phase === 'end' ? null : update
+        return
+      }
+
+      if (update.phase === 'end') {
+        grabCancelledRef.current = false
+        commitGrab()
+        return
+      }
+      if (update.phase === 'start') grabCancelledRef.current = false
+      if (grabCancelledRef.current) return
+
+      const group = selectedId && pickableIdsRef.current.has(selectedId) ? groupRefs.current[selectedId] : undefined
+      if (update.phase === 'start' || !bimanualGrabRef.current) {
+        commitGrab()
+        bimanualGrabRef.current = group && selectedId
+          ? { objectId: selectedId, quaternion: group.quaternion.clone(), scale: group.scale.clone() }
+          : null
+        if (bimanualGrabRef.current) beginTransaction('Two-hand grab')
+      }
+
+      const grab = bimanualGrabRef.current
+      if (!grab || !group || grab.objectId !== selectedId) return
+
+      // Results are relative to the start of the grab, so apply them to the starting transform
+      const rotation = new THREE.Quaternion().fromArray(update.rotation)
+      group.quaternion.copy(rotation.multiply(grab.quaternion))
+      const scale = Math.max(0.1 / grab.scale.x, Math.min(5.0 / grab.scale.x, update.scale))
+      group.scale.copy(grab.scale).multiplyScalar(scale)
+      buzzOnScaleClamp(scale !== update.scale, ['left', 'right'])
+    })
+
+    return () => {
+      unsubscribe()
+      commitGrab()
+      axisLockRef.current = null
+    }
+  }, [isGestureMode, selectedId, subscribeBimanualUpdates, buzzOnScaleClamp, updateObjectTransform, beginTransaction, commitTransaction])
+
   /** Enhanced gesture-based transformation logic */
   useEffect(() => {
     if (!isGestureMode || !rightHand || !selectedId) return;
 
-    const selectedMesh = meshRefs.current[selectedId];
-    if (!selectedMesh) return;
+    const selectedGroup = groupRefs.current[selectedId];
+    if (!selectedGroup) return;
 
-    const { movementData, gesture, gestureConfidence } = rightHand;
+    const { movementData, gesture, gestureConfidence, transformMode } = rightHand;
     
     if (!movementData || gestureConfidence < 0.6) return;
 
-    // Apply transformations based on gesture and movement data
-    switch (gesture) {
-      case 'open_palm': // Translation
+    // Only move the object that was selected when the current gesture started
+    const active = activeTransformRef.current;
+    if (!active || active.objectId !== selectedId || active.gesture !== gesture) return;
+
+    // While both hands hold the object the two-hand grab drives it instead
+    if (bimanualGrabRef.current) return;
+
+    // Left-fist axis lock: keep only the locked axis of the movement
+    const axisLock = axisLockRef.current?.transformMode === transformMode ? axisLockRef.current.axis : null;
+    const locked = (axis: 'x' | 'y' | 'z', value: number) => (axisLock && axisLock !== axis ? 0 : value);
+
+    // Apply transformations based on the transform's mode (the gesture's, or the pinned one) and movement data
+    switch (active.mode) {
+      case 'translate':
         if (movementData.positionMagnitude > 0.002) { // Lower threshold for better sensitivity
           const sensitivity = 5.0; // Increased sensitivity
-          const deltaX = movementData.positionDelta.x * sensitivity;
-          const deltaY = movementData.positionDelta.y * sensitivity;
-          const deltaZ = movementData.positionDelta.z * sensitivity;
-          
-          selectedMesh.position.x += deltaX;
-          selectedMesh.position.y += deltaY;
-          selectedMesh.position.z += deltaZ;
+          const deltaX = locked('x', movementData.positionDelta.x * sensitivity);
+          const deltaY = locked('y', movementData.positionDelta.y * sensitivity);
+          const deltaZ = locked('z', movementData.positionDelta.z * sensitivity);
           
-          // Update store with new position
-          const pos = selectedMesh.position;
-          updateObjectPosition(selectedId, [pos.x, pos.y, pos.z]);
+          // The hand moves in the world; a child's position is in its parent's space
+          const worldPosition = selectedGroup.getWorldPosition(new THREE.Vector3()).add(new THREE.Vector3(deltaX, deltaY, deltaZ));
+          selectedGroup.position.copy(selectedGroup.parent ? selectedGroup.parent.worldToLocal(worldPosition) : worldPosition);
           
           console.log(`Translation applied: [${deltaX.toFixed(3)}, ${deltaY.toFixed(3)}, ${deltaZ.toFixed(3)}]`);
         }
         break;
         
-      case 'fist': // Rotation
+      case 'rotate':
         if (movementData.movementMagnitude > 0.005) { // Lower threshold
           const rotationSensitivity = 3.0; // Increased sensitivity
-          const deltaRoll = movementData.orientationDelta[0] * rotationSensitivity;
-          const deltaPitch = movementData.orientationDelta[1] * rotationSensitivity;
-          const deltaYaw = movementData.orientationDelta[2] * rotationSensitivity;
+          const deltaRoll = locked('z', movementData.orientationDelta[0] * rotationSensitivity);
+          const deltaPitch = locked('x', movementData.orientationDelta[1] * rotationSensitivity);
+          const deltaYaw = locked('y', movementData.orientationDelta[2] * rotationSensitivity);
           
-          selectedMesh.rotation.x += deltaPitch;
-          selectedMesh.rotation.y += deltaYaw;
-          selectedMesh.rotation.z += deltaRoll;
+          selectedGroup.rotation.x += deltaPitch;
+          selectedGroup.rotation.y += deltaYaw;
+          selectedGroup.rotation.z += deltaRoll;
           
           console.log(`Rotation applied: [${deltaRoll.toFixed(3)}, ${deltaPitch.toFixed(3)}, ${deltaYaw.toFixed(3)}]`);
         }
         break;
         
-      case 'pinch': // Scaling
+      case 'scale':
         if (Math.abs(movementData.scaleFactor - 1.0) > 0.02) { // Lower threshold
-          const currentScale = selectedMesh.scale.x;
+          const currentScale = selectedGroup.scale.x;
           const scaleMultiplier = 1.0 + (movementData.scaleFactor - 1.0) * 2.0; // Amplify scale changes
           const newScale = Math.max(0.1, Math.min(5.0, currentScale * scaleMultiplier));
-          selectedMesh.scale.setScalar(newScale);
+          selectedGroup.scale.setScalar(newScale);
+          buzzOnScaleClamp(newScale !== currentScale * scaleMultiplier, ['right']);
           
           console.log(`Scale applied: ${scaleMultiplier.toFixed(3)} (new scale: ${newScale.toFixed(3)})`);
         }
         break;
     }
 
-  }, [rightHand, isGestureMode, selectedId, updateObjectPosition]);
+  }, [rightHand, isGestureMode, selectedId, buzzOnScaleClamp]);
 
   /** Deselect when clicking empty space (only in mouse mode) */
-  const handleBackgroundClick = () => {
-    if (!isGestureMode) {
+  const handleBackgroundClick = (e: MouseEvent) => {
+    if (!isGestureMode && !e.shiftKey) {
       selectObject(null)
     }
   }
 
-  /** Recursive render for hierarchy */
+  /** Recursive render for hierarchy; each object's group carries its transform, so children inherit it */
   const renderObjects = (parentId: string | null) =>
     objects
       .filter((o) => (o.parentId ?? null) === parentId)
       .map((obj) => (
         <group
           key={obj.id}
+          position={obj.position}
+          rotation={obj.rotation}
+          scale={obj.scale}
+          visible={obj.visible !== false}
           ref={(el) => {
             if (el) groupRefs.current[obj.id] = el
+            else delete groupRefs.current[obj.id]
           }}
         >
           <MemoPrimitiveMesh
             id={obj.id}
             type={obj.type}
-            position={obj.position}
-            isSelected={obj.id === selectedId}
+            isSelected={selectedIds.includes(obj.id)}
             isHovered={isGestureMode && obj.id === hoveredObjectId}
-            onSelect={selectObject}
+            isRemoteSelected={remoteSelections.some((s) => s.objectId === obj.id)}
+            isPickable={pickableIds.has(obj.id)}
+            onSelect={handleSelect}
             meshRef={(el) => {
               if (el) meshRefs.current[obj.id] = el
+              else delete meshRefs.current[obj.id]
             }}
           />
           {renderObjects(obj.id)}
@@ -307,22 +828,86 @@ export default function EditorCanvas() {
           <div className="mb-1">
             Mode: <strong>{isGestureMode ? 'Gesture' : 'Mouse'}</strong> (Press 'G' to toggle)
           </div>
+          {sessionId && (
+            <div className="mb-1 text-xs text-gray-400">Session: <strong className="text-white">{sessionId}</strong></div>
+          )}
+
+          {/* What the other editors in this session have selected */}
+          {remoteSelections.length > 0 && (
+            <div className="mb-2 text-xs space-y-1">
+              {remoteSelections.map((selection) => (
+                <div key={selection.clientId} className="text-fuchsia-300">
+                  {selection.name}: <strong>{selection.objectId.slice(0, 8)}</strong>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Registered gloves in this session, plus any unregistered ones streaming into it */}
+          {devices.length > 0 && (
+            <div className="mb-2 text-xs space-y-1">
+              {devices
+                .filter((device) => (device.registered || device.online) && device.sessionId === sessionId)
+                .map((device) => (
+                  <div key={device.deviceId} className="flex items-center gap-2">
+                    <div className={`w-2 h-2 rounded-full ${device.online ? 'bg-green-500' : 'bg-gray-500'}`} />
+                    <span>{device.name || device.deviceId}</span>
+                    <span className="text-gray-400">
+                      {device.handedness}{device.registered ? '' : ' (unregistered)'}
+                      {device.online ? ` · ${device.transport}` : ''}
+                      {!device.online && device.lastSeen ? ` · last seen ${new Date(device.lastSeen).toLocaleTimeString()}` : ''}
+                    </span>
+                    {device.sharesHandWith && (
+                      <span className="text-yellow-400" title="Both gloves send frames as this hand; register their handedness">
+                        same hand as {device.sharesHandWith}
+                      </span>
+                    )}
+                  </div>
+                ))}
+            </div>
+          )}
           
+          {/* Glove-to-render latency of gesture updates, p50 / p95 */}
+          {gestureData && (
+            <div className="mb-2 text-xs text-gray-400 space-y-0.5">
+              <div>Glove → server: <strong className="text-white">{formatLatency(latency.gloveToServer)}</strong></div>
+              <div>Server → client: <strong className="text-white">{formatLatency(latency.serverToClient)}</strong></div>
+              <div>Client → render: <strong className="text-white">{formatLatency(latency.clientToRender)}</strong></div>
+            </div>
+          )}
+
           {isGestureMode && rightHand && (
             <div className="text-xs space-y-1">
               <div>Gesture: <strong>{rightHand.gesture}</strong></div>
               <div>Confidence: <strong>{(rightHand.gestureConfidence * 100).toFixed(0)}%</strong></div>
-              <div>Transform: <strong>{mode}</strong></div>
+              <div>Transform: <strong>{mode}</strong>{pinnedMode && <span className="text-gray-400"> (pinned)</span>}</div>
+              {lastMotion && (
+                <div>
+                  Motion: <strong>{lastMotion.gesture}</strong> ({(lastMotion.confidence * 100).toFixed(0)}%)
+                  {lastMotion.command && <> → {lastMotion.command}</>}
+                </div>
+              )}
               {hoveredObjectId && <div>Hovered: <strong>{hoveredObjectId.slice(0, 8)}</strong></div>}
               {selectedId && <div>Selected: <strong>{selectedId.slice(0, 8)}</strong></div>}
-              
+
+              {bimanual?.interaction === 'grab' && (
+                <div className="text-purple-300">
+                  Two-hand grab: ×{bimanual.scale.toFixed(2)}, twist {(bimanual.twist * 180 / Math.PI).toFixed(0)}°
+                </div>
+              )}
+              {bimanual?.interaction === 'axis-lock' && (
+                <div className="text-purple-300">
+                  Axis lock: <strong>{bimanual.axis ?? 'move to pick an axis'}</strong>
+                </div>
+              )}
+
               {/* Enhanced Movement data visualization */}
               {rightHand.movementData && (
                 <div className="mt-2 p-2 bg-gray-700 rounded text-xs space-y-1">
                   <div className="font-semibold text-green-400">Movement Data:</div>
                   <div>Overall Magnitude: <strong>{rightHand.movementData.movementMagnitude.toFixed(4)}</strong></div>
                   
-                  {rightHand.gesture === 'open_palm' && (
+                  {rightHand.transformMode === 'translate' && (
                     <div className="space-y-1">
                       <div className="text-blue-300">Translation Mode:</div>
                       <div>Position Δ: [{rightHand.movementData.positionDelta.x.toFixed(3)}, {rightHand.movementData.positionDelta.y.toFixed(3)}, {rightHand.movementData.positionDelta.z.toFixed(3)}]</div>
@@ -330,14 +915,14 @@ export default function EditorCanvas() {
                     </div>
                   )}
                   
-                  {rightHand.gesture === 'fist' && (
+                  {rightHand.transformMode === 'rotate' && (
                     <div className="space-y-1">
                       <div className="text-orange-300">Rotation Mode:</div>
                       <div>Orient. Δ: [{rightHand.movementData.orientationDelta.map(v => v.toFixed(3)).join(', ')}]</div>
                     </div>
                   )}
                   
-                  {rightHand.gesture === 'pinch' && (
+                  {rightHand.transformMode === 'scale' && (
                     <div className="space-y-1">
                       <div className="text-purple-300">Scale Mode:</div>
                       <div>Scale Factor: <strong>{rightHand.movementData.scaleFactor.toFixed(3)}x</strong></div>
@@ -367,12 +952,14 @@ export default function EditorCanvas() {
           shadow-mapSize-height={2048}
         />
         <Grid args={[50, 50]} cellColor="gray" sectionColor="lightgray" infiniteGrid />
+        <LatencyProbe update={gestureData} onRendered={recordRendered} />
 
         {/* Gesture cursor visualization */}
         {isGestureMode && cursorRay && (
           <>
             <GestureRaycaster
               meshRefs={meshRefs}
+              pickableIds={pickableIds}
               cursorRay={cursorRay}
               onHoverChange={setHoveredObjectId}
             />
@@ -384,22 +971,86 @@ export default function EditorCanvas() {
         {renderObjects(null)}
 
         {/* TransformControls for selected object (disabled in gesture mode) */}
-        {selectedId && meshRefs.current[selectedId] && !isGestureMode && (
+        {selectedIds.length === 1 && selectedId && pickableIds.has(selectedId) && groupRefs.current[selectedId] && !isGestureMode && (
           <TransformControls
-            object={meshRefs.current[selectedId]}
+            object={groupRefs.current[selectedId]}
             mode={mode}
+            // One drag is one undo step
+            onMouseDown={() => {
+              dragRef.current = 'dragging'
+              beginTransaction(TRANSFORM_LABELS[mode])
+            }}
             onObjectChange={() => {
-              const mesh = meshRefs.current[selectedId]
-              if (mesh) {
-                const pos = mesh.position
-                updateObjectPosition(selectedId, [pos.x, pos.y, pos.z])
+              const group = groupRefs.current[selectedId]
+              if (group && dragRef.current !== 'cancelled') {
+                updateObjectTransform(selectedId, objectTransform(group, mode))
+              }
+            }}
+            onMouseUp={() => {
+              if (dragRef.current === 'cancelled') {
+                // The rest of a cancelled drag never reached the store; drop it from the object too
+                const group = groupRefs.current[selectedId]
+                const object = objects.find((o) => o.id === selectedId)
+                if (group && object) applyStoredTransform(group, object)
+              } else {
+                commitTransaction()
               }
+              dragRef.current = null
             }}
           />
         )}
 
-        <OrbitControls makeDefault enabled={!isGestureMode} />
+        {/* Several selected objects transform together around their centre */}
+        <group ref={setPivot} />
+        {groupIds.length > 0 && pivot && !isGestureMode && (
+          <TransformControls
+            object={pivot}
+            mode={mode}
+            onMouseDown={() => {
+              dragRef.current = 'dragging'
+              beginTransaction(TRANSFORM_LABELS[mode])
+              pivot.updateMatrix()
+              groupDragRef.current = {
+                pivotInverse: pivot.matrix.clone().invert(),
+                starts: objects
+                  .filter((o) => groupIds.includes(o.id))
+                  .map((o) => ({ id: o.id, parentId: o.parentId ?? null, world: worldMatrix(objects, o.id) })),
+              }
+            }}
+            onObjectChange={() => {
+              const drag = groupDragRef.current
+              if (!drag || dragRef.current === 'cancelled') return
+              // How the pivot moved since the drag started, applied to where each object started in the world
+              pivot.updateMatrix()
+              const change = pivot.matrix.clone().multiply(drag.pivotInverse)
+              drag.starts.forEach(({ id, parentId, world }) => {
+                const { objects: current } = useSceneStore.getState()
+                updateObjectTransform(id, localTransform(current, parentId, change.clone().multiply(world)))
+              })
+            }}
+            onMouseUp={() => {
+              // A cancelled drag's objects are already back where they were
+              if (dragRef.current !== 'cancelled') commitTransaction()
+              dragRef.current = null
+              groupDragRef.current = null
+              resetPivot()
+            }}
+          />
+        )}
+
+        {!isGestureMode && (
+          <BoxSelection meshRefs={meshRefs} pickableIds={pickableIds} onDrag={setSelectionBox} onSelect={handleBoxSelect} />
+        )}
+
+        <OrbitControls makeDefault enabled={!isGestureMode && !shiftHeld} />
       </Canvas>
+
+      {selectionBox && (
+        <div
+          className="absolute z-10 border border-blue-400 bg-blue-400/20 pointer-events-none"
+          style={selectionBox}
+        />
+      )}
     </>
   )
 }
\ No newline at end of file
@@ -0,0 +1,350 @@
+'use client'
+
+import { useEffect, useRef, useState } from 'react'
+import {
+  authHeaders,
+  readResponse,
+  GestureConfig,
+  GestureOverrides,
+  TransformMode,
+  ButtonActions,
+  ButtonEventType,
+  DynamicGesture,
+  EditorCommand,
+  GloveButton,
+} from '../../hooks/useGestureWebSocket'
+import { useGestureConnection } from '../../hooks/useGestureConnection'
+
+type NumberSection = 'thresholds' | 'stabilization'
+
+interface NumberField {
+  key: string
+  label: string
+  min: number
+  max: number
+  step: number
+}
+
+const THRESHOLD_FIELDS: NumberField[] = [
+  { key: 'FINGER_OPEN', label: 'Index extended below', min: 0, max: 1, step: 0.01 },
+  { key: 'FINGER_CLOSED', label: 'Fingers retracted above', min: 0, max: 1, step: 0.01 },
+  { key: 'FIST_THRESHOLD', label: 'Fist: all fingers above', min: 0, max: 1, step: 0.01 },
+  { key: 'FIST_GYRO', label: 'Fist: gyro above (rad/s)', min: 0, max: 5, step: 0.05 },
+  { key: 'OPEN_PALM_THRESHOLD', label: 'Open palm: all fingers below', min: 0, max: 1, step: 0.01 },
+  { key: 'OPEN_PALM_MAX_GYRO', label: 'Open palm: gyro below', min: 0, max: 5, step: 0.05 },
+  { key: 'POINTING_MAX_GYRO', label: 'Pointing: gyro below', min: 0, max: 5, step: 0.05 },
+  { key: 'PINCH_DISTANCE', label: 'Pinch: distance below (m)', min: 0, max: 0.1, step: 0.001 },
+  { key: 'PINCH_MAX_GYRO', label: 'Pinch: gyro below', min: 0, max: 5, step: 0.05 },
+]
+
+const STABILIZATION_FIELDS: NumberField[] = [
+  { key: 'smoothingMs', label: 'Smoothing (ms)', min: 0, max: 500, step: 10 },
+  { key: 'enterThreshold', label: 'Enter confidence', min: 0, max: 1, step: 0.01 },
+  { key: 'exitThreshold', label: 'Exit confidence', min: 0, max: 1, step: 0.01 },
+  { key: 'minDwellMs', label: 'Minimum dwell (ms)', min: 0, max: 1000, step: 10 },
+]
+
+const TRANSFORM_MODES: TransformMode[] = ['translate', 'rotate', 'scale', 'cursor']
+
+const GLOVE_BUTTONS: GloveButton[] = ['select', 'mode', 'confirm']
+const BUTTON_EVENT_TYPES: ButtonEventType[] = ['press', 'release', 'long-press', 'double-press']
+const EDITOR_COMMANDS: EditorCommand[] = ['undo', 'redo', 'confirm', 'cancel', 'select-hovered', 'deselect', 'cycle-mode']
+const DYNAMIC_GESTURES: DynamicGesture[] = [
+  'swipe-left', 'swipe-right', 'swipe-up', 'swipe-down', 'circle-cw', 'circle-ccw', 'flick', 'double-tap',
+]
+// Select value for an unbound button event or motion gesture
+const UNBOUND = ''
+
+// Wait for the slider to settle before sending the change to the backend
+const SAVE_DEBOUNCE_MS = 300
+
+const GLOBAL_TARGET = ''
+
+/** Bindings merge per button, like on the backend */
+function mergeButtonActions(base: ButtonActions = {}, update: ButtonActions = {}): ButtonActions {
+  const merged = { ...base }
+  const buttons = Object.keys(update) as GloveButton[]
+  buttons.forEach((button) => {
+    merged[button] = { ...merged[button], ...update[button] }
+  })
+  return merged
+}
+
+/** Merge a partial update into a local copy of the config so the UI updates before the server answers */
+function applyLocally(config: GestureConfig, target: string, update: GestureOverrides): GestureConfig {
+  if (target === GLOBAL_TARGET) {
+    return {
+      ...config,
+      thresholds: { ...config.thresholds, ...update.thresholds },
+      stabilization: { ...config.stabilization, ...update.stabilization },
+      gestureModes: { ...config.gestureModes, ...update.gestureModes },
+      buttonActions: mergeButtonActions(config.buttonActions, update.buttonActions),
+      dynamicGestureActions: { ...config.dynamicGestureActions, ...update.dynamicGestureActions },
+    }
+  }
+  const existing = config.devices[target] || {}
+  return {
+    ...config,
+    devices: {
+      ...config.devices,
+      [target]: {
+        thresholds: { ...existing.thresholds, ...update.thresholds },
+        stabilization: { ...existing.stabilization, ...update.stabilization },
+        gestureModes: { ...existing.gestureModes, ...update.gestureModes },
+        buttonActions: mergeButtonActions(existing.buttonActions, update.buttonActions),
+        dynamicGestureActions: { ...existing.dynamicGestureActions, ...update.dynamicGestureActions },
+      },
+    },
+  }
+}
+
+/** Live tuning of gesture thresholds, the gesture → transform mode mapping and the button and motion gesture bindings */
+export default function GestureSettingsPanel({ onClose }: { onClose: () => void }) {
+  const { serverUrl, gestureData, gestureConfig } = useGestureConnection()
+
+  const [config, setConfig] = useState<GestureConfig | null>(null)
+  const [target, setTarget] = useState(GLOBAL_TARGET)
+  const [devices, setDevices] = useState<string[]>([])
+  const [error, setError] = useState<string | null>(null)
+
+  const pendingRef = useRef<{ target: string, update: GestureOverrides } | null>(null)
+  const saveTimerRef = useRef<ReturnType<typeof setTimeout> | null>(null)
+
+  /** Load the config once, then follow changes broadcast by the backend */
+  useEffect(() => {
+    fetch(`${serverUrl}/config/gestures`, { headers: authHeaders })
+      .then(readResponse)
+      .then((body) => setConfig(body.config))
+      .catch((err: Error) => setError(`Could not load gesture config: ${err.message}`))
+  }, [serverUrl])
+
+  useEffect(() => {
+    if (gestureConfig && !pendingRef.current) setConfig(gestureConfig)
+  }, [gestureConfig])
+
+  useEffect(() => {
+    if (gestureData && !devices.includes(gestureData.deviceId)) {
+      setDevices((prev) => [...prev, gestureData.deviceId])
+    }
+  }, [gestureData, devices])
+
+  useEffect(() => () => {
+    if (saveTimerRef.current) clearTimeout(saveTimerRef.current)
+  }, [])
+
+  const sendUpdate = async (body: object) => {
+    try {
+      const response = await fetch(`${serverUrl}/config/gestures`, {
+        method: 'PUT',
+        headers: { ...authHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      })
+      const result = await response.json()
+      if (!response.ok) throw new Error(result.details?.join(', ') || result.error)
+      setConfig(result.config)
+      setError(null)
+    } catch (err) {
+      setError(`Could not save gesture config: ${(err as Error).message}`)
+    }
+  }
+
+  const flush = () => {
+    const pending = pendingRef.current
+    pendingRef.current = null
+    if (!pending) return
+    sendUpdate(pending.target === GLOBAL_TARGET ? pending.update : { devices: { [pending.target]: pending.update } })
+  }
+
+  /** Apply a change immediately in the UI and batch it into one debounced PUT */
+  const change = (update: GestureOverrides) => {
+    if (!config) return
+    setConfig(applyLocally(config, target, update))
+
+    if (pendingRef.current && pendingRef.current.target !== target) flush()
+    const pending = pendingRef.current?.update || {}
+    pendingRef.current = {
+      target,
+      update: {
+        thresholds: { ...pending.thresholds, ...update.thresholds },
+        stabilization: { ...pending.stabilization, ...update.stabilization },
+        gestureModes: { ...pending.gestureModes, ...update.gestureModes },
+        buttonActions: mergeButtonActions(pending.buttonActions, update.buttonActions),
+        dynamicGestureActions: { ...pending.dynamicGestureActions, ...update.dynamicGestureActions },
+      },
+    }
+
+    if (saveTimerRef.current) clearTimeout(saveTimerRef.current)
+    saveTimerRef.current = setTimeout(flush, SAVE_DEBOUNCE_MS)
+  }
+
+  const clearDeviceOverrides = () => {
+    pendingRef.current = null
+    sendUpdate({ devices: { [target]: null } })
+  }
+
+  const resetAll = async () => {
+    pendingRef.current = null
+    const response = await fetch(`${serverUrl}/config/gestures`, { method: 'DELETE', headers: authHeaders })
+    const result = await response.json()
+    if (response.ok) setConfig(result.config)
+  }
+
+  const overrides = target === GLOBAL_TARGET ? null : config?.devices[target]
+  const valueOf = (section: NumberSection, key: string) =>
+    overrides?.[section]?.[key] ?? config?.[section][key] ?? 0
+  const isOverridden = (section: 'thresholds' | 'stabilization' | 'gestureModes', key: string) =>
+    overrides?.[section]?.[key] !== undefined
+  const bindingOf = (button: GloveButton, type: ButtonEventType) => {
+    const override = overrides?.buttonActions?.[button]?.[type]
+    return override !== undefined ? override : config?.buttonActions[button]?.[type] ?? null
+  }
+  const motionBindingOf = (gesture: DynamicGesture) => {
+    const override = overrides?.dynamicGestureActions?.[gesture]
+    return override !== undefined ? override : config?.dynamicGestureActions[gesture] ?? null
+  }
+
+  const live = gestureData && (target === GLOBAL_TARGET || gestureData.deviceId === target) ? gestureData : null
+  const features = live?.frameGesture?.features
+
+  const renderNumberField = (section: NumberSection, field: NumberField) => {
+    const value = valueOf(section, field.key)
+    return (
+      <div key={field.key} className="mb-2">
+        <div className="flex justify-between">
+          <label className={isOverridden(section, field.key) ? 'text-yellow-300' : ''}>{field.label}</label>
+          <span>{value}</span>
+        </div>
+        <input
+          type="range"
+          className="w-full"
+          min={field.min}
+          max={field.max}
+          step={field.step}
+          value={value}
+          onChange={(e) => change({ [section]: { [field.key]: Number(e.target.value) } })}
+        />
+      </div>
+    )
+  }
+
+  return (
+    <div className="fixed top-0 left-64 z-20 h-full w-80 overflow-auto bg-gray-800 border-r text-white p-3 text-xs">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="font-bold text-sm">Gesture Settings</h2>
+        <button onClick={onClose} className="text-gray-400 hover:text-white">✕</button>
+      </div>
+
+      {error && <div className="text-red-400 mb-2">{error}</div>}
+
+      <label className="block mb-1">Apply to:</label>
+      <select className="w-full text-black mb-3" value={target} onChange={(e) => setTarget(e.target.value)}>
+        <option value={GLOBAL_TARGET}>All devices</option>
+        {Array.from(new Set([...devices, ...Object.keys(config?.devices || {})])).map((id) => (
+          <option key={id} value={id}>{id}</option>
+        ))}
+      </select>
+
+      {/* Live feedback so thresholds can be tuned while wearing the glove */}
+      <div className="mb-3 p-2 bg-gray-700 rounded space-y-1">
+        {live ? (
+          <>
+            <div>Device: <strong>{live.deviceId}</strong></div>
+            <div>Gesture: <strong>{live.gesture}</strong> ({(live.gestureConfidence * 100).toFixed(0)}%)</div>
+            {live.frameGesture && <div>This frame: {live.frameGesture.gesture}</div>}
+            {features && (
+              <>
+                <div>Bends: {Object.entries(features.fingerBends).map(([f, v]) => `${f[0]}=${v.toFixed(2)}`).join(' ')}</div>
+                <div>Gyro: {features.gyroMagnitude.toFixed(2)} rad/s</div>
+                <div>Pinch distance: {features.pinchDistance.toFixed(3)} m</div>
+              </>
+            )}
+          </>
+        ) : (
+          <div className="text-gray-400">Waiting for glove data…</div>
+        )}
+      </div>
+
+      {!config ? (
+        <div className="text-gray-400">Loading…</div>
+      ) : (
+        <>
+          <h3 className="font-bold mb-1">Classifier Thresholds</h3>
+          {THRESHOLD_FIELDS.map((field) => renderNumberField('thresholds', field))}
+
+          <h3 className="font-bold mt-3 mb-1">Stabilization</h3>
+          {STABILIZATION_FIELDS.map((field) => renderNumberField('stabilization', field))}
+
+          <h3 className="font-bold mt-3 mb-1">Gesture → Transform Mode</h3>
+          {Object.keys(config.gestureModes).map((gesture) => (
+            <div key={gesture} className="flex items-center justify-between mb-1">
+              <label className={isOverridden('gestureModes', gesture) ? 'text-yellow-300' : ''}>{gesture}</label>
+              <select
+                className="text-black"
+                value={overrides?.gestureModes?.[gesture] ?? config.gestureModes[gesture]}
+                onChange={(e) => change({ gestureModes: { [gesture]: e.target.value as TransformMode } })}
+              >
+                {TRANSFORM_MODES.map((mode) => (
+                  <option key={mode} value={mode}>{mode}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+
+          <h3 className="font-bold mt-3 mb-1">Glove Buttons</h3>
+          {GLOVE_BUTTONS.flatMap((button) => BUTTON_EVENT_TYPES.map((type) => (
+            <div key={`${button}-${type}`} className="flex items-center justify-between mb-1">
+              <label className={overrides?.buttonActions?.[button]?.[type] !== undefined ? 'text-yellow-300' : ''}>
+                {button} {type}
+              </label>
+              <select
+                className="text-black"
+                value={bindingOf(button, type) ?? UNBOUND}
+                onChange={(e) => change({
+                  buttonActions: { [button]: { [type]: (e.target.value || null) as EditorCommand | null } },
+                })}
+              >
+                <option value={UNBOUND}>(none)</option>
+                {EDITOR_COMMANDS.map((command) => (
+                  <option key={command} value={command}>{command}</option>
+                ))}
+              </select>
+            </div>
+          )))}
+
+          <h3 className="font-bold mt-3 mb-1">Motion Gestures</h3>
+          {DYNAMIC_GESTURES.map((gesture) => (
+            <div key={gesture} className="flex items-center justify-between mb-1">
+              <label className={overrides?.dynamicGestureActions?.[gesture] !== undefined ? 'text-yellow-300' : ''}>
+                {gesture}
+              </label>
+              <select
+                className="text-black"
+                value={motionBindingOf(gesture) ?? UNBOUND}
+                onChange={(e) => change({
+                  dynamicGestureActions: { [gesture]: (e.target.value || null) as EditorCommand | null },
+                })}
+              >
+                <option value={UNBOUND}>(none)</option>
+                {EDITOR_COMMANDS.map((command) => (
+                  <option key={command} value={command}>{command}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+
+          <div className="flex flex-col gap-1 mt-3">
+            {target !== GLOBAL_TARGET && (
+              <button onClick={clearDeviceOverrides} className="bg-gray-700 p-1 rounded">
+                Clear overrides for {target}
+              </button>
+            )}
+            <button onClick={resetAll} className="bg-gray-700 p-1 rounded">Reset all to defaults</button>
+          </div>
+          {target !== GLOBAL_TARGET && (
+            <div className="mt-2 text-gray-400">Highlighted settings override the global value for this device.</div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
@@ -1,97 +1,108 @@
 'use client'
 
-import { useSceneStore } from '@/stores/sceneStore'
-import { ReactNode } from 'react'
-import { SceneObject } from '@/stores/sceneStore'
-
-interface TreeItemProps {
-  obj: SceneObject
-  depth: number
-  onSelect: (id: string) => void
-  selectedId: string | null
-  children?: ReactNode
-}
-
-function TreeItem({
-  obj,
-  depth,
-  onSelect,
-  selectedId,
-  children,
-}: TreeItemProps) {
-  return (
-    <div style={{ paddingLeft: depth * 12 }} className={`cursor-pointer ${obj.id === selectedId ? 'bg-yellow-200' : ''}`}>
-      <div onClick={() => onSelect(obj.id)}>
-        {obj.type} ({obj.id.slice(0, 4)})
-      </div>
-      {children}
-    </div>
-  )
-}
+import { useSceneStore, canParent, objectName } from '@/stores/sceneStore'
+import { useState } from 'react'
+import { useSceneClipboard } from '../../hooks/useSceneClipboard'
+import Outliner from './Outliner'
 
 export default function Inspector() {
   const objects = useSceneStore((s) => s.objects)
   const selectedId = useSceneStore((s) => s.selectedId)
-  const selectObject = useSceneStore((s) => s.selectObject)
+  const selectedIds = useSceneStore((s) => s.selectedIds)
   const setParent = useSceneStore((s) => s.setParent)
+  const deleteSelection = useSceneStore((s) => s.deleteSelection)
+  const duplicateSelection = useSceneStore((s) => s.duplicateSelection)
+  const { copy, paste } = useSceneClipboard()
+  // Reparenting (here or by dragging in the outliner) keeps objects where they are unless this is unticked
+  const [keepWorldTransform, setKeepWorldTransform] = useState(true)
   
   const undo = useSceneStore((s) => s.undo)
   const redo = useSceneStore((s) => s.redo)
+  const undoLabel = useSceneStore((s) => s.undoLabel)
+  const redoLabel = useSceneStore((s) => s.redoLabel)
 
   const selected = objects.find((o) => o.id === selectedId)
-
-  // Build tree recursively
-  const renderTree = (parentId: string | null, depth = 0) => {
-    return objects
-      .filter((o) => (o.parentId ?? null) === parentId)
-      .map((o) => (
-        <TreeItem
-          key={o.id}
-          obj={o}
-          depth={depth}
-          onSelect={selectObject}
-          selectedId={selectedId}
-        >
-          {renderTree(o.id, depth + 1)}
-        </TreeItem>
-      ))
-  }
+  const nothingSelected = selectedIds.length === 0
 
   return (
     <div className="p-2 text-sm overflow-auto">
       <h2 className="font-bold mb-2">Scene Graph</h2>
-      {renderTree(null)}
+      <Outliner keepWorldTransform={keepWorldTransform} />
+      <label className="flex items-center gap-1 mt-1 text-xs">
+        <input
+          type="checkbox"
+          checked={keepWorldTransform}
+          onChange={(e) => setKeepWorldTransform(e.target.checked)}
+        />
+        Keep world transform when reparenting (otherwise the local one is kept and the object moves with its new parent)
+      </label>
 
       <div className="flex gap-2 my-2">
-        <button onClick={undo} className="bg-gray-700 p-1 rounded">Undo</button>
-        <button onClick={redo} className="bg-gray-700 p-1 rounded">Redo</button>
+        <button onClick={undo} disabled={!undoLabel} className="bg-gray-700 p-1 rounded disabled:opacity-50">
+          Undo{undoLabel && ` ${undoLabel}`}
+        </button>
+        <button onClick={redo} disabled={!redoLabel} className="bg-gray-700 p-1 rounded disabled:opacity-50">
+          Redo{redoLabel && ` ${redoLabel}`}
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2 my-2">
+        <button onClick={() => deleteSelection()} disabled={nothingSelected} className="bg-gray-700 p-1 rounded disabled:opacity-50">
+          Delete
+        </button>
+        <button
+          onClick={() => deleteSelection({ withChildren: false })}
+          disabled={nothingSelected}
+          title="Children move up to the deleted object's parent"
+          className="bg-gray-700 p-1 rounded disabled:opacity-50"
+        >
+          Delete (keep children)
+        </button>
+        <button onClick={duplicateSelection} disabled={nothingSelected} className="bg-gray-700 p-1 rounded disabled:opacity-50">
+          Duplicate
+        </button>
+        <button onClick={copy} disabled={nothingSelected} className="bg-gray-700 p-1 rounded disabled:opacity-50">
+          Copy
+        </button>
+        <button onClick={paste} className="bg-gray-700 p-1 rounded">
+          Paste
+        </button>
       </div>
+      {selectedIds.length > 1 && <div className="text-xs text-gray-400">{selectedIds.length} objects selected</div>}
 
       {selected && (
         <div className="mt-4">
           <h3 className="font-bold">Selected:</h3>
+          <div>Name: {objectName(selected)}</div>
           <div>ID: {selected.id}</div>
           <div>Type: {selected.type}</div>
+          {selected.parentId && <div className="text-xs text-gray-400">Transform is relative to the parent</div>}
           <div>
             Position: {selected.position.map((n) => n.toFixed(2)).join(', ')}
           </div>
+          <div>
+            Rotation: {selected.rotation.map((n) => `${(n * 180 / Math.PI).toFixed(0)}°`).join(', ')}
+          </div>
+          <div>
+            Scale: {selected.scale.map((n) => n.toFixed(2)).join(', ')}
+          </div>
 
-          {/* Simple parenting: pick a parent from dropdown */}
+          {/* Parenting: pick a parent from the dropdown (the object itself and its descendants can't be picked) */}
           <div className="mt-2">
             <label className="block mb-1">Parent:</label>
             <select
               className="w-full text-black"
               value={selected.parentId ?? ''}
               onChange={(e) =>
-                setParent(selected.id, e.target.value || null)
+                setParent(selected.id, e.target.value || null, { keepWorldTransform })
               }
             >
               <option value="">(no parent)</option>
               {objects
-                .filter((o) => o.id !== selected.id)
+                .filter((o) => canParent(objects, selected.id, o.id))
                 .map((o) => (
                   <option key={o.id} value={o.id}>
-                    {o.type} ({o.id.slice(0, 4)})
+                    {objectName(o)}
                   </option>
                 ))}
             </select>
@@ -0,0 +1,220 @@
+'use client'
+
+import { DragEvent, useMemo, useState } from 'react'
+import { useSceneStore, canParent, objectName, objectProperties, SceneObject } from '@/stores/sceneStore'
+
+/** Where a dragged row lands relative to the row it is dropped on */
+type DropPosition = 'before' | 'inside' | 'after'
+
+// The top and bottom quarters of a row drop next to it, the middle drops into it
+function dropPosition(e: DragEvent<HTMLElement>): DropPosition {
+  const { top, height } = e.currentTarget.getBoundingClientRect()
+  const y = (e.clientY - top) / height
+  if (y < 0.25) return 'before'
+  return y > 0.75 ? 'after' : 'inside'
+}
+
+const DROP_STYLES: Record<DropPosition, string> = {
+  before: 'border-t-2 border-blue-400',
+  inside: 'bg-blue-900',
+  after: 'border-b-2 border-blue-400',
+}
+
+/**
+ * The scene graph as a tree. Click to select (shift-click to add), double-click to rename, drag a
+ * row onto another to make it a child or between rows to reorder, and collapse branches. The eye
+ * and lock buttons hide an object (with its children) and stop it being picked in the scene.
+ */
+export default function Outliner({ keepWorldTransform }: { keepWorldTransform: boolean }) {
+  const objects = useSceneStore((s) => s.objects)
+  const selectedIds = useSceneStore((s) => s.selectedIds)
+  const selectObject = useSceneStore((s) => s.selectObject)
+  const toggleSelection = useSceneStore((s) => s.toggleSelection)
+  const setParent = useSceneStore((s) => s.setParent)
+  const updateObjectProperties = useSceneStore((s) => s.updateObjectProperties)
+
+  const [collapsed, setCollapsed] = useState<Set<string>>(new Set())
+  const [filter, setFilter] = useState('')
+  const [renaming, setRenaming] = useState<{ id: string, name: string } | null>(null)
+  const [dragged, setDragged] = useState<string | null>(null)
+  const [dropTarget, setDropTarget] = useState<{ id: string, position: DropPosition } | null>(null)
+
+  // While filtering, the matches are shown with their ancestors (so they stay in context), all expanded
+  const query = filter.trim().toLowerCase()
+  const shown = useMemo(() => {
+    if (!query) return null
+    const byId = new Map(objects.map((o) => [o.id, o]))
+    const ids = new Set<string>()
+    objects
+      .filter((o) => objectName(o).toLowerCase().includes(query) || o.type.includes(query) || o.id.startsWith(query))
+      .forEach((match) => {
+        for (let object: SceneObject | undefined = match; object && !ids.has(object.id); object = byId.get(object.parentId ?? '')) {
+          ids.add(object.id)
+        }
+      })
+    return ids
+  }, [objects, query])
+
+  const toggleCollapsed = (id: string) => {
+    const next = new Set(collapsed)
+    if (next.has(id)) next.delete(id)
+    else next.add(id)
+    setCollapsed(next)
+  }
+
+  const finishRename = () => {
+    if (renaming) updateObjectProperties(renaming.id, { name: renaming.name.trim() || null })
+    setRenaming(null)
+  }
+
+  const endDrag = () => {
+    setDragged(null)
+    setDropTarget(null)
+  }
+
+  const newParent = (target: SceneObject, position: DropPosition) =>
+    position === 'inside' ? target.id : target.parentId ?? null
+
+  const canDrop = (target: SceneObject, position: DropPosition) =>
+    dragged !== null && dragged !== target.id && canParent(objects, dragged, newParent(target, position))
+
+  const drop = (target: SceneObject, position: DropPosition) => {
+    if (!dragged || !canDrop(target, position)) return
+    const parentId = newParent(target, position)
+    let beforeId: string | null = target.id
+    if (position === 'inside') {
+      // Last among the target's children, which are then shown
+      beforeId = null
+      if (collapsed.has(target.id)) toggleCollapsed(target.id)
+    } else if (position === 'after') {
+      const siblings = objects.filter((o) => (o.parentId ?? null) === parentId && o.id !== dragged)
+      beforeId = siblings[siblings.indexOf(target) + 1]?.id ?? null
+    }
+    setParent(dragged, parentId, { keepWorldTransform, beforeId })
+  }
+
+  const renderTree = (parentId: string | null, depth = 0): React.ReactNode =>
+    objects
+      .filter((o) => (o.parentId ?? null) === parentId && (!shown || shown.has(o.id)))
+      .map((o) => {
+        const { visible, locked } = objectProperties(o)
+        const hasChildren = objects.some((child) => child.parentId === o.id)
+        const expanded = shown !== null || !collapsed.has(o.id)
+        const isSelected = selectedIds.includes(o.id)
+        const dropStyle = dropTarget?.id === o.id ? DROP_STYLES[dropTarget.position] : ''
+
+        return (
+          <div key={o.id}>
+            <div
+              draggable={renaming?.id !== o.id}
+              onDragStart={(e) => {
+                e.dataTransfer.effectAllowed = 'move'
+                setDragged(o.id)
+              }}
+              onDragEnd={endDrag}
+              onDragOver={(e) => {
+                const position = dropPosition(e)
+                if (!canDrop(o, position)) return
+                e.preventDefault()
+                e.stopPropagation()
+                if (dropTarget?.id !== o.id || dropTarget.position !== position) setDropTarget({ id: o.id, position })
+              }}
+              onDrop={(e) => {
+                e.preventDefault()
+                e.stopPropagation()
+                drop(o, dropPosition(e))
+                endDrag()
+              }}
+              onClick={(e) => (e.shiftKey ? toggleSelection(o.id) : selectObject(o.id))}
+              onDoubleClick={() => setRenaming({ id: o.id, name: o.name ?? '' })}
+              style={{ paddingLeft: depth * 12 }}
+              className={`flex items-center gap-1 cursor-pointer ${isSelected ? 'bg-yellow-200 text-black' : ''} ${dropStyle}`}
+            >
+              {hasChildren ? (
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation()
+                    toggleCollapsed(o.id)
+                  }}
+                  className="w-3"
+                >
+                  {expanded ? '▾' : '▸'}
+                </button>
+              ) : (
+                <span className="w-3" />
+              )}
+
+              {renaming?.id === o.id ? (
+                <input
+                  autoFocus
+                  value={renaming.name}
+                  placeholder={`${o.type} (${o.id.slice(0, 4)})`}
+                  onChange={(e) => setRenaming({ id: o.id, name: e.target.value })}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') finishRename()
+                    if (e.key === 'Escape') setRenaming(null)
+                  }}
+                  onBlur={finishRename}
+                  onClick={(e) => e.stopPropagation()}
+                  maxLength={100}
+                  className="flex-1 min-w-0 text-black px-1"
+                />
+              ) : (
+                <span className={`flex-1 truncate ${visible ? '' : 'opacity-50'}`}>{objectName(o)}</span>
+              )}
+
+              <button
+                title={visible ? 'Hide' : 'Show'}
+                onClick={(e) => {
+                  e.stopPropagation()
+                  updateObjectProperties(o.id, { visible: !visible })
+                }}
+                className={visible ? '' : 'opacity-50'}
+              >
+                👁
+              </button>
+              <button
+                title={locked ? 'Unlock' : 'Lock (can\'t be picked or moved in the scene)'}
+                onClick={(e) => {
+                  e.stopPropagation()
+                  updateObjectProperties(o.id, { locked: !locked })
+                }}
+              >
+                {locked ? '🔒' : '🔓'}
+              </button>
+            </div>
+            {hasChildren && expanded && renderTree(o.id, depth + 1)}
+          </div>
+        )
+      })
+
+  return (
+    <div>
+      <input
+        value={filter}
+        onChange={(e) => setFilter(e.target.value)}
+        placeholder="Search objects"
+        className="w-full text-black px-1 mb-1"
+      />
+      <div className="max-h-64 overflow-auto">
+        {renderTree(null)}
+        {shown?.size === 0 && <div className="text-gray-400">No matching objects</div>}
+
+        {/* Dropping below the tree moves the object to the top level, last */}
+        <div
+          className="h-4"
+          onDragOver={(e) => {
+            if (!dragged) return
+            e.preventDefault()
+            setDropTarget(null)
+          }}
+          onDrop={(e) => {
+            e.preventDefault()
+            if (dragged) setParent(dragged, null, { keepWorldTransform, beforeId: null })
+            endDrag()
+          }}
+        />
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,95 @@
+'use client'
+
+import { useEffect, useState } from 'react'
+import { authHeaders } from '../../hooks/useGestureWebSocket'
+import { useGestureConnection } from '../../hooks/useGestureConnection'
+
+const SPEEDS = [0.25, 0.5, 1, 2, 4]
+
+function formatTime(ms: number) {
+  const seconds = Math.floor(ms / 1000)
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+}
+
+/** Banner shown while the backend replays a recorded session, with pause/seek/speed controls */
+export default function ReplayControls() {
+  const { serverUrl, replayStatus } = useGestureConnection()
+  // Position under the slider while it is being dragged, so status updates don't fight the user
+  const [seekingTo, setSeekingTo] = useState<number | null>(null)
+  const [error, setError] = useState<string | null>(null)
+
+  useEffect(() => {
+    if (!replayStatus) setSeekingTo(null)
+  }, [replayStatus])
+
+  if (!replayStatus) return null
+
+  const control = async (method: 'PUT' | 'DELETE', body?: object) => {
+    try {
+      const response = await fetch(`${serverUrl}/replay`, {
+        method,
+        headers: { ...authHeaders, 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body),
+      })
+      if (!response.ok) {
+        const result = await response.json()
+        throw new Error(result.details?.join(', ') || result.error)
+      }
+      setError(null)
+    } catch (err) {
+      setError((err as Error).message)
+    }
+  }
+
+  const commitSeek = () => {
+    if (seekingTo === null) return
+    control('PUT', { positionMs: seekingTo })
+    setSeekingTo(null)
+  }
+
+  const { state, positionMs, durationMs, speed, recordingId, deviceIds } = replayStatus
+  const isPlaying = state === 'playing'
+
+  return (
+    <div className="absolute bottom-4 left-1/2 -translate-x-1/2 z-10 w-[28rem] bg-gray-800/90 text-white text-xs rounded p-2 shadow">
+      <div className="flex items-center justify-between mb-1">
+        <span>
+          <span className="text-red-400">●</span> Replaying <strong>{recordingId}</strong> ({deviceIds.join(', ')})
+        </span>
+        <span className="text-gray-400">{state}</span>
+      </div>
+
+      <input
+        type="range"
+        className="w-full"
+        min={0}
+        max={durationMs}
+        step={10}
+        value={seekingTo ?? positionMs}
+        onChange={(e) => setSeekingTo(Number(e.target.value))}
+        onMouseUp={commitSeek}
+        onTouchEnd={commitSeek}
+        onKeyUp={commitSeek}
+      />
+
+      <div className="flex items-center gap-2">
+        <button onClick={() => control('PUT', { paused: isPlaying })} className="bg-gray-700 px-2 py-1 rounded">
+          {isPlaying ? 'Pause' : 'Play'}
+        </button>
+        <span>{formatTime(seekingTo ?? positionMs)} / {formatTime(durationMs)}</span>
+        <select
+          className="text-black ml-auto"
+          value={speed}
+          onChange={(e) => control('PUT', { speed: Number(e.target.value) })}
+        >
+          {Array.from(new Set([...SPEEDS, speed])).sort((a, b) => a - b).map((s) => (
+            <option key={s} value={s}>{s}×</option>
+          ))}
+        </select>
+        <button onClick={() => control('DELETE')} className="bg-gray-700 px-2 py-1 rounded">Stop</button>
+      </div>
+
+      {error && <div className="text-red-400 mt-1">{error}</div>}
+    </div>
+  )
+}
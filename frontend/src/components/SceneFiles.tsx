@@ -0,0 +1,121 @@
+'use client'
+
+import { useState } from 'react'
+import { GESTURE_SERVER_URL, authHeaders, readResponse } from '../../hooks/useGestureWebSocket'
+import { useSceneStore, SceneObject } from '@/stores/sceneStore'
+
+interface SavedScene {
+  id: string
+  name: string
+  author: string | null
+  createdAt: number
+  updatedAt: number
+  objectCount: number
+}
+
+/** New, Open, Save and Save As for scenes stored on the backend (REST only, so it needs no connection) */
+export default function SceneFiles({ serverUrl = GESTURE_SERVER_URL }: { serverUrl?: string }) {
+  const loadScene = useSceneStore((s) => s.loadScene)
+  // The saved scene being edited; Save overwrites it
+  const [current, setCurrent] = useState<{ id: string, name: string } | null>(null)
+  const [name, setName] = useState('')
+  const [scenes, setScenes] = useState<SavedScene[] | null>(null)
+  const [status, setStatus] = useState<string | null>(null)
+  const [error, setError] = useState<string | null>(null)
+
+  const run = async (action: () => Promise<string>) => {
+    setError(null)
+    try {
+      setStatus(await action())
+    } catch (err) {
+      setStatus(null)
+      setError((err as Error).message)
+    }
+  }
+
+  const saveAs = () => run(async () => {
+    const result = await fetch(`${serverUrl}/scenes`, {
+      method: 'POST',
+      headers: { ...authHeaders, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, objects: useSceneStore.getState().objects }),
+    }).then(readResponse)
+    setCurrent({ id: result.scene.id, name: result.scene.name })
+    setName('')
+    return `Saved as ${result.scene.name}`
+  })
+
+  const save = () => {
+    if (!current) return saveAs()
+    return run(async () => {
+      await fetch(`${serverUrl}/scenes/${current.id}`, {
+        method: 'PUT',
+        headers: { ...authHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ objects: useSceneStore.getState().objects }),
+      }).then(readResponse)
+      return `Saved ${current.name}`
+    })
+  }
+
+  const toggleOpen = () => {
+    if (scenes) return setScenes(null)
+    run(async () => {
+      const result = await fetch(`${serverUrl}/scenes`, { headers: authHeaders }).then(readResponse)
+      setScenes(result.scenes)
+      return result.scenes.length > 0 ? 'Pick a scene to open' : 'No saved scenes yet'
+    })
+  }
+
+  const open = (scene: SavedScene) => run(async () => {
+    const result: { objects: SceneObject[] } = await fetch(`${serverUrl}/scenes/${scene.id}`, { headers: authHeaders })
+      .then(readResponse)
+    loadScene(result.objects)
+    setCurrent({ id: scene.id, name: scene.name })
+    setScenes(null)
+    return `Opened ${scene.name}`
+  })
+
+  const startNew = () => {
+    loadScene([])
+    setCurrent(null)
+    setScenes(null)
+    setStatus('New scene')
+    setError(null)
+  }
+
+  return (
+    <div className="text-xs mb-4">
+      <div className="mb-1">File: <strong>{current?.name ?? 'unsaved'}</strong></div>
+      <div className="grid grid-cols-3 gap-1 mb-1">
+        <button onClick={startNew} className="bg-gray-700 p-1 rounded">New</button>
+        <button onClick={toggleOpen} className="bg-gray-700 p-1 rounded">Open</button>
+        <button disabled={!current && !name} onClick={save} className="bg-gray-700 p-1 rounded disabled:opacity-50">Save</button>
+      </div>
+      <div className="flex gap-1 mb-1">
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Scene name"
+          className="flex-1 min-w-0 text-black px-1"
+        />
+        <button disabled={!name.trim()} onClick={saveAs} className="bg-gray-700 px-1 rounded disabled:opacity-50">Save As</button>
+      </div>
+      {scenes && (
+        <div className="space-y-1 mb-1">
+          {scenes.map((scene) => (
+            <div key={scene.id} className="flex items-center justify-between">
+              <span>
+                {scene.name}
+                <span className="text-gray-400">
+                  {' '}· {scene.objectCount} object(s){scene.author ? ` · ${scene.author}` : ''} · {new Date(scene.updatedAt).toLocaleString()}
+                </span>
+              </span>
+              <button onClick={() => open(scene)} className="bg-gray-700 px-1 rounded">Open</button>
+            </div>
+          ))}
+        </div>
+      )}
+      {status && <div className="text-gray-400">{status}</div>}
+      {error && <div className="text-red-400">{error}</div>}
+    </div>
+  )
+}
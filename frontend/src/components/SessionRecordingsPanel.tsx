@@ -0,0 +1,137 @@
+'use client'
+
+import { useCallback, useEffect, useState } from 'react'
+import { authHeaders, Recording } from '../../hooks/useGestureWebSocket'
+import { useGestureConnection } from '../../hooks/useGestureConnection'
+
+/** Record live glove sessions, and replay, download or delete earlier recordings */
+export default function SessionRecordingsPanel({ onClose }: { onClose: () => void }) {
+  const { serverUrl, gestureData, replayStatus } = useGestureConnection()
+
+  const [recordings, setRecordings] = useState<Recording[]>([])
+  const [devices, setDevices] = useState<string[]>([])
+  const [deviceId, setDeviceId] = useState('')
+  const [speed, setSpeed] = useState(1)
+  const [error, setError] = useState<string | null>(null)
+
+  const request = useCallback(async (path: string, method = 'GET', body?: object) => {
+    const response = await fetch(`${serverUrl}${path}`, {
+      method,
+      headers: { ...authHeaders, 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body),
+    })
+    const result = await response.json()
+    if (!response.ok) throw new Error(result.details?.join?.(', ') || result.error)
+    return result
+  }, [serverUrl])
+
+  const refresh = useCallback(() => {
+    request('/recordings')
+      .then((result) => setRecordings(result.recordings))
+      .catch((err: Error) => setError(`Could not load recordings: ${err.message}`))
+  }, [request])
+
+  useEffect(refresh, [refresh])
+
+  useEffect(() => {
+    if (gestureData && !devices.includes(gestureData.deviceId)) {
+      setDevices((prev) => [...prev, gestureData.deviceId])
+      if (!deviceId) setDeviceId(gestureData.deviceId)
+    }
+  }, [gestureData, devices, deviceId])
+
+  const run = async (action: () => Promise<unknown>) => {
+    try {
+      await action()
+      setError(null)
+    } catch (err) {
+      setError((err as Error).message)
+    }
+    refresh()
+  }
+
+  // Fetched rather than linked so the download carries the editor token
+  const download = async (recording: Recording) => {
+    const response = await fetch(`${serverUrl}/recordings/${encodeURIComponent(recording.id)}`, { headers: authHeaders })
+    if (!response.ok) throw new Error((await response.json()).error)
+    const url = URL.createObjectURL(await response.blob())
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `${recording.id}.ndjson`
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  const activeRecording = recordings.find((r) => r.recording && r.deviceId === deviceId)
+
+  return (
+    <div className="fixed top-0 left-64 z-20 h-full w-80 overflow-auto bg-gray-800 border-r text-white p-3 text-xs">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="font-bold text-sm">Session Recordings</h2>
+        <button onClick={onClose} className="text-gray-400 hover:text-white">✕</button>
+      </div>
+
+      {error && <div className="text-red-400 mb-2">{error}</div>}
+
+      <h3 className="font-bold mb-1">Record</h3>
+      <select className="w-full text-black mb-1" value={deviceId} onChange={(e) => setDeviceId(e.target.value)}>
+        {devices.length === 0 && <option value="">Waiting for glove data…</option>}
+        {devices.map((id) => (
+          <option key={id} value={id}>{id}</option>
+        ))}
+      </select>
+      <button
+        disabled={!deviceId}
+        onClick={() => run(() => request(`/recordings/${activeRecording ? 'stop' : 'start'}`, 'POST', { deviceId }))}
+        className={`w-full p-1 rounded mb-3 ${activeRecording ? 'bg-red-700' : 'bg-gray-700'} disabled:opacity-50`}
+      >
+        {activeRecording ? 'Stop recording' : 'Start recording'}
+      </button>
+
+      <div className="flex items-center justify-between mb-1">
+        <h3 className="font-bold">Recordings</h3>
+        <label>
+          Speed{' '}
+          <select className="text-black" value={speed} onChange={(e) => setSpeed(Number(e.target.value))}>
+            {[0.5, 1, 2, 4].map((s) => (
+              <option key={s} value={s}>{s}×</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      {recordings.length === 0 && <div className="text-gray-400">No recordings yet.</div>}
+      {recordings.map((recording) => (
+        <div
+          key={recording.id}
+          className={`mb-1 p-2 rounded ${replayStatus?.recordingId === recording.id ? 'bg-gray-600' : 'bg-gray-700'}`}
+        >
+          <div className="font-bold">{recording.deviceId}</div>
+          <div className="text-gray-400">
+            {new Date(recording.startedAt).toLocaleString()}
+            {recording.endedAt && ` · ${((recording.endedAt - recording.startedAt) / 1000).toFixed(1)}s`}
+            {recording.recording && ' · recording…'}
+          </div>
+          {!recording.recording && (
+            <div className="flex gap-1 mt-1">
+              <button
+                onClick={() => run(() => request('/replay', 'POST', { recordingId: recording.id, speed }))}
+                className="bg-gray-800 px-2 rounded"
+              >
+                Replay
+              </button>
+              <button onClick={() => run(() => download(recording))} className="bg-gray-800 px-2 rounded">
+                Download
+              </button>
+              <button
+                onClick={() => run(() => request(`/recordings/${encodeURIComponent(recording.id)}`, 'DELETE'))}
+                className="bg-gray-800 px-2 rounded ml-auto"
+              >
+                Delete
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,81 @@
+'use client'
+
+import { useCallback, useEffect, useState } from 'react'
+import { authHeaders, readResponse, DeviceStatus } from '../../hooks/useGestureWebSocket'
+import { useGestureConnection } from '../../hooks/useGestureConnection'
+
+interface EditingSession {
+  sessionId: string
+  createdAt: number
+  devices: DeviceStatus[]
+  clients: { socketId: string, joinedAt: number }[]
+}
+
+/** Current editing session, the other sessions on the backend, and joining or starting one */
+export default function SessionSwitcher() {
+  const { serverUrl, sessionId } = useGestureConnection()
+  const [sessions, setSessions] = useState<EditingSession[]>([])
+  const [newSessionId, setNewSessionId] = useState('')
+  const [error, setError] = useState<string | null>(null)
+
+  const refresh = useCallback(() => {
+    fetch(`${serverUrl}/sessions`, { headers: authHeaders })
+      .then(readResponse)
+      .then((result) => setSessions(result.sessions))
+      .catch((err: Error) => setError(`Could not load sessions: ${err.message}`))
+  }, [serverUrl])
+
+  useEffect(refresh, [refresh, sessionId])
+
+  // The page's connection reads the session from the URL, so switching reloads with the new one
+  const join = (id: string) => {
+    window.location.search = new URLSearchParams({ session: id }).toString()
+  }
+
+  const create = async () => {
+    try {
+      const response = await fetch(`${serverUrl}/sessions`, {
+        method: 'POST',
+        headers: { ...authHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionId: newSessionId }),
+      })
+      const result = await response.json()
+      if (!response.ok) throw new Error(result.details?.join(', ') || result.error)
+      join(newSessionId)
+    } catch (err) {
+      setError((err as Error).message)
+    }
+  }
+
+  return (
+    <div className="text-xs mb-4">
+      <div className="flex items-center justify-between mb-1">
+        <span>Session: <strong>{sessionId ?? '…'}</strong></span>
+        <button onClick={refresh} className="text-gray-400 hover:text-white">↻</button>
+      </div>
+      {error && <div className="text-red-400 mb-1">{error}</div>}
+      <div className="space-y-1 mb-1">
+        {sessions
+          .filter((session) => session.sessionId !== sessionId)
+          .map((session) => (
+            <div key={session.sessionId} className="flex items-center justify-between">
+              <span>
+                {session.sessionId}
+                <span className="text-gray-400"> · {session.devices.length} glove(s), {session.clients.length} editor(s)</span>
+              </span>
+              <button onClick={() => join(session.sessionId)} className="bg-gray-700 px-1 rounded">Join</button>
+            </div>
+          ))}
+      </div>
+      <div className="flex gap-1">
+        <input
+          value={newSessionId}
+          onChange={(e) => setNewSessionId(e.target.value)}
+          placeholder="new-session"
+          className="flex-1 min-w-0 text-black px-1"
+        />
+        <button disabled={!newSessionId} onClick={create} className="bg-gray-700 px-1 rounded disabled:opacity-50">Start</button>
+      </div>
+    </div>
+  )
+}
@@ -1,108 +1,750 @@
-import { create, StateCreator } from 'zustand'
+import { create } from 'zustand'
 import { nanoid } from 'nanoid'
+import * as THREE from 'three'
 
-type PrimitiveType = 'cube' | 'sphere' | 'plane'
+export type PrimitiveType = 'cube' | 'sphere' | 'plane'
+type Vector3 = [number, number, number]
 
 export interface SceneObject {
   id: string
   type: PrimitiveType
-  position: [number, number, number]
+  position: Vector3
+  // Euler angles in radians (XYZ order)
+  rotation: Vector3
+  scale: Vector3
   parentId?: string | null
+  // Set in the outliner; objects without them are unnamed, visible and unlocked
+  name?: string | null
+  visible?: boolean
+  // Locked objects can't be picked in the scene or transformed there
+  locked?: boolean
+}
+
+export type Transform = Pick<SceneObject, 'position' | 'rotation' | 'scale'>
+export type ObjectProperties = { name: string | null, visible: boolean, locked: boolean }
+
+// Every scene edit is one of these, so it can be sent to the backend and replayed by other editors
+export type SceneOp =
+  | { type: 'add', object: SceneObject }
+  | { type: 'remove', id: string }
+  | { type: 'update-position', id: string, position: Vector3 }
+  | ({ type: 'update-transform', id: string } & Partial<Transform>)
+  | ({ type: 'update-properties', id: string } & Partial<ObjectProperties>)
+  // beforeId moves the object just before that one in the scene's order (null: to the end), which orders siblings
+  | { type: 'set-parent', id: string, parentId: string | null, beforeId?: string | null }
+
+// Another editor's selection in the same session
+export interface RemoteSelection {
+  clientId: string
+  name: string
+  objectId: string
+}
+
+// How the store reaches the backend while in a collaborative session (see useSceneSync)
+export interface SceneTransport {
+  sendOp: (op: SceneOp, opId: string) => void
+  sendSelection: (objectId: string | null) => void
+  // Replace the session's scene; the backend answers with a new snapshot for everyone
+  loadScene: (objects: SceneObject[]) => void
+}
+
+/** An object's outliner properties, with the defaults filled in */
+export const objectProperties = ({ name, visible, locked }: SceneObject): ObjectProperties => ({
+  name: name ?? null,
+  visible: visible ?? true,
+  locked: locked ?? false,
+})
+
+/** What the outliner and inspector call an object */
+export const objectName = (object: SceneObject) => object.name || `${object.type} (${object.id.slice(0, 4)})`
+
+// Move an object to just before another one in the scene's order, or to the end for null
+function moveBefore(objects: SceneObject[], id: string, beforeId: string | null): SceneObject[] {
+  const moved = objects.find((o) => o.id === id)
+  if (!moved) return objects
+  const rest = objects.filter((o) => o.id !== id)
+  const index = beforeId === null ? rest.length : rest.findIndex((o) => o.id === beforeId)
+  return index < 0 ? objects : [...rest.slice(0, index), moved, ...rest.slice(index)]
+}
+
+// Objects saved before rotation and scale existed get the identity transform
+const withDefaultTransform = (object: SceneObject): SceneObject => ({
+  ...object,
+  rotation: object.rotation ?? [0, 0, 0],
+  scale: object.scale ?? [1, 1, 1],
+})
+
+/** Apply an operation to a list of objects; mirrors backend/scene-document.js */
+export function applySceneOp(objects: SceneObject[], op: SceneOp): SceneObject[] {
+  switch (op.type) {
+    case 'add':
+      return [...objects, { ...withDefaultTransform(op.object), parentId: op.object.parentId ?? null }]
+    case 'remove': {
+      // Children of a removed object move up to its parent
+      const removed = objects.find((o) => o.id === op.id)
+      return objects
+        .filter((o) => o.id !== op.id)
+        .map((o) => (o.parentId === op.id ? { ...o, parentId: removed?.parentId ?? null } : o))
+    }
+    case 'update-position':
+      return objects.map((o) => (o.id === op.id ? { ...o, position: op.position } : o))
+    case 'update-transform': {
+      const { position, rotation, scale } = op
+      return objects.map((o) => (o.id === op.id
+        ? { ...o, ...(position && { position }), ...(rotation && { rotation }), ...(scale && { scale }) }
+        : o))
+    }
+    case 'update-properties': {
+      const { name, visible, locked } = op
+      return objects.map((o) => (o.id === op.id
+        ? { ...o, ...(name !== undefined && { name }), ...(visible !== undefined && { visible }), ...(locked !== undefined && { locked }) }
+        : o))
+    }
+    case 'set-parent': {
+      const reparented = objects.map((o) => (o.id === op.id ? { ...o, parentId: op.parentId } : o))
+      return op.beforeId === undefined ? reparented : moveBefore(reparented, op.id, op.beforeId)
+    }
+  }
+}
+
+// The object after id in the scene's order, to put it back in its place (null if it is last)
+const nextId = (objects: SceneObject[], id: string) => objects[objects.findIndex((o) => o.id === id) + 1]?.id ?? null
+
+// Operations that take the scene back to before `op`, worked out against the objects it applies to
+function invertSceneOp(objects: SceneObject[], op: SceneOp): SceneOp[] {
+  switch (op.type) {
+    case 'add':
+      return [{ type: 'remove', id: op.object.id }]
+    case 'remove': {
+      const removed = objects.find((o) => o.id === op.id)
+      if (!removed) return []
+      const children = objects.filter((o) => o.parentId === op.id)
+      const next = nextId(objects, op.id)
+      // Added objects go to the end, so move it back to its place
+      const place: SceneOp[] = next ? [{ type: 'set-parent', id: op.id, parentId: removed.parentId ?? null, beforeId: next }] : []
+      return [
+        { type: 'add', object: removed },
+        ...place,
+        ...children.map((child): SceneOp => ({ type: 'set-parent', id: child.id, parentId: op.id })),
+      ]
+    }
+    case 'update-position': {
+      const previous = objects.find((o) => o.id === op.id)
+      return previous ? [{ type: 'update-position', id: op.id, position: previous.position }] : []
+    }
+    case 'update-transform': {
+      const previous = objects.find((o) => o.id === op.id)
+      if (!previous) return []
+      // Restore only the parts this operation changed
+      return [{
+        type: 'update-transform',
+        id: op.id,
+        ...(op.position && { position: previous.position }),
+        ...(op.rotation && { rotation: previous.rotation }),
+        ...(op.scale && { scale: previous.scale }),
+      }]
+    }
+    case 'update-properties': {
+      const previous = objects.find((o) => o.id === op.id)
+      if (!previous) return []
+      const { name, visible, locked } = objectProperties(previous)
+      return [{
+        type: 'update-properties',
+        id: op.id,
+        ...(op.name !== undefined && { name }),
+        ...(op.visible !== undefined && { visible }),
+        ...(op.locked !== undefined && { locked }),
+      }]
+    }
+    case 'set-parent': {
+      const previous = objects.find((o) => o.id === op.id)
+      if (!previous) return []
+      return [{
+        type: 'set-parent',
+        id: op.id,
+        parentId: previous.parentId ?? null,
+        ...(op.beforeId !== undefined && { beforeId: nextId(objects, op.id) }),
+      }]
+    }
+  }
+}
+
+// Position updates count as transform updates, so a drag of either kind collapses into one operation
+const asTransformOp = (op: SceneOp): Extract<SceneOp, { type: 'update-transform' }> | null => {
+  if (op.type === 'update-position') return { type: 'update-transform', id: op.id, position: op.position }
+  return op.type === 'update-transform' ? op : null
+}
+
+// Merge consecutive transform updates of the same object; later values win
+function coalesceOps(ops: SceneOp[]): SceneOp[] {
+  return ops.reduce<SceneOp[]>((result, op) => {
+    const last = result[result.length - 1]
+    const transform = asTransformOp(op)
+    if (transform && last?.type === 'update-transform' && last.id === transform.id) {
+      result[result.length - 1] = { ...last, ...transform }
+    } else {
+      result.push(op)
+    }
+    return result
+  }, [])
+}
+
+// Undo-menu name for a properties update
+function propertiesLabel(properties: Partial<ObjectProperties>): string {
+  const fields = Object.keys(properties)
+  if (fields.length !== 1) return 'Edit properties'
+  if (properties.visible !== undefined) return properties.visible ? 'Show' : 'Hide'
+  if (properties.locked !== undefined) return properties.locked ? 'Lock' : 'Unlock'
+  return 'Rename'
+}
+
+// Undo-menu name for a transform update
+function transformLabel(transform: Partial<Transform>): string {
+  const fields = Object.keys(transform)
+  if (fields.length !== 1) return 'Transform'
+  return { position: 'Move', rotation: 'Rotate', scale: 'Scale' }[fields[0] as keyof Transform]
+}
+
+const TRANSFORM_FIELDS: (keyof Transform)[] = ['position', 'rotation', 'scale']
+
+const sameVector = (a: Vector3, b: Vector3) => a.every((value, index) => value === b[index])
+
+// True if ancestorId is one of id's ancestors (stops if the chain loops)
+function hasAncestor(objects: SceneObject[], id: string, ancestorId: string): boolean {
+  const byId = new Map(objects.map((o) => [o.id, o]))
+  const visited = new Set<string>()
+  for (let current = byId.get(id)?.parentId ?? null; current && !visited.has(current); current = byId.get(current)?.parentId ?? null) {
+    if (current === ancestorId) return true
+    visited.add(current)
+  }
+  return false
+}
+
+/** Whether parentId can become id's parent: not the object itself or one of its descendants */
+export function canParent(objects: SceneObject[], id: string, parentId: string | null): boolean {
+  return parentId === null || (parentId !== id && !hasAncestor(objects, parentId, id))
+}
+
+/** A transform as a matrix, and back */
+export function transformMatrix({ position, rotation, scale }: Transform): THREE.Matrix4 {
+  return new THREE.Matrix4().compose(
+    new THREE.Vector3(...position),
+    new THREE.Quaternion().setFromEuler(new THREE.Euler(...rotation)),
+    new THREE.Vector3(...scale),
+  )
+}
+
+export function matrixTransform(matrix: THREE.Matrix4): Transform {
+  const position = new THREE.Vector3()
+  const quaternion = new THREE.Quaternion()
+  const scale = new THREE.Vector3()
+  matrix.decompose(position, quaternion, scale)
+  const rotation = new THREE.Euler().setFromQuaternion(quaternion)
+  return {
+    position: [position.x, position.y, position.z],
+    rotation: [rotation.x, rotation.y, rotation.z],
+    scale: [scale.x, scale.y, scale.z],
+  }
+}
+
+/** Where an object is in the world: its own transform inside each of its ancestors' (identity for null) */
+export function worldMatrix(objects: SceneObject[], id: string | null): THREE.Matrix4 {
+  const byId = new Map(objects.map((o) => [o.id, o]))
+  const matrix = new THREE.Matrix4()
+  const visited = new Set<string>()
+  for (let object = id ? byId.get(id) : undefined; object && !visited.has(object.id); object = byId.get(object.parentId ?? '')) {
+    matrix.premultiply(transformMatrix(object))
+    visited.add(object.id)
+  }
+  return matrix
+}
+
+/** The transform that puts an object at `world` when its parent is parentId */
+export function localTransform(objects: SceneObject[], parentId: string | null, world: THREE.Matrix4): Transform {
+  return matrixTransform(worldMatrix(objects, parentId).invert().multiply(world))
+}
+
+/** The given objects without the ones whose ancestor is also given, e.g. to move a parent and child once */
+export function topLevelIds(objects: SceneObject[], ids: string[]): string[] {
+  return ids.filter((id) => !ids.some((other) => other !== id && hasAncestor(objects, id, other)))
+}
+
+/**
+ * The given objects and all their descendants, parents before children. The top-level ones are
+ * detached (parentId null), so the result stands on its own, e.g. on the clipboard.
+ */
+export function collectSubtrees(objects: SceneObject[], ids: string[]): SceneObject[] {
+  const result: SceneObject[] = []
+  const visit = (object: SceneObject, parentId: string | null) => {
+    result.push({ ...object, parentId })
+    objects.filter((o) => o.parentId === object.id).forEach((child) => visit(child, object.id))
+  }
+  topLevelIds(objects, ids).forEach((id) => {
+    const object = objects.find((o) => o.id === id)
+    if (object) visit(object, null)
+  })
+  return result
+}
+
+// Copies of detached subtrees with fresh ids, top-level copies attached to parentOf(original)
+function cloneSubtrees(subtrees: SceneObject[], parentOf: (original: SceneObject) => string | null, offset: Vector3) {
+  const newIds = new Map(subtrees.map((o) => [o.id, nanoid()]))
+  return subtrees.map((o): SceneObject => {
+    const isRoot = !o.parentId || !newIds.has(o.parentId)
+    return {
+      ...o,
+      id: newIds.get(o.id)!,
+      parentId: isRoot ? parentOf(o) : newIds.get(o.parentId!)!,
+      position: isRoot ? [o.position[0] + offset[0], o.position[1] + offset[1], o.position[2] + offset[2]] : o.position,
+    }
+  })
+}
+
+// How far a duplicate lands from its original, so it doesn't hide behind it
+const DUPLICATE_OFFSET: Vector3 = [0.5, 0, 0.5]
+
+interface PendingOp {
+  opId: string
+  op: SceneOp
 }
 
 interface SceneState {
+  // What the editor shows: the confirmed scene with this editor's unconfirmed operations on top
   objects: SceneObject[]
+  // Every selected object, and the one gestures, the inspector and other editors see (the last selected)
+  selectedIds: string[]
   selectedId: string | null
+  // Scene as last confirmed by the backend, and the number of operations that produced it
+  confirmedObjects: SceneObject[]
+  version: number
+  // Our edits the backend hasn't confirmed yet, including those made while disconnected
+  pendingOps: PendingOp[]
+  synced: boolean
+  remoteSelections: RemoteSelection[]
+  // Names of the entries undo and redo would apply, for the UI
+  undoLabel: string | null
+  redoLabel: string | null
+  // Label of the open transaction, if any
+  transaction: string | null
+  // Counts snapshots that ended an open transaction, so the interaction that opened it stops too
+  interruptions: number
   addObject: (type: PrimitiveType, parentId?: string | null) => void
   selectObject: (id: string | null) => void
-  updateObjectPosition: (id: string, position: [number, number, number]) => void
-  setParent: (id: string, parentId: string | null) => void
+  // Shift-click: add an object to the selection, or take it out
+  toggleSelection: (id: string) => void
+  setSelection: (ids: string[]) => void
+  // Delete the selection, with its descendants or moving them up to its parent
+  deleteSelection: (options?: { withChildren?: boolean }) => void
+  // Copy the selected subtrees next to the originals and select the copies
+  duplicateSelection: () => void
+  // Add detached subtrees (see collectSubtrees) with new ids, e.g. from the clipboard, and select them
+  pasteObjects: (objects: SceneObject[]) => void
+  updateObjectPosition: (id: string, position: Vector3) => void
+  updateObjectRotation: (id: string, rotation: Vector3) => void
+  updateObjectScale: (id: string, scale: Vector3) => void
+  // Any combination of position, rotation and scale as one undo step
+  updateObjectTransform: (id: string, transform: Partial<Transform>) => void
+  // Rename, show or hide, lock or unlock an object
+  updateObjectProperties: (id: string, properties: Partial<ObjectProperties>) => void
+  // Move an object under another one (or to the top level), keeping where it is in the world unless
+  // keepWorldTransform is false; beforeId also orders it among its siblings (see SceneOp).
+  // Returns false, changing nothing, if the parent is the object or its descendant.
+  setParent: (
+    id: string,
+    parentId: string | null,
+    options?: { keepWorldTransform?: boolean, beforeId?: string | null },
+  ) => boolean
+  loadScene: (objects: SceneObject[]) => void
+  // Group the edits of one continuous interaction (a drag, a gesture) into a single undo step
+  beginTransaction: (label: string) => void
+  commitTransaction: () => void
+  // Revert everything edited since beginTransaction
+  cancelTransaction: () => void
   undo: () => void
   redo: () => void
+  setTransport: (transport: SceneTransport | null) => void
+  // rebase: the snapshot is the same scene caught up (reconnect, missed edit) rather than a different one
+  applySnapshot: (
+    version: number,
+    objects: SceneObject[],
+    selections: RemoteSelection[],
+    options?: { rebase?: boolean },
+  ) => void
+  applyRemoteOp: (version: number, op: SceneOp, opId: string | null) => boolean
+  confirmOp: (opId: string, version: number) => void
+  rejectOp: (opId: string) => void
+  setRemoteSelection: (selection: { clientId: string, name: string | null, objectId: string | null }) => void
 }
 
-type HistoryState = {
-  past: SceneObject[][]
-  present: SceneObject[]
-  future: SceneObject[][]
+// Undo and redo replay operations rather than restoring snapshots, so they merge with other editors' changes
+type HistoryEntry = {
+  label: string
+  undo: SceneOp[]
+  redo: SceneOp[]
+}
+
+// simple in-module history object
+const historyStore: { past: HistoryEntry[], future: HistoryEntry[] } = {
+  past: [],
+  future: [],
 }
 
-export const useSceneStore = create<SceneState>((set, get) => ({
-  // initial history state
-  objects: [],
-  selectedId: null,
+let transport: SceneTransport | null = null
+
+// Edits made since beginTransaction, in history form
+let transaction: HistoryEntry | null = null
+
+const historyLabels = () => ({
+  undoLabel: historyStore.past[historyStore.past.length - 1]?.label ?? null,
+  redoLabel: historyStore.future[0]?.label ?? null,
+})
+
+const replayPending = (objects: SceneObject[], pendingOps: PendingOp[]) =>
+  pendingOps.reduce((result, { op }) => applySceneOp(result, op), objects)
+
+// Past this many edits queued offline, the next connection gets the whole scene instead (see localScene)
+const MAX_OFFLINE_OPS = 500
+
+// Set when the scene was opened offline or the offline queue overflowed: the backend has to be sent
+// the scene itself, so edits stop being queued until then
+let localScene = false
 
-  addObject: (type, parentId = null) => {
-    const newObj: SceneObject = {
-      id: nanoid(),
-      type,
-      position: [Math.random() * 2 - 1, 1, Math.random() * 2 - 1],
-      parentId,
+// Offline, the frames of a drag collapse into one queued edit (like coalesceOps, keeping the first opId)
+const queueOffline = (pendingOps: PendingOp[], queued: PendingOp[]) =>
+  queued.reduce((queue, next) => {
+    const last = queue[queue.length - 1]
+    const transform = asTransformOp(next.op)
+    if (transform && last?.op.type === 'update-transform' && last.op.id === transform.id) {
+      return [...queue.slice(0, -1), { opId: last.opId, op: { ...last.op, ...transform } }]
     }
-    const newObjects = [...get().objects, newObj]
-    pushHistory(newObjects, set, get)
-  },
-
-  selectObject: (id) => set({ selectedId: id }),
-
-  updateObjectPosition: (id, position) => {
-    const newObjects = get().objects.map((o) =>
-      o.id === id ? { ...o, position } : o
-    )
-    pushHistory(newObjects, set, get)
-  },
-
-  setParent: (id, parentId) => {
-    const newObjects = get().objects.map((o) =>
-      o.id === id ? { ...o, parentId } : o
-    )
-    pushHistory(newObjects, set, get)
-  },
-
-  undo: () => {
-    const history = historyStore
-    if (history.past.length > 0) {
-      const previous = history.past[history.past.length - 1]
-      history.future.unshift(history.present)
-      history.present = previous
-      history.past.pop()
-      set({ objects: previous })
+    return [...queue, transform ? { opId: next.opId, op: transform } : next]
+  }, pendingOps)
+
+// Selected objects that no longer exist drop out of the selection
+const selection = (ids: string[]) => ({ selectedIds: ids, selectedId: ids[ids.length - 1] ?? null })
+const keepSelection = (selectedIds: string[], objects: SceneObject[]) =>
+  selection(selectedIds.filter((id) => objects.some((o) => o.id === id)))
+
+export const useSceneStore = create<SceneState>((set, get) => {
+  // Apply operations locally, and send them to the backend when in a collaborative session.
+  // Offline they wait as pending operations until the next connection (see setTransport).
+  const dispatch = (ops: SceneOp[]) => {
+    if (ops.length === 0) return
+
+    const sent = ops.map((op) => ({ opId: nanoid(), op }))
+
+    if (!transport) {
+      let pendingOps = localScene ? [] : queueOffline(get().pendingOps, sent)
+      if (pendingOps.length > MAX_OFFLINE_OPS) {
+        localScene = true
+        pendingOps = []
+      }
+      const objects = ops.reduce(applySceneOp, get().objects)
+      set({ pendingOps, objects, ...keepSelection(get().selectedIds, objects) })
+      return
     }
-  },
-
-  redo: () => {
-    const history = historyStore
-    if (history.future.length > 0) {
-      const next = history.future[0]
-      history.past.push(history.present)
-      history.present = next
-      history.future.shift()
-      set({ objects: next })
+
+    const pendingOps = [...get().pendingOps, ...sent]
+    const objects = replayPending(get().confirmedObjects, pendingOps)
+    set({ pendingOps, objects, ...keepSelection(get().selectedIds, objects) })
+    sent.forEach(({ opId, op }) => transport?.sendOp(op, opId))
+  }
+
+  const dropPending = (opId: string) => {
+    const pendingOps = get().pendingOps.filter((pending) => pending.opId !== opId)
+    const objects = replayPending(get().confirmedObjects, pendingOps)
+    set({ pendingOps, objects, ...keepSelection(get().selectedIds, objects) })
+  }
+
+  const pushHistory = (entry: HistoryEntry) => {
+    historyStore.past.push(entry)
+    historyStore.future = []
+    set(historyLabels())
+  }
+
+  // A user edit: record how to undo it (in the open transaction, if any), then apply it
+  const commit = (ops: SceneOp[], label: string) => {
+    let objects = get().objects
+    const undoOps: SceneOp[] = []
+    ops.forEach((op) => {
+      undoOps.unshift(...invertSceneOp(objects, op))
+      objects = applySceneOp(objects, op)
+    })
+    if (transaction) {
+      transaction.undo.unshift(...undoOps)
+      transaction.redo.push(...ops)
+    } else {
+      pushHistory({ label, undo: undoOps, redo: ops })
     }
-  },
-}))
+    dispatch(ops)
+  }
 
-// simple in-module history object
-const historyStore: HistoryState = {
-  past: [],
-  present: [],
-  future: [],
-}
+  return {
+    objects: [],
+    selectedIds: [],
+    selectedId: null,
+    confirmedObjects: [],
+    version: 0,
+    pendingOps: [],
+    synced: false,
+    remoteSelections: [],
+    undoLabel: null,
+    redoLabel: null,
+    transaction: null,
+    interruptions: 0,
 
-// Define the type for the pushHistory function's arguments
-type SetState<T> = Parameters<StateCreator<T>>[0]
-type GetState<T> = Parameters<StateCreator<T>>[1]
+    addObject: (type, parentId = null) => {
+      const newObj: SceneObject = {
+        id: nanoid(),
+        type,
+        position: [Math.random() * 2 - 1, 1, Math.random() * 2 - 1],
+        rotation: [0, 0, 0],
+        scale: [1, 1, 1],
+        parentId,
+      }
+      commit([{ type: 'add', object: newObj }], `Add ${type}`)
+    },
 
-function pushHistory(
-    newObjects: SceneObject[], 
-    set: SetState<SceneState>, 
-    get: SetState<SceneState>
-) {
-  // push current present to past
-  historyStore.past.push(historyStore.present)
-  // set new present
-  historyStore.present = newObjects
-  // clear future
-  historyStore.future = []
-  set({ objects: newObjects })
-}
+    selectObject: (id) => {
+      get().setSelection(id ? [id] : [])
+    },
+
+    toggleSelection: (id) => {
+      const { selectedIds } = get()
+      get().setSelection(selectedIds.includes(id) ? selectedIds.filter((other) => other !== id) : [...selectedIds, id])
+    },
+
+    setSelection: (ids) => {
+      const previous = get().selectedId
+      set(selection(ids))
+      if (get().selectedId !== previous) transport?.sendSelection(get().selectedId)
+    },
+
+    deleteSelection: ({ withChildren = true } = {}) => {
+      const { objects, selectedIds } = get()
+      if (selectedIds.length === 0) return
+      if (withChildren) {
+        // Children go before their parents, so a removed parent has none left to move up
+        const ids = collectSubtrees(objects, selectedIds).map((o) => o.id).reverse()
+        commit(ids.map((id): SceneOp => ({ type: 'remove', id })), 'Delete')
+        return
+      }
+
+      // Children that move up to the grandparent stay where they are in the world
+      let remaining = objects
+      const ops = selectedIds.flatMap((id) => {
+        const removed = remaining.find((o) => o.id === id)
+        const removal: SceneOp[] = remaining
+          .filter((o) => o.parentId === id)
+          .map((child) => ({
+            type: 'update-transform',
+            id: child.id,
+            ...localTransform(remaining, removed?.parentId ?? null, worldMatrix(remaining, child.id)),
+          }))
+        removal.push({ type: 'remove', id })
+        remaining = removal.reduce(applySceneOp, remaining)
+        return removal
+      })
+      commit(ops, 'Delete')
+    },
+
+    duplicateSelection: () => {
+      const { objects, selectedIds } = get()
+      if (selectedIds.length === 0) return
+      const parentOf = (original: SceneObject) => objects.find((o) => o.id === original.id)?.parentId ?? null
+      const copies = cloneSubtrees(collectSubtrees(objects, selectedIds), parentOf, DUPLICATE_OFFSET)
+      commit(copies.map((object): SceneOp => ({ type: 'add', object })), 'Duplicate')
+      get().setSelection(copies.filter((copy) => !copies.some((o) => o.id === copy.parentId)).map((o) => o.id))
+    },
+
+    pasteObjects: (pasted) => {
+      if (pasted.length === 0) return
+      const copies = cloneSubtrees(pasted.map(withDefaultTransform), () => null, [0, 0, 0])
+      commit(copies.map((object): SceneOp => ({ type: 'add', object })), 'Paste')
+      get().setSelection(copies.filter((copy) => !copy.parentId).map((o) => o.id))
+    },
+
+    updateObjectPosition: (id, position) => {
+      commit([{ type: 'update-position', id, position }], 'Move')
+    },
+
+    updateObjectRotation: (id, rotation) => {
+      get().updateObjectTransform(id, { rotation })
+    },
+
+    updateObjectScale: (id, scale) => {
+      get().updateObjectTransform(id, { scale })
+    },
+
+    // Parts that don't change are left out, and a transform that changes nothing isn't recorded
+    updateObjectTransform: (id, transform) => {
+      const current = get().objects.find((o) => o.id === id)
+      if (!current) return
+      const changed: Partial<Transform> = {}
+      TRANSFORM_FIELDS.forEach((field) => {
+        const value = transform[field]
+        if (value && !sameVector(value, current[field])) changed[field] = value
+      })
+      if (Object.keys(changed).length > 0) {
+        commit([{ type: 'update-transform', id, ...changed }], transformLabel(changed))
+      }
+    },
+
+    // Values that don't change are left out, like updateObjectTransform
+    updateObjectProperties: (id, properties) => {
+      const current = get().objects.find((o) => o.id === id)
+      if (!current) return
+      const previous = objectProperties(current)
+      const changed = Object.fromEntries(
+        Object.entries(properties).filter(([field, value]) => value !== undefined && value !== previous[field as keyof ObjectProperties]),
+      ) as Partial<ObjectProperties>
+      if (Object.keys(changed).length > 0) {
+        commit([{ type: 'update-properties', id, ...changed }], propertiesLabel(changed))
+      }
+    },
+
+    setParent: (id, parentId, { keepWorldTransform = true, beforeId } = {}) => {
+      const { objects } = get()
+      const object = objects.find((o) => o.id === id)
+      if (!object || !canParent(objects, id, parentId)) return false
+      if (beforeId && (beforeId === id || !objects.some((o) => o.id === beforeId))) return false
+      const reparenting = (object.parentId ?? null) !== parentId
+      if (!reparenting && beforeId === undefined) return true
+
+      const ops: SceneOp[] = [{ type: 'set-parent', id, parentId, ...(beforeId !== undefined && { beforeId }) }]
+      if (keepWorldTransform && reparenting) {
+        ops.unshift({ type: 'update-transform', id, ...localTransform(objects, parentId, worldMatrix(objects, id)) })
+      }
+      commit(ops, reparenting ? 'Reparent' : 'Reorder')
+      return true
+    },
+
+    // Open a saved scene (or an empty one); edits made before it can't be undone
+    loadScene: (objects) => {
+      if (transport) {
+        transport.loadScene(objects)
+      } else {
+        get().applySnapshot(get().version, objects, get().remoteSelections)
+        localScene = true
+      }
+    },
+
+    // Starting a transaction while one is open commits the open one
+    beginTransaction: (label) => {
+      get().commitTransaction()
+      transaction = { label, undo: [], redo: [] }
+      set({ transaction: label })
+    },
+
+    commitTransaction: () => {
+      const finished = transaction
+      if (!finished) return
+      transaction = null
+      set({ transaction: null })
+      if (finished.redo.length > 0) {
+        pushHistory({ label: finished.label, undo: coalesceOps(finished.undo), redo: coalesceOps(finished.redo) })
+      }
+    },
+
+    cancelTransaction: () => {
+      const cancelled = transaction
+      if (!cancelled) return
+      transaction = null
+      set({ transaction: null })
+      dispatch(coalesceOps(cancelled.undo))
+    },
+
+    // Undo and redo finish the interaction in progress first
+    undo: () => {
+      get().commitTransaction()
+      const entry = historyStore.past.pop()
+      if (entry) {
+        historyStore.future.unshift(entry)
+        set(historyLabels())
+        dispatch(entry.undo)
+      }
+    },
+
+    redo: () => {
+      get().commitTransaction()
+      const entry = historyStore.future.shift()
+      if (entry) {
+        historyStore.past.push(entry)
+        set(historyLabels())
+        dispatch(entry.redo)
+      }
+    },
+
+    // A new connection is sent the edits the last one didn't get confirmed, and those made offline
+    // (or the whole scene, when it was opened offline or too much was edited offline)
+    setTransport: (next) => {
+      transport = next
+      set({ synced: Boolean(next) })
+      if (!next) {
+        set({ remoteSelections: [] })
+      } else if (localScene) {
+        localScene = false
+        next.loadScene(get().objects)
+      } else {
+        get().pendingOps.forEach(({ opId, op }) => next.sendOp(op, opId))
+      }
+    },
+
+    // A rebase keeps the history and puts our pending edits back on top of the backend's scene (or
+    // keeps our local scene, which setTransport then sends). Any other snapshot is a different scene:
+    // it replaces ours, and history from before it no longer applies.
+    // Either way the interaction in progress ends, a rebase keeping what it did as one undo step.
+    applySnapshot: (version, snapshotObjects, selections, { rebase = false } = {}) => {
+      const confirmedObjects = snapshotObjects.map(withDefaultTransform)
+      const interrupted = transaction !== null
+      if (rebase) {
+        get().commitTransaction()
+      } else {
+        historyStore.past = []
+        historyStore.future = []
+        transaction = null
+        localScene = false
+      }
+      const pendingOps = rebase ? get().pendingOps : []
+      const objects = rebase && localScene ? get().objects : replayPending(confirmedObjects, pendingOps)
+      set({
+        ...historyLabels(),
+        transaction: null,
+        ...(interrupted && { interruptions: get().interruptions + 1 }),
+        objects,
+        confirmedObjects,
+        version,
+        pendingOps,
+        remoteSelections: selections,
+        ...keepSelection(get().selectedIds, objects),
+      })
+    },
+
+    // Returns false when an operation was missed, in which case the caller should ask for a snapshot
+    applyRemoteOp: (version, op, opId) => {
+      const state = get()
+      if (version <= state.version) return true
+      if (version !== state.version + 1) return false
+
+      const confirmedObjects = applySceneOp(state.confirmedObjects, op)
+      const pendingOps = state.pendingOps.filter((pending) => pending.opId !== opId)
+      const objects = replayPending(confirmedObjects, pendingOps)
+      set({ confirmedObjects, version, pendingOps, objects, ...keepSelection(state.selectedIds, objects) })
+      return true
+    },
+
+    // The backend applied one of our operations. Its scene-op usually confirmed it already; one resent
+    // after a reconnect that had arrived before is in the snapshot instead, so it stops being pending here
+    confirmOp: (opId, version) => {
+      if (version <= get().version && get().pendingOps.some((pending) => pending.opId === opId)) dropPending(opId)
+    },
+
+    // The backend refused one of our operations (e.g. its object was deleted by someone else)
+    rejectOp: dropPending,
+
+    setRemoteSelection: ({ clientId, name, objectId }) => {
+      const others = get().remoteSelections.filter((s) => s.clientId !== clientId)
+      set({ remoteSelections: objectId && name ? [...others, { clientId, name, objectId }] : others })
+    },
+  }
+})